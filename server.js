@@ -1,3 +1,8 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { AsyncLocalStorage } = require('async_hooks');
 const express = require('express');
 const cors = require('cors');
 const jwt = require('jsonwebtoken');
@@ -10,81 +15,247 @@ const PORT = process.env.PORT || 3000;
 // CONFIG
 // ========================================
 const JWT_SECRET = 'sauce-secret-2025-super-secure-key-change-in-prod';
+const JWT_REFRESH_SECRET = 'sauce-refresh-secret-2025-change-in-prod'; // refresh tokens can't pass as access tokens
 const JWT_EXPIRES_IN = '24h';
 const JWT_REFRESH_EXPIRES_IN = '7d';
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // matches the refresh token; each rotation extends it
+const STORE_BACKEND = process.env.STORE_BACKEND || 'memory'; // 'memory' | 'file'
+const STORE_PATH = process.env.STORE_PATH || path.join(__dirname, 'data');
+const RANDOM_SEED = process.env.RANDOM_SEED !== undefined ? Number(process.env.RANDOM_SEED) : null;
+const RESERVATION_TTL_MS = Number(process.env.RESERVATION_TTL_MS) || 15 * 60 * 1000; // how long a cart line holds its units
+const TEST_MODE = process.env.TEST_MODE === '1'; // exposes unauthenticated /api/test/* helpers
+const SCRYPT_COST = Number(process.env.SCRYPT_COST) || 16384; // scrypt N for new hashes; stored hashes keep their own
+const AUDIT_LIMIT = Number(process.env.AUDIT_LIMIT) || 5000; // audit entries kept in memory, oldest dropped first
+const WEBHOOK_MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5; // first try included
+const WEBHOOK_RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS) || 1000; // doubles after every failed attempt
+const WEBHOOK_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+const WEBHOOK_DELIVERY_LIMIT = 1000; // deliveries kept in memory, oldest dropped first
+const LOW_STOCK_THRESHOLD = Number(process.env.LOW_STOCK_THRESHOLD) || 3; // stock.low fires when a level drops to this
 
 // ========================================
 // RATE LIMITING (In-Memory)
 // ========================================
-const rateLimitStore = new Map(); // ip → { count, authCount, resetTime }
+// Every policy matching a request is charged one unit, and the request is refused (429) as
+// soon as one of them is exhausted; nothing is charged then. A policy applies to routes given
+// as "METHOD /path-prefix" ("*" for any method) and keeps one bucket per `by`: ip, or user
+// (the username, or the ip for anonymous requests). `limit` is a number or one per audience:
+// anonymous, user (shoppers) or staff (any role holding a permission).
+// Override the policies with RATE_LIMIT_POLICIES (a JSON array).
+const RATE_LIMIT_ALGORITHM = process.env.RATE_LIMIT_ALGORITHM || 'sliding-window'; // | 'token-bucket'
+const RATE_LIMIT_BYPASS_KEYS = (process.env.RATE_LIMIT_BYPASS_KEYS || '').split(',').filter(Boolean); // X-RateLimit-Bypass values honoured in TEST_MODE
+const RATE_LIMIT_WINDOW_MS = 15 * 60 * 1000;
 
-const rateLimiter = (req, res, next) => {
-    const ip = req.ip || req.connection.remoteAddress || 'unknown';
-    const now = Date.now();
-    const windowMs = 15 * 60 * 1000; // 15 minutes
+const DEFAULT_RATE_LIMIT_POLICIES = [
+    {
+        id: 'auth',
+        routes: ['POST /api/login', 'POST /api/register', 'POST /api/refresh'],
+        by: 'ip',
+        limit: 10,
+        windowMs: RATE_LIMIT_WINDOW_MS,
+        error: 'Too many attempts. Try again later.'
+    },
+    { id: 'default', routes: ['* /api/'], by: 'user', limit: { anonymous: 100, user: 500, staff: 1000 }, windowMs: RATE_LIMIT_WINDOW_MS }
+];
 
-    let record = rateLimitStore.get(ip);
-    if (!record || now > record.resetTime) {
-        record = { count: 0, authCount: 0, resetTime: now + windowMs };
+// Each algorithm maps (bucket state, limit, window, now) to the new state and what is left.
+// `hit` = false only looks; a refused request never changes the state.
+const RATE_LIMIT_ALGORITHMS = {
+    // Counts in fixed windows, weighting the previous window by how much of it still overlaps
+    'sliding-window': (state, { limit, windowMs }, now, hit = true) => {
+        const windowStart = now - (now % windowMs);
+        const current = state?.windowStart === windowStart;
+        const prevCount = current ? state.prevCount : state?.windowStart === windowStart - windowMs ? state.count : 0;
+        const count = current ? state.count : 0;
+        const available = limit - (prevCount * (1 - (now - windowStart) / windowMs) + count);
+        const allowed = available >= 1;
+        const used = hit && allowed ? 1 : 0;
+        // Once the previous window has faded enough, or else when this one ends
+        const retryAt = count + 1 <= limit && prevCount
+            ? windowStart + windowMs * (1 - (limit - count - 1) / prevCount)
+            : windowStart + windowMs;
+        return {
+            allowed,
+            state: { windowStart, prevCount, count: count + used },
+            remaining: Math.max(0, Math.floor(available - used)),
+            resetMs: windowStart + windowMs - now,
+            retryAfterMs: allowed ? 0 : retryAt - now
+        };
+    },
+    // Holds up to `limit` tokens, refilled evenly over the window
+    'token-bucket': (state, { limit, windowMs }, now, hit = true) => {
+        const rate = limit / windowMs; // tokens per ms
+        const tokens = state ? Math.min(limit, state.tokens + (now - state.updatedAt) * rate) : limit;
+        const allowed = tokens >= 1;
+        const left = hit && allowed ? tokens - 1 : tokens;
+        return {
+            allowed,
+            state: { tokens: left, updatedAt: now },
+            remaining: Math.floor(left),
+            resetMs: (limit - left) / rate,
+            retryAfterMs: allowed ? 0 : (1 - tokens) / rate
+        };
     }
+};
 
-    // Check if user is authenticated (for higher limits)
-    const authHeader = req.headers.authorization;
-    let isAuthenticated = false;
-    let isAdmin = false;
+const ROUTE_PATTERN = /^(\*|GET|POST|PUT|PATCH|DELETE) \/\S*$/;
 
-    if (authHeader?.startsWith('Bearer ')) {
-        try {
-            const token = authHeader.split(' ')[1];
-            const payload = jwt.verify(token, JWT_SECRET);
-            isAuthenticated = true;
-            isAdmin = payload.role === 'admin';
-        } catch (e) {
-            // Invalid token → treat as unauthenticated
-        }
+const validateRateLimitPolicies = (policies) => {
+    if (!Array.isArray(policies)) return 'must be an array';
+    for (const p of policies) {
+        if (typeof p?.id !== 'string' || !p.id) return 'every policy needs an id';
+        if (policies.filter(x => x.id === p.id).length > 1) return `duplicate policy ${p.id}`;
+        if (!Array.isArray(p.routes) || !p.routes.every(r => ROUTE_PATTERN.test(r))) return `${p.id}: routes must look like "POST /api/login"`;
+        if (!['ip', 'user'].includes(p.by)) return `${p.id}: by must be ip or user`;
+        const limits = typeof p.limit === 'object' && p.limit ? Object.values(p.limit) : [p.limit];
+        if (!limits.every(n => Number.isInteger(n) && n > 0)) return `${p.id}: limits must be positive integers`;
+        if (!Number.isInteger(p.windowMs) || p.windowMs <= 0) return `${p.id}: windowMs must be a positive integer`;
+        if (p.algorithm !== undefined && !RATE_LIMIT_ALGORITHMS[p.algorithm]) return `${p.id}: unknown algorithm ${p.algorithm}`;
     }
+    return null;
+};
 
-    // Strict limit for auth routes (login/register/refresh)
-    const authPaths = ['/api/login', '/api/register', '/api/refresh'];
-    if (authPaths.includes(req.path)) {
-        if (record.authCount >= 10) {
-            return res.status(429).json({
-                error: 'Too many attempts. Try again later.',
-                retryAfter: Math.ceil((record.resetTime - now) / 1000)
-            });
-        }
-        record.authCount++;
-    }
+const rateLimitPolicies = process.env.RATE_LIMIT_POLICIES ? JSON.parse(process.env.RATE_LIMIT_POLICIES) : DEFAULT_RATE_LIMIT_POLICIES;
+if (!RATE_LIMIT_ALGORITHMS[RATE_LIMIT_ALGORITHM]) throw new Error(`Unknown RATE_LIMIT_ALGORITHM "${RATE_LIMIT_ALGORITHM}" (use sliding-window or token-bucket)`);
+const policyError = validateRateLimitPolicies(rateLimitPolicies);
+if (policyError) throw new Error(`Invalid RATE_LIMIT_POLICIES: ${policyError}`);
 
-    // Apply limits
-    const limit = isAdmin ? 1000 : isAuthenticated ? 500 : 100;
-    if (record.count >= limit) {
-        return res.status(429).json({
-            error: 'Too many requests',
-            retryAfter: Math.ceil((record.resetTime - now) / 1000)
-        });
-    }
+const rateLimitStore = new Map(); // "policyId|key" → { policy, key, limit, state, expiresAt }
+
+const matchesPolicy = (policy, req) => policy.routes.some(route => {
+    const [method, prefix] = route.split(' ');
+    return (method === '*' || method === req.method) && req.path.startsWith(prefix);
+});
 
-    record.count++;
-    rateLimitStore.set(ip, record);
+// The token is verified once per request; authOf() caches it for the auth guards
+const rateLimitSubject = (policy, req) => {
+    const user = authOf(req)?.user;
+    const key = policy.by === 'user' && user ? `user:${user.username}` : `ip:${req.ip || 'unknown'}`;
+    if (typeof policy.limit === 'number') return { key, limit: policy.limit };
+    const audience = !user ? 'anonymous' : roles.get(user.role)?.permissions.length ? 'staff' : 'user';
+    return { key, limit: policy.limit[audience] ?? policy.limit.user };
+};
 
-    res.set({
-        'X-RateLimit-Limit': limit,
-        'X-RateLimit-Remaining': limit - record.count,
-        'X-RateLimit-Reset': Math.ceil(record.resetTime / 1000)
+const rateLimiter = (req, res, next) => {
+    if (TEST_MODE && RATE_LIMIT_BYPASS_KEYS.includes(req.get('x-ratelimit-bypass'))) return next();
+    const now = Date.now();
+
+    const checks = rateLimitPolicies.filter(p => matchesPolicy(p, req)).map(policy => {
+        const { key, limit } = rateLimitSubject(policy, req);
+        const id = `${policy.id}|${key}`;
+        const algorithm = RATE_LIMIT_ALGORITHMS[policy.algorithm || RATE_LIMIT_ALGORITHM];
+        return { id, policy, key, limit, ...algorithm(rateLimitStore.get(id)?.state, { limit, windowMs: policy.windowMs }, now) };
     });
+    if (!checks.length) return next();
+
+    const blocked = checks.find(c => !c.allowed);
+    if (blocked) {
+        const retryAfter = Math.max(1, Math.ceil(blocked.retryAfterMs / 1000));
+        res.set('Retry-After', String(retryAfter));
+        return res.status(429).json({ error: blocked.policy.error || 'Too many requests', policy: blocked.policy.id, retryAfter });
+    }
 
+    for (const c of checks) {
+        // Idle long enough to be back at full capacity under either algorithm
+        rateLimitStore.set(c.id, { policy: c.policy.id, key: c.key, limit: c.limit, state: c.state, expiresAt: now + 2 * c.policy.windowMs });
+    }
+    const tightest = checks.reduce((a, b) => (b.remaining < a.remaining ? b : a));
+    res.set({
+        'X-RateLimit-Limit': tightest.limit,
+        'X-RateLimit-Remaining': tightest.remaining,
+        'X-RateLimit-Reset': Math.ceil((now + tightest.resetMs) / 1000)
+    });
     next();
 };
 
+const pruneRateLimits = () => {
+    const now = Date.now();
+    for (const [id, bucket] of rateLimitStore) if (bucket.expiresAt <= now) rateLimitStore.delete(id);
+};
+setInterval(pruneRateLimits, 60 * 1000).unref();
+
 // ========================================
 // MIDDLEWARE
 // ========================================
 app.use(rateLimiter);
-app.use(cors({ origin: true, credentials: true }));
+app.use(cors({
+    origin: true,
+    credentials: true,
+    exposedHeaders: ['Link', 'X-Total-Count', 'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset']
+}));
 app.use(express.json());
 app.use(cookieParser());
 
+// ========================================
+// PASSWORDS
+// ========================================
+// Hashes are "scrypt$N$salt$hash" (base64), so raising SCRYPT_COST doesn't invalidate old ones.
+// The sync variant is only for seed and fixture users, built outside any request.
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+const encodeHash = (N, salt, key) => `scrypt$${N}$${salt.toString('base64')}$${key.toString('base64')}`;
+
+const hashPassword = async (password) => {
+    const salt = crypto.randomBytes(16);
+    return encodeHash(SCRYPT_COST, salt, await scrypt(password, salt, KEY_LENGTH, { N: SCRYPT_COST }));
+};
+
+const hashPasswordSync = (password) => {
+    const salt = crypto.randomBytes(16);
+    return encodeHash(SCRYPT_COST, salt, crypto.scryptSync(password, salt, KEY_LENGTH, { N: SCRYPT_COST }));
+};
+
+const verifyPassword = async (password, stored) => {
+    const [, N, salt, key] = stored.split('$');
+    const expected = Buffer.from(key, 'base64');
+    const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length, { N: Number(N) });
+    return crypto.timingSafeEqual(actual, expected);
+};
+
+// Compared against when the username is unknown, so both failures take as long
+const DUMMY_HASH = hashPasswordSync('not-a-real-password');
+
+const newUser = ({ username, role = 'user', type = 'standard' }, passwordHash) => ({
+    username,
+    passwordHash,
+    role,
+    ...(role === 'user' && { type }),
+    failedLogins: 0,
+    lock: null // { reason, at, until }; until null = until an admin unlocks
+});
+
+const isLocked = (user) => Boolean(user.lock && (!user.lock.until || Date.parse(user.lock.until) > Date.now()));
+
+const lockUser = (user, reason, minutes) => {
+    const now = Date.now();
+    user.lock = { reason, at: new Date(now).toISOString(), until: minutes ? new Date(now + minutes * 60 * 1000).toISOString() : null };
+};
+
+// The last unlocked full admin is exempt: nobody would be left to unlock it, and anyone
+// guessing its password could keep it locked out. Rate limiting still throttles the guesses.
+const canAutoLock = (user) => Boolean(passwordPolicy.maxFailedLogins) && !isLastFullAdmin(user.username);
+
+// Counts a wrong password, locking the account once they reach the limit
+const recordFailedLogin = (user) => {
+    if (!canAutoLock(user)) return;
+    auditTouch('users', user.username);
+    user.failedLogins = (user.failedLogins || 0) + 1;
+    if (user.failedLogins >= passwordPolicy.maxFailedLogins) lockUser(user, 'failed-logins', passwordPolicy.lockoutMinutes);
+};
+
+// Policy violations as validation details for the `password` field
+const passwordPolicyErrors = (password, username) => {
+    const p = passwordPolicy;
+    return [
+        password.length < p.minLength && `must be at least ${p.minLength} chars`,
+        p.requireLetter && !/[a-z]/i.test(password) && 'must contain a letter',
+        p.requireDigit && !/\d/.test(password) && 'must contain a digit',
+        p.requireUppercase && !/[A-Z]/.test(password) && 'must contain an uppercase letter',
+        p.requireSymbol && !/[^a-z0-9]/i.test(password) && 'must contain a symbol',
+        p.disallowUsername && username && password.toLowerCase().includes(username.toLowerCase()) && 'must not contain the username'
+    ].filter(Boolean).map(message => ({ location: 'body', field: 'password', message }));
+};
+
 // ========================================
 // STATE
 // ========================================
@@ -96,426 +267,4590 @@ let users = [
     { username: 'visual_user', password: 'secret_sauce', type: 'visual', role: 'user' },
     { username: 'error_user', password: 'secret_sauce', type: 'error', role: 'user' },
     { username: 'admin', password: 'admin123', role: 'admin' },
-];
+].map(({ password, ...u }) => newUser(u, hashPasswordSync(password)));
+
+// Enforced whenever a password is set through the API; seed and fixture users are exempt.
+// Lockout: maxFailedLogins wrong passwords in a row lock the account for lockoutMinutes
+// (0 = until an admin unlocks it).
+const PASSWORD_POLICY_DEFAULTS = {
+    minLength: 8,
+    requireLetter: true,
+    requireDigit: true,
+    requireUppercase: false,
+    requireSymbol: false,
+    disallowUsername: true,
+    maxFailedLogins: 5,
+    lockoutMinutes: 15
+};
+let passwordPolicy = { ...PASSWORD_POLICY_DEFAULTS };
 
 let inventory = [
-    { id: 0, name: 'Sauce Labs Bike Light', price: 9.99, img: 'bike-light-1200x1500.jpg' },
-    { id: 1, name: 'Sauce Labs Bolt T-Shirt', price: 15.99, img: 'bolt-shirt-1200x1500.jpg' },
-    { id: 2, name: 'Sauce Labs Onesie', price: 7.99, img: 'onesie-1200x1500.jpg' },
-    { id: 3, name: 'Test.allTheThings() T-Shirt (Red)', price: 15.99, img: 'red-tatt-1200x1500.jpg' },
-    { id: 4, name: 'Sauce Labs Backpack', price: 29.99, img: 'sauce-backpack-1200x1500.jpg' },
-    { id: 5, name: 'Sauce Labs Fleece Jacket', price: 49.99, img: 'sauce-pullover-1200x1500.jpg' },
+    {
+        id: 0, name: 'Sauce Labs Bike Light', price: 9.99, img: 'bike-light-1200x1500.jpg', weight: 0.2,
+        description: "A red light isn't the desired state in testing but it sure helps when riding your bike at night. Water-resistant with 3 lighting modes, 1 AAA battery included.",
+        category: 'accessories', tags: ['outdoor', 'electronics']
+    },
+    {
+        id: 1, name: 'Sauce Labs Bolt T-Shirt', price: 15.99, img: 'bolt-shirt-1200x1500.jpg', weight: 0.3,
+        description: 'Get your testing superhero on with the Sauce Labs bolt T-shirt. From American Apparel, 100% ringspun combed cotton, heather gray with red bolt.',
+        category: 'apparel', tags: ['t-shirt', 'cotton']
+    },
+    {
+        id: 2, name: 'Sauce Labs Onesie', price: 7.99, img: 'onesie-1200x1500.jpg', weight: 0.2,
+        description: "Rib snap infant onesie for the junior automation engineer in development. Reinforced 3-snap bottom closure, two-needle hemmed sleeved and bottom won't unravel.",
+        category: 'apparel', tags: ['kids', 'cotton']
+    },
+    {
+        id: 3, name: 'Test.allTheThings() T-Shirt (Red)', price: 15.99, img: 'red-tatt-1200x1500.jpg', weight: 0.3,
+        description: 'This classic Sauce Labs t-shirt is perfect to wear when cozying up to your keyboard to automate a few tests. Super-soft and comfy ringspun combed cotton.',
+        category: 'apparel', tags: ['t-shirt', 'cotton']
+    },
+    {
+        id: 4, name: 'Sauce Labs Backpack', price: 29.99, img: 'sauce-backpack-1200x1500.jpg', weight: 1.2,
+        description: 'carry.allTheThings() with the sleek, streamlined Sly Pack that melds uncompromising style with unequaled laptop and tablet protection.',
+        category: 'accessories', tags: ['bags', 'outdoor']
+    },
+    {
+        id: 5, name: 'Sauce Labs Fleece Jacket', price: 49.99, img: 'sauce-pullover-1200x1500.jpg', weight: 0.9,
+        description: "It's not every day that you come across a midweight quarter-zip fleece jacket capable of handling everything from a relaxing day outdoors to a busy day at the office.",
+        category: 'apparel', tags: ['outerwear', 'outdoor']
+    },
 ];
 
 let nextProductId = 6;
 const MAX_STOCK = 10;
+const MAX_PER_ITEM = 10; // units of one line a cart may hold
+const DEFAULT_WEIGHT_KG = 0.5;
+
+const PRODUCT_DEFAULTS = {
+    description: '',
+    category: null,
+    tags: [],
+    weight: DEFAULT_WEIGHT_KG,
+    variants: [],
+    archivedAt: null
+};
+
+// A variant's price falls back to the product's when null. Variant stock lives in variantStock.
+const newVariant = ({ stock: _stock, ...input }) => ({
+    attributes: {},
+    price: null,
+    ...input,
+    ...(typeof input.price === 'number' && { price: Number(input.price.toFixed(2)) })
+});
+
+const newProduct = (input) => ({
+    ...PRODUCT_DEFAULTS,
+    ...input,
+    name: input.name.trim(),
+    price: Number(input.price.toFixed(2)),
+    img: input.img.trim(),
+    variants: (input.variants || []).map(newVariant)
+});
+
+// Seed products get the same defaults as created ones
+inventory = inventory.map(newProduct);
+
+// On-hand units: product id → qty for products without variants, SKU → qty for variants
 const stock = new Map();
 inventory.forEach(p => stock.set(p.id, MAX_STOCK));
+const variantStock = new Map();
 
 const orderHistory = [];
-const validCoupons = { SAVE20: 0.20, TEST50: 0.50 };
+// Coupon code → promotion rule (see PROMOTIONS)
+const PROMOTION_DEFAULTS = {
+    minOrderValue: 0,
+    productIds: [],
+    categories: [],
+    startsAt: null,
+    endsAt: null,
+    maxRedemptions: null,
+    maxRedemptionsPerUser: null,
+    stackable: false,
+    active: true
+};
 
-// Per-user cart storage
-const userCarts = new Map(); // username → { cart: [], appliedCoupon: null }
+const newPromotion = (input) => ({
+    name: input.code,
+    ...(input.type === 'bxgy' && { value: 1 }),
+    ...PROMOTION_DEFAULTS,
+    ...input,
+    redemptions: 0,
+    redemptionsByUser: {}
+});
+
+const promotions = new Map([
+    { code: 'SAVE20', name: '20% off your order', type: 'percentage', value: 0.20 },
+    { code: 'TEST50', name: '50% off your order', type: 'percentage', value: 0.50 },
+].map(p => [p.code, newPromotion(p)]));
+
+// Tax rules match by postal-code prefix (longest wins), then region; a rule with neither is the fallback
+const taxRules = [
+    { id: 'default', name: 'Sales tax', rate: 0.08 },
+];
+
+// type: flat → rate; weight → rate + perKg × kg; price → rate + percent × subtotal.
+// Free when the discounted subtotal reaches freeThreshold.
+const DEFAULT_SHIPPING_METHOD = 'standard';
+const shippingMethods = [
+    { id: 'standard', name: 'Standard (3–5 days)', type: 'flat', rate: 4.99, freeThreshold: 50 },
+    { id: 'express', name: 'Express (next day)', type: 'weight', rate: 9.99, perKg: 2, freeThreshold: null },
+    { id: 'pickup', name: 'In-store pickup', type: 'flat', rate: 0, freeThreshold: null },
+];
+
+// Per-user cart storage. Guest carts live here too, keyed GUEST_PREFIX + the id in their cookie.
+const userCarts = new Map(); // username → { cart: [], appliedCoupons: [], shipping: { method, postalCode, region } }
+const GUEST_PREFIX = 'guest:';
+const GUEST_CART_TTL_MS = 7 * 24 * 60 * 60 * 1000; // idle guest carts are dropped after this
+
+const wishlists = new Map(); // username → [{ productId, sku, addedAt }]
+const savedForLater = new Map(); // username → [{ productId, sku, quantity, savedAt }]; holds no stock
+
+const webhooks = new Map(); // id → { id, url, events, secret, description, active, createdAt } (see WEBHOOKS)
 
 // ========================================
-// JWT HELPERS
+// RANDOM
 // ========================================
-const generateTokens = (user) => {
-    const accessToken = jwt.sign(
-        { username: user.username, role: user.role, type: user.type || 'standard' },
-        JWT_SECRET,
-        { expiresIn: JWT_EXPIRES_IN }
-    );
-    const refreshToken = jwt.sign(
-        { username: user.username },
-        JWT_SECRET,
-        { expiresIn: JWT_REFRESH_EXPIRES_IN }
-    );
-    return { accessToken, refreshToken };
+// mulberry32: tiny seeded PRNG so order IDs and shuffles are reproducible
+const createRandom = (seed) => {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
 };
 
-const verifyToken = (token) => {
-    try {
-        return jwt.verify(token, JWT_SECRET);
-    } catch (err) {
-        return null;
-    }
+let random = Math.random;
+const seedRandom = (seed) => {
+    random = Number.isInteger(seed) ? createRandom(seed) : Math.random;
 };
+seedRandom(RANDOM_SEED);
 
-const requireAuth = (req, res, next) => {
-    const token = req.headers.authorization?.split(' ')[1];
-    if (!token) return res.status(401).json({ error: 'Access token required' });
-    const payload = verifyToken(token);
-    if (!payload) return res.status(401).json({ error: 'Invalid or expired token' });
-    req.user = payload;
-    next();
-};
+// ========================================
+// PERSONAS
+// ========================================
+// Each persona lists its faults per route, keyed by "METHOD /route/path".
+// A fault may combine: latencyMs, status + error (short-circuits the handler),
+// and payload transforms applied to list responses: swapImages, corruptFields,
+// dropItems, sort ('reverse' | 'shuffle').
+const PROBLEM_IMAGE_URL = 'https://www.saucedemo.com/img/problem-user.jpg';
+const FAULT_SORTS = ['reverse', 'shuffle'];
+const ROUTE_KEY_PATTERN = /^(GET|POST|PUT|PATCH|DELETE) \/api\/\S*$/;
 
-const requireAdmin = (req, res, next) => {
-    if (!req.user || req.user.role !== 'admin') {
-        return res.status(403).json({ error: 'Admin access required' });
-    }
-    next();
-};
+const personas = new Map(); // type → { type, description, faults: { routeKey: fault } }
 
-const calculateCartDetails = (cart, coupon = null) => {
-    const items = cart.map(i => {
-        const p = inventory.find(x => x.id === i.productId);
-        if (!p) return null;
-        return {
-            productId: p.id,
-            name: p.name,
-            price: p.price,
-            quantity: i.quantity,
-            lineTotal: +(p.price * i.quantity).toFixed(2)
-        };
-    }).filter(Boolean);
+[
+    { type: 'standard', description: 'Behaves normally', faults: {} },
+    {
+        type: 'locked',
+        description: 'Cannot log in',
+        faults: { 'POST /api/login': { status: 403, error: 'Sorry, this user has been locked out.' } }
+    },
+    {
+        type: 'problem',
+        description: 'Sees broken product images',
+        faults: { 'GET /api/inventory': { swapImages: PROBLEM_IMAGE_URL } }
+    },
+    {
+        type: 'performance',
+        description: 'Slow login and inventory',
+        faults: { 'POST /api/login': { latencyMs: 2500 }, 'GET /api/inventory': { latencyMs: 3000 } }
+    },
+    {
+        type: 'visual',
+        description: 'Sees broken product images',
+        faults: { 'GET /api/inventory': { swapImages: PROBLEM_IMAGE_URL } }
+    },
+    {
+        type: 'error',
+        description: 'Checkout always fails',
+        faults: { 'POST /api/checkout': { latencyMs: 2000, status: 500, error: 'Checkout failed (error_user)' } }
+    },
+].forEach(p => personas.set(p.type, p));
 
-    const itemTotal = +items.reduce((s, i) => s + i.lineTotal, 0).toFixed(2);
-    const discount = coupon && validCoupons[coupon] ? +(itemTotal * validCoupons[coupon]).toFixed(2) : 0;
-    const subtotal = +(itemTotal - discount).toFixed(2);
-    const tax = +(subtotal * 0.08).toFixed(2);
-    const total = +(subtotal + tax).toFixed(2);
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
 
-    return { items, itemTotal, discount, coupon: coupon || null, subtotal, tax, total };
+// Fault contents are checked by FAULT_SCHEMA on the admin routes; this checks the route keys
+const validateFaults = (faults) => {
+    const bad = Object.keys(faults).find(routeKey => !ROUTE_KEY_PATTERN.test(routeKey));
+    return bad ? `Invalid route key "${bad}" (expected e.g. "GET /api/inventory")` : null;
 };
 
-// ========================================
-// PUBLIC ROUTES
-// ========================================
-app.get('/api/health', (req, res) => {
-    res.json({
-        status: 'ok',
-        version: '12.0 ULTIMATE FINAL — BUG-FREE',
-        auth: 'JWT + Refresh + Rate Limiting',
-        features: ['registration', 'self-service', 'admin-panel', 'product-crud', 'rate-limiting']
-    });
-});
+const getPersonaFault = (type, routeKey) => personas.get(type || 'standard')?.faults[routeKey] || null;
 
-app.post('/api/register', (req, res) => {
-    const { username, password } = req.body || {};
-    if (!username || !password) return res.status(400).json({ error: 'username and password required' });
-    if (username.length < 3 || password.length < 5) return res.status(400).json({ error: 'username ≥ 3 chars, password ≥ 5 chars' });
-    if (users.some(u => u.username === username)) return res.status(409).json({ error: 'Username already taken' });
+const transformItems = (fault, items) => {
+    let out = items.map(item => ({
+        ...item,
+        ...(fault.swapImages && 'imageUrl' in item ? { imageUrl: fault.swapImages } : {}),
+        ...fault.corruptFields
+    }));
+    if (fault.dropItems) out = out.slice(0, Math.max(0, out.length - fault.dropItems));
+    if (fault.sort === 'reverse') out.reverse();
+    if (fault.sort === 'shuffle') {
+        for (let i = out.length - 1; i > 0; i--) {
+            const j = Math.floor(random() * (i + 1));
+            [out[i], out[j]] = [out[j], out[i]];
+        }
+    }
+    return out;
+};
 
-    users.push({ username, password, type: 'standard', role: 'user' });
-    res.status(201).json({ message: 'Registration successful! You can now log in.', username });
-});
+const transformPayload = (fault, body) => {
+    if (Array.isArray(body)) return transformItems(fault, body);
+    if (isPlainObject(body) && Array.isArray(body.items)) return { ...body, items: transformItems(fault, body.items) };
+    return body;
+};
 
-app.post('/api/login', async (req, res) => {
-    const { username, password } = req.body || {};
-    const user = users.find(u => u.username === username && u.password === password);
-    if (!user) return res.status(401).json({ error: 'Invalid credentials' });
-    if (user.type === 'locked') return res.status(403).json({ error: 'Sorry, this user has been locked out.' });
-    if (user.type === 'performance') await new Promise(r => setTimeout(r, 2500));
+// Applies a fault to the current request. Resolves true if the fault already sent the response.
+const injectFault = async (fault, res) => {
+    if (!fault) return false;
+    if (fault.latencyMs) await new Promise(r => setTimeout(r, fault.latencyMs));
+    if (fault.status) {
+        res.status(fault.status).json({ error: fault.error || 'Request failed' });
+        return true;
+    }
+    if (fault.swapImages || fault.corruptFields || fault.dropItems || fault.sort) {
+        const json = res.json.bind(res);
+        res.json = (body) => json(res.statusCode < 400 ? transformPayload(fault, body) : body);
+    }
+    return false;
+};
 
-    const { accessToken, refreshToken } = generateTokens(user);
+const applyPersona = async (req, res, next) => {
+    const routeKey = `${req.method} ${req.route?.path}`;
+    if (await injectFault(getPersonaFault(req.user?.type, routeKey), res)) return;
+    next();
+};
 
-    res.cookie('refreshToken', refreshToken, {
-        httpOnly: true,
-        secure: false,
-        sameSite: 'strict',
-        maxAge: 7 * 24 * 60 * 60 * 1000
-    });
+// ========================================
+// ROLES & PERMISSIONS
+// ========================================
+// A user's role names a set of permissions ("area:action"); '*' grants everything.
+// `admin` and `user` (shoppers, no permissions) are built in and can't be changed.
+// Nobody can hand out permissions they don't hold, and the last active full admin
+// can't be deleted, demoted or locked.
+const FULL_ACCESS = '*';
+const PERMISSIONS = [
+    'users:read', 'users:write', 'users:lock',
+    'roles:read', 'roles:write',
+    'catalog:read', 'catalog:write',
+    'stock:read', 'stock:write',
+    'orders:read', 'orders:write', 'orders:refund',
+    'promotions:read', 'promotions:write',
+    'personas:read', 'personas:write',
+    'chaos:read', 'chaos:write', // fault-injection rules
+    'settings:read', 'settings:write', // password policy, tax rules, shipping methods
+    'audit:read',
+    'rate-limits:read', 'rate-limits:write',
+    'webhooks:read', 'webhooks:write',
+    'store:read', 'store:write' // reset and snapshots
+];
 
-    res.json({ message: 'Login successful', accessToken, user: { username, role: user.role } });
-});
+const roles = new Map(); // name → { name, description, permissions, builtIn }
 
-app.post('/api/refresh', (req, res) => {
-    const token = req.cookies.refreshToken || req.body.refreshToken;
-    if (!token) return res.status(401).json({ error: 'Refresh token required' });
+[
+    { name: 'admin', description: 'Full access', permissions: [FULL_ACCESS], builtIn: true },
+    { name: 'user', description: 'Shopper', permissions: [], builtIn: true },
+    {
+        name: 'support',
+        description: 'Helps customers with accounts and orders',
+        permissions: ['users:read', 'users:lock', 'orders:read', 'orders:write', 'orders:refund']
+    },
+    {
+        name: 'inventory_manager',
+        description: 'Maintains the catalog and stock',
+        permissions: ['catalog:read', 'catalog:write', 'stock:read', 'stock:write']
+    },
+    {
+        name: 'auditor',
+        description: 'Read-only access to the admin area',
+        permissions: PERMISSIONS.filter(p => p.endsWith(':read'))
+    },
+].forEach(r => roles.set(r.name, { builtIn: false, ...r }));
 
-    const payload = verifyToken(token);
-    if (!payload) return res.status(401).json({ error: 'Invalid refresh token' });
+const hasPermission = (roleName, permission) => {
+    const granted = roles.get(roleName)?.permissions || [];
+    return granted.includes(FULL_ACCESS) || granted.includes(permission);
+};
 
-    const user = users.find(u => u.username === payload.username);
-    if (!user) return res.status(404).json({ error: 'User not found' });
+// Only permissions the actor holds can be granted, and only users whose role holds no more can be managed
+const canGrant = (actorRole, permissions) => permissions.every(p => hasPermission(actorRole, p));
+const canManage = (actorRole, roleName) => canGrant(actorRole, roles.get(roleName)?.permissions || []);
 
-    const { accessToken, refreshToken: newRefresh } = generateTokens(user);
-    res.cookie('refreshToken', newRefresh, { httpOnly: true, secure: false, sameSite: 'strict', maxAge: 7 * 24 * 60 * 60 * 1000 });
+const fullAdmins = () => users.filter(u => hasPermission(u.role, FULL_ACCESS) && !isLocked(u));
 
-    res.json({ accessToken });
-});
+const isLastFullAdmin = (username) => {
+    const admins = fullAdmins();
+    return admins.length === 1 && admins[0].username === username;
+};
 
-app.post('/api/logout', (req, res) => {
-    res.clearCookie('refreshToken');
-    res.json({ message: 'Logged out successfully' });
-});
+const validatePermissions = (permissions) => {
+    const bad = permissions.find(p => p !== FULL_ACCESS && !PERMISSIONS.includes(p));
+    return bad ? `Unknown permission: ${bad}` : null;
+};
 
 // ========================================
-// AUTHENTICATED ROUTES
+// STORAGE
 // ========================================
-app.get('/api/me', requireAuth, (req, res) => {
-    const user = users.find(u => u.username === req.user.username);
-    res.json({
-        username: user.username,
-        role: user.role,
-        type: user.type || 'standard',
-        locked: user.type === 'locked'
-    });
-});
-
-app.patch('/api/me', requireAuth, (req, res) => {
-    const { password } = req.body;
-    if (!password || password.length < 5) return res.status(400).json({ error: 'Password must be ≥ 5 chars' });
-    const user = users.find(u => u.username === req.user.username);
-    user.password = password;
-    res.json({ message: 'Password updated successfully' });
-});
-
-app.delete('/api/me', requireAuth, (req, res) => {
-    if (req.user.username === 'admin') return res.status(403).json({ error: 'Admin cannot delete self' });
-    const idx = users.findIndex(u => u.username === req.user.username);
-    if (idx === -1) return res.status(404).json({ error: 'User not found' });
-    userCarts.delete(req.user.username);
-    users.splice(idx, 1);
-    res.clearCookie('refreshToken');
-    res.json({ message: 'Account deleted permanently' });
-});
-
-// INVENTORY
-app.get('/api/inventory', async (req, res) => {
-    const payload = req.user || null;
-    if (payload?.type === 'performance') await new Promise(r => setTimeout(r, 3000));
+// Backends persist a plain-JSON copy of the whole store and keep named snapshots.
+// The collections above stay the source of truth; hydrateState() refills them in place.
+const serializeState = () => JSON.parse(JSON.stringify({
+    users,
+    inventory,
+    stock: Object.fromEntries(stock),
+    variantStock: Object.fromEntries(variantStock),
+    userCarts: Object.fromEntries(userCarts),
+    wishlists: Object.fromEntries(wishlists),
+    savedForLater: Object.fromEntries(savedForLater),
+    orderHistory,
+    nextProductId,
+    promotions: Array.from(promotions.values()),
+    taxRules,
+    shippingMethods,
+    passwordPolicy,
+    personas: Array.from(personas.values()),
+    roles: Array.from(roles.values()),
+    webhooks: Array.from(webhooks.values())
+}));
 
-    const items = inventory.map(p => ({
-        id: p.id,
-        name: p.name,
-        price: p.price,
-        imageUrl: (payload?.type === 'problem' || payload?.type === 'visual')
-            ? 'https://www.saucedemo.com/img/problem-user.jpg'
-            : `https://www.saucedemo.com/img/${p.img}`,
-        inStock: (stock.get(p.id) || 0) > 0,
-        currentStock: payload?.role === 'admin' ? stock.get(p.id) : undefined
-    }));
+// The store as it was at boot, before any saved state is loaded
+const SEED_STATE = serializeState();
 
-    const { sort } = req.query;
-    let sorted = [...items];
-    if (sort === 'az') sorted.sort((a, b) => a.name.localeCompare(b.name));
-    if (sort === 'za') sorted.sort((a, b) => b.name.localeCompare(a.name));
-    if (sort === 'lohi') sorted.sort((a, b) => a.price - b.price);
-    if (sort === 'hilo') sorted.sort((a, b) => b.price - a.price);
+// Carts saved before coupons could stack hold a single `appliedCoupon`
+const hydrateCart = ({ appliedCoupon, ...data }) => ({ appliedCoupons: appliedCoupon ? [appliedCoupon] : [], shipping: {}, ...data });
 
-    res.json(sorted);
+// Orders saved before the order lifecycle have no status, history or refunds
+const hydrateOrder = (order) => ({
+    status: 'placed',
+    history: [],
+    refunds: [],
+    refundedTotal: 0,
+    ...order,
+    items: order.items.map(i => ({ refundedQuantity: 0, ...i }))
 });
 
-app.get('/api/inventory/:id', (req, res) => {
-    const p = inventory.find(x => x.id === Number(req.params.id));
-    if (!p) return res.status(404).json({ error: 'Product not found' });
-    res.json({ id: p.id, name: p.name, price: p.price, imageUrl: `https://www.saucedemo.com/img/${p.img}` });
-});
+// Collections missing from `data` (e.g. state saved by an older version) fall back to seed data
+const hydrateState = (partial) => {
+    const data = { ...SEED_STATE, ...partial };
+    // Users saved before passwords were hashed still carry a plaintext `password`
+    users.splice(0, users.length, ...data.users.map(({ password, ...u }) =>
+        (u.passwordHash ? u : newUser(u, hashPasswordSync(password)))));
+    inventory.splice(0, inventory.length, ...data.inventory.map(p => ({ ...PRODUCT_DEFAULTS, ...p })));
+    stock.clear();
+    Object.entries(data.stock).forEach(([id, qty]) => stock.set(Number(id), qty));
+    variantStock.clear();
+    Object.entries(data.variantStock).forEach(([sku, qty]) => variantStock.set(sku, qty));
+    userCarts.clear();
+    Object.entries(data.userCarts).forEach(([username, cart]) => userCarts.set(username, hydrateCart(cart)));
+    wishlists.clear();
+    Object.entries(data.wishlists).forEach(([username, items]) => wishlists.set(username, items));
+    savedForLater.clear();
+    Object.entries(data.savedForLater).forEach(([username, items]) => savedForLater.set(username, items));
+    orderHistory.splice(0, orderHistory.length, ...data.orderHistory.map(hydrateOrder));
+    nextProductId = data.nextProductId;
+    promotions.clear();
+    data.promotions.forEach(p => promotions.set(p.code, p));
+    taxRules.splice(0, taxRules.length, ...data.taxRules);
+    shippingMethods.splice(0, shippingMethods.length, ...data.shippingMethods);
+    passwordPolicy = { ...PASSWORD_POLICY_DEFAULTS, ...data.passwordPolicy };
+    personas.clear();
+    data.personas.forEach(p => personas.set(p.type, p));
+    roles.clear();
+    data.roles.forEach(r => roles.set(r.name, r));
+    webhooks.clear();
+    data.webhooks.forEach(w => webhooks.set(w.id, w));
+};
 
-// CART & CHECKOUT
-const getUserCart = (username) => userCarts.get(username) || { cart: [], appliedCoupon: null };
+const createMemoryBackend = () => {
+    const snapshots = new Map(); // name → { name, createdAt, data }
+    return {
+        load: () => null,
+        save: () => {},
+        listSnapshots: () => Array.from(snapshots.values()).map(({ name, createdAt }) => ({ name, createdAt })),
+        getSnapshot: (name) => snapshots.get(name) || null,
+        putSnapshot: (snapshot) => snapshots.set(snapshot.name, snapshot),
+        deleteSnapshot: (name) => snapshots.delete(name),
+        loadAudit: () => [],
+        appendAudit: () => {}
+    };
+};
 
-app.get('/api/cart', requireAuth, (req, res) => {
-    const data = getUserCart(req.user.username);
-    res.json(calculateCartDetails(data.cart, data.appliedCoupon));
-});
+const createFileBackend = (dir) => {
+    const stateFile = path.join(dir, 'state.json');
+    const auditFile = path.join(dir, 'audit.ndjson');
+    const snapshotDir = path.join(dir, 'snapshots');
+    const snapshotFile = (name) => path.join(snapshotDir, `${name}.json`);
+    fs.mkdirSync(snapshotDir, { recursive: true });
 
-app.post('/api/cart', requireAuth, (req, res) => {
-    const { productId, quantity = 1 } = req.body;
-    const id = Number(productId);
-    const qty = Math.min(Number(quantity), 10);
-    if (isNaN(id) || qty < 1) return res.status(400).json({ error: 'Invalid input' });
+    const readJson = (file) => (fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null);
+    const writeJson = (file, data) => {
+        const tmp = `${file}.tmp`;
+        fs.writeFileSync(tmp, JSON.stringify(data, null, 2));
+        fs.renameSync(tmp, file); // atomic replace, so a crash never leaves half a file
+    };
 
-    const product = inventory.find(p => p.id === id);
-    if (!product) return res.status(404).json({ error: 'Product not found' });
+    return {
+        load: () => readJson(stateFile),
+        save: (data) => writeJson(stateFile, data),
+        listSnapshots: () => fs.readdirSync(snapshotDir)
+            .filter(f => f.endsWith('.json'))
+            .map(f => readJson(path.join(snapshotDir, f)))
+            .map(({ name, createdAt }) => ({ name, createdAt })),
+        getSnapshot: (name) => readJson(snapshotFile(name)),
+        putSnapshot: (snapshot) => writeJson(snapshotFile(snapshot.name), snapshot),
+        deleteSnapshot: (name) => {
+            if (!fs.existsSync(snapshotFile(name))) return false;
+            fs.unlinkSync(snapshotFile(name));
+            return true;
+        },
+        // Append-only, so the log survives resets and snapshot restores
+        loadAudit: () => (fs.existsSync(auditFile)
+            ? fs.readFileSync(auditFile, 'utf8').split('\n').filter(Boolean).slice(-AUDIT_LIMIT).map(line => JSON.parse(line))
+            : []),
+        appendAudit: (entry) => fs.appendFileSync(auditFile, `${JSON.stringify(entry)}\n`)
+    };
+};
 
-    const available = stock.get(id) || 0;
-    const data = getUserCart(req.user.username);
-    const current = data.cart.find(i => i.productId === id)?.quantity || 0;
-    if (current + qty > available) return res.status(400).json({ error: 'Not enough stock', available });
-    if (current + qty > 10) return res.status(400).json({ error: 'Maximum 10 per item' });
+const storageBackends = { memory: createMemoryBackend, file: () => createFileBackend(STORE_PATH) };
+if (!storageBackends[STORE_BACKEND]) throw new Error(`Unknown STORE_BACKEND "${STORE_BACKEND}" (use memory or file)`);
+const store = storageBackends[STORE_BACKEND]();
 
-    const existing = data.cart.find(i => i.productId === id);
-    if (existing) existing.quantity += qty;
-    else data.cart.push({ productId: id, quantity: qty });
+const savedState = store.load();
+if (savedState) hydrateState(savedState);
 
-    userCarts.set(req.user.username, data);
-    res.status(201).json(calculateCartDetails(data.cart, data.appliedCoupon));
-});
+// Cross-field fixture rules; shapes and types are checked by the route schema
+const validateFixture = (fixture) => {
+    const fxUsers = fixture.users || [];
+    const dupUser = fxUsers.find((u, i) => fxUsers.findIndex(x => x.username === u.username) !== i);
+    if (dupUser) return `Duplicate user: ${dupUser.username}`;
+    const badType = fxUsers.find(u => u.type !== undefined && !SEED_STATE.personas.some(p => p.type === u.type));
+    if (badType) return `Unknown persona type for ${badType.username}: ${badType.type}`;
 
-app.patch('/api/cart/:productId', requireAuth, (req, res) => {
-    const id = Number(req.params.productId);
-    const { quantity } = req.body;
-    if (!Number.isInteger(quantity) || quantity < 1 || quantity > 10)
-        return res.status(400).json({ error: 'Quantity must be 1–10' });
+    const fxRoles = fixture.roles || [];
+    const dupRole = fxRoles.find((r, i) => fxRoles.findIndex(x => x.name === r.name) !== i);
+    if (dupRole) return `Duplicate role: ${dupRole.name}`;
+    const builtIn = fxRoles.find(r => SEED_STATE.roles.some(s => s.builtIn && s.name === r.name));
+    if (builtIn) return `Cannot redefine built-in role: ${builtIn.name}`;
+    for (const role of fxRoles) {
+        const error = validatePermissions(role.permissions);
+        if (error) return `Role ${role.name}: ${error}`;
+    }
+    const roleNames = fixture.roles ? [...SEED_STATE.roles.filter(r => r.builtIn), ...fxRoles] : SEED_STATE.roles;
+    const badRole = fxUsers.find(u => u.role !== undefined && !roleNames.some(r => r.name === u.role));
+    if (badRole) return `Unknown role for ${badRole.username}: ${badRole.role}`;
 
-    const data = getUserCart(req.user.username);
-    const item = data.cart.find(i => i.productId === id);
-    if (!item) return res.status(404).json({ error: 'Item not in cart' });
-    if (quantity > (stock.get(id) || 0)) return res.status(400).json({ error: 'Not enough stock' });
+    const ids = (fixture.products || []).map(p => p.id).filter(id => id !== undefined);
+    const dupId = ids.find((id, i) => ids.indexOf(id) !== i);
+    if (dupId !== undefined) return `Duplicate product id: ${dupId}`;
 
-    item.quantity = quantity;
-    userCarts.set(req.user.username, data);
-    res.json(calculateCartDetails(data.cart, data.appliedCoupon));
-});
+    const badStockId = Object.keys(fixture.stock || {}).find(id => !/^\d+$/.test(id));
+    if (badStockId) return `Invalid product id in stock: ${badStockId}`;
 
-app.delete('/api/cart/:productId', requireAuth, (req, res) => {
-    const id = Number(req.params.productId);
-    const data = getUserCart(req.user.username);
-    const idx = data.cart.findIndex(i => i.productId === id);
-    if (idx === -1) return res.status(404).json({ error: 'Not in cart' });
-    if (data.cart[idx].quantity > 1) data.cart[idx].quantity--;
-    else data.cart.splice(idx, 1);
-    userCarts.set(req.user.username, data);
-    res.json(calculateCartDetails(data.cart, data.appliedCoupon));
-});
+    const skus = (fixture.products || []).flatMap(p => (p.variants || []).map(v => v.sku));
+    const dupSku = skus.find((sku, i) => skus.indexOf(sku) !== i);
+    if (dupSku) return `Duplicate variant SKU: ${dupSku}`;
 
-app.post('/api/cart/reorder', requireAuth, (req, res) => {
-    const { orderedProductIds } = req.body;
-    if (!Array.isArray(orderedProductIds)) return res.status(400).json({ error: 'orderedProductIds array required' });
+    const error = (fixture.taxRules && validateTaxRules(fixture.taxRules))
+        || (fixture.shippingMethods && validateShippingMethods(fixture.shippingMethods));
+    if (error) return error;
 
-    const data = getUserCart(req.user.username);
-    const map = Object.fromEntries(data.cart.map(i => [i.productId, i]));
-    const newCart = orderedProductIds.map(id => map[id]).filter(Boolean);
-    if (newCart.length !== orderedProductIds.length) return res.status(400).json({ error: 'Invalid product ID' });
+    for (const promotion of fixture.promotions || []) {
+        const error = validatePromotion(promotion);
+        if (error) return `Promotion ${promotion.code}: ${error}`;
+    }
+    return null;
+};
 
-    data.cart = newCart.map(i => ({ productId: i.productId, quantity: i.quantity }));
-    userCarts.set(req.user.username, data);
-    res.json(calculateCartDetails(data.cart, data.appliedCoupon));
-});
+// Builds a full store from seed data, replacing only the collections the fixture declares
+const buildFixtureState = (fixture) => {
+    const state = JSON.parse(JSON.stringify(SEED_STATE));
 
-app.post('/api/cart/coupon', requireAuth, (req, res) => {
-    const { code } = req.body;
-    const data = getUserCart(req.user.username);
-    if (!validCoupons[code]) {
-        data.appliedCoupon = null;
-        userCarts.set(req.user.username, data);
-        return res.status(400).json({ error: 'Invalid coupon code' });
+    if (fixture.users) {
+        state.users = fixture.users.map(({ password, ...u }) => newUser(u, hashPasswordSync(password)));
     }
-    data.appliedCoupon = code;
-    userCarts.set(req.user.username, data);
-    res.json({ message: 'Coupon applied', ...calculateCartDetails(data.cart, code) });
-});
-
-app.delete('/api/cart/coupon', requireAuth, (req, res) => {
-    const data = getUserCart(req.user.username);
-    data.appliedCoupon = null;
-    userCarts.set(req.user.username, data);
-    res.json(calculateCartDetails(data.cart));
-});
 
-app.post('/api/checkout', requireAuth, async (req, res) => {
-    const { firstName, lastName, postalCode } = req.body;
-    if (!firstName || !lastName || !postalCode) return res.status(400).json({ error: 'All fields required' });
-    const data = getUserCart(req.user.username);
-    if (!data.cart.length) return res.status(400).json({ error: 'Cart is empty' });
+    if (fixture.products) {
+        let nextId = Math.max(-1, ...fixture.products.map(p => p.id ?? -1)) + 1;
+        state.inventory = fixture.products.map(p => newProduct({ ...p, id: p.id ?? nextId++ }));
+        state.nextProductId = nextId;
+        state.stock = Object.fromEntries(state.inventory.map(p => [p.id, p.variants.length ? 0 : MAX_STOCK]));
+        state.variantStock = Object.fromEntries(fixture.products.flatMap(p => (p.variants || []).map(v => [v.sku, v.stock ?? MAX_STOCK])));
+    }
 
-    if (req.user.type === 'error') {
-        await new Promise(r => setTimeout(r, 2000));
-        return res.status(500).json({ error: 'Checkout failed (error_user)' });
+    if (fixture.stock) {
+        for (const [id, qty] of Object.entries(fixture.stock)) {
+            if (!state.inventory.some(p => p.id === Number(id))) throw new Error(`Stock given for unknown product ${id}`);
+            state.stock[id] = qty;
+        }
     }
 
-    for (const item of data.cart) {
-        const currentStock = stock.get(item.productId) || 0;
-        stock.set(item.productId, currentStock - item.quantity);
+    if (fixture.coupons || fixture.promotions) {
+        // `coupons` is shorthand for flat percentage codes: { CODE: rate }
+        state.promotions = [
+            ...Object.entries(fixture.coupons || {}).map(([code, value]) => ({ code, name: code, type: 'percentage', value })),
+            ...(fixture.promotions || [])
+        ].map(newPromotion);
     }
 
-    const details = calculateCartDetails(data.cart, data.appliedCoupon);
-    const order = {
-        orderId: 'ORDER-' + Math.random().toString(36).substr(2, 9).toUpperCase(),
-        username: req.user.username,
-        customer: { firstName, lastName, postalCode },
-        ...details,
-        timestamp: new Date().toISOString()
-    };
+    // Fixture roles replace the seeded custom ones; `admin` and `user` always remain
+    if (fixture.roles) {
+        state.roles = [
+            ...state.roles.filter(r => r.builtIn),
+            ...fixture.roles.map(({ name, description = '', permissions }) => ({ name, description, permissions, builtIn: false }))
+        ];
+    }
+    if (fixture.passwordPolicy) state.passwordPolicy = { ...state.passwordPolicy, ...fixture.passwordPolicy };
+    if (fixture.taxRules) state.taxRules = fixture.taxRules;
+    if (fixture.shippingMethods) state.shippingMethods = fixture.shippingMethods;
 
-    orderHistory.push(order);
-    data.cart = [];
-    data.appliedCoupon = null;
-    userCarts.set(req.user.username, data);
+    if (fixture.orders) {
+        state.orderHistory = fixture.orders.map(o => {
+            const items = o.items.map(i => ({ lineTotal: +(i.price * i.quantity).toFixed(2), refundedQuantity: 0, ...i }));
+            const itemTotal = +items.reduce((sum, i) => sum + i.lineTotal, 0).toFixed(2);
+            const discount = +(o.discounts || []).reduce((sum, d) => sum + d.amount, 0).toFixed(2);
+            return {
+                itemTotal,
+                discounts: [],
+                discount,
+                total: +(itemTotal - discount).toFixed(2),
+                status: 'placed',
+                refunds: [],
+                refundedTotal: 0,
+                history: [],
+                ...o,
+                timestamp: new Date(o.timestamp ?? Date.now()).toISOString(),
+                items
+            };
+        });
+    }
 
-    res.status(201).json(order);
-});
+    return state;
+};
 
-app.get('/api/orders', requireAuth, (req, res) => {
-    const userOrders = orderHistory
-        .filter(o => o.username === req.user.username)
-        .map(({ orderId, total, timestamp, items }) => ({
-            orderId, total, timestamp, itemCount: items.length
-        }));
-    res.json(userOrders);
-});
+const persistState = () => {
+    try {
+        store.save(serializeState());
+    } catch (err) {
+        console.error('Failed to persist state:', err.message);
+    }
+};
 
-app.post('/api/reset', requireAuth, (req, res) => {
-    userCarts.set(req.user.username, { cart: [], appliedCoupon: null });
-    res.json({ message: 'App state reset' });
+// Persist after every successful non-GET request, and failures that change state (res.locals.persist)
+app.use((req, res, next) => {
+    if (req.method !== 'GET') res.on('finish', () => (res.statusCode < 400 || res.locals.persist) && persistState());
+    next();
 });
 
 // ========================================
-// ADMIN ROUTES
+// AUDIT LOG
 // ========================================
-app.get('/api/admin/users', requireAuth, requireAdmin, (req, res) => {
-    const safe = users.map(u => ({
-        username: u.username,
-        role: u.role,
-        type: u.type || 'standard',
-        locked: u.type === 'locked'
-    }));
-    res.json({ total: safe.length, users: safe });
-});
+// Every non-GET request that reaches a route is recorded once the response is sent: who,
+// with which role, which route and entity, the status, and what changed in the store.
+// Entries are stamped with the request's arrival time.
+//
+// Handlers call auditTouch(collection, key) right before changing an entity, in the same
+// synchronous step as the change. That takes a before-image of just that entity for the
+// current request (found through AsyncLocalStorage); its after-image is taken when the
+// request ends, or earlier if another request touches the same entity first, so requests
+// that overlap (e.g. while hashing) are never credited with each other's changes. Whole-store
+// replacements (reset, restore) call auditTouchAll() and are diffed in full.
+// Password hashes and webhook secrets are redacted, and request bodies are never stored.
+const auditLog = store.loadAudit();
+let nextAuditId = (auditLog.at(-1)?.id ?? 0) + 1;
 
-app.post('/api/admin/users', requireAuth, requireAdmin, (req, res) => {
-    const { username, password, role = 'user', type = 'standard' } = req.body;
-    if (!username || !password) return res.status(400).json({ error: 'username and password required' });
-    if (users.some(u => u.username === username)) return res.status(409).json({ error: 'Username already exists' });
+const MAX_AUDIT_CHANGES = 50; // beyond this (resets, restores) only the count is kept
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
 
-    users.push({ username, password, role, type: role === 'user' ? type : undefined });
-    res.status(201).json({ message: 'User created by admin', username });
-});
+// How the entities of each array collection (or Map, by its values) are keyed in a diff
+const AUDIT_KEYS = {
+    users: 'username',
+    inventory: 'id',
+    orderHistory: 'orderId',
+    promotions: 'code',
+    personas: 'type',
+    roles: 'name',
+    taxRules: 'id',
+    shippingMethods: 'id',
+    webhooks: 'id'
+};
 
-app.delete('/api/admin/users/:username', requireAuth, requireAdmin, (req, res) => {
-    if (req.params.username === 'admin') return res.status(403).json({ error: 'Cannot delete admin' });
+// Entity types for routes whose first segment isn't already one
+const ROUTE_ENTITIES = {
+    me: 'users',
+    register: 'users',
+    login: 'sessions',
+    logout: 'sessions',
+    refresh: 'sessions',
+    cart: 'carts',
+    checkout: 'orders',
+    stock: 'products'
+};
+
+const SECRET_FIELDS = ['passwordHash', 'secret'];
+const redact = (value) => (isPlainObject(value)
+    ? Object.fromEntries(Object.entries(value).map(([k, v]) => [k, SECRET_FIELDS.includes(k) ? '[redacted]' : v]))
+    : value);
+
+// The live value behind each collection name used in changes (the serializeState() keys)
+const AUDIT_SOURCES = {
+    users: () => users,
+    inventory: () => inventory,
+    stock: () => stock,
+    variantStock: () => variantStock,
+    userCarts: () => userCarts,
+    wishlists: () => wishlists,
+    savedForLater: () => savedForLater,
+    orderHistory: () => orderHistory,
+    nextProductId: () => nextProductId,
+    promotions: () => promotions,
+    taxRules: () => taxRules,
+    shippingMethods: () => shippingMethods,
+    passwordPolicy: () => passwordPolicy,
+    personas: () => personas,
+    roles: () => roles,
+    webhooks: () => webhooks
+};
+
+// A copy of one entity as it is now; null when it doesn't exist. Collections that aren't
+// keyed (passwordPolicy, nextProductId) are one entity under the key ''.
+const auditValue = (collection, key) => {
+    const source = AUDIT_SOURCES[collection]();
+    let value = source;
+    if (source instanceof Map) value = source.get(key);
+    else if (Array.isArray(source)) value = source.find(item => item[AUDIT_KEYS[collection]] === key);
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+};
+
+const auditContext = new AsyncLocalStorage(); // the current request's { touched, bulk, changes }
+const auditOwners = new Map(); // "collection/key" → context of the request that last touched it
+
+const closeTouch = (context, id) => {
+    const touch = context.touched.get(id);
+    if (touch.open) Object.assign(touch, { open: false, after: auditValue(touch.collection, touch.key) });
+    if (auditOwners.get(id) === context) auditOwners.delete(id);
+};
+
+// Marks an entity as about to change in the current request; a no-op outside one
+const auditTouch = (collection, key = '') => {
+    const context = auditContext.getStore();
+    if (!context || context.bulk) return;
+    const id = `${collection}/${key}`;
+    const owner = auditOwners.get(id);
+    if (owner === context) return;
+    if (owner) closeTouch(owner, id); // its change is done: nothing yields between a touch and its change
+    auditOwners.set(id, context);
+    const touch = context.touched.get(id);
+    if (touch) touch.open = true; // touched again later: its before-image stands
+    else context.touched.set(id, { collection, key, before: auditValue(collection, key), open: true });
+};
+
+// Everything kept per account
+const auditTouchAccount = (username) => ['users', 'userCarts', 'wishlists', 'savedForLater'].forEach(c => auditTouch(c, username));
+
+const auditTouchAll = () => {
+    const context = auditContext.getStore();
+    if (context && !context.bulk) context.bulk = serializeState();
+};
+
+const toEntries = (collection, value) => {
+    if (Array.isArray(value)) return new Map(value.map(item => [String(item[AUDIT_KEYS[collection]]), item]));
+    if (isPlainObject(value)) return new Map(Object.entries(value));
+    return new Map([['', value]]);
+};
+
+// One entity's change, or null; updated entities list only their changed fields
+const diffEntity = (collection, key, b, a) => {
+    if (JSON.stringify(b) === JSON.stringify(a)) return null;
+    if (isPlainObject(b) && isPlainObject(a)) {
+        const fields = Object.keys({ ...b, ...a }).filter(f => JSON.stringify(b[f]) !== JSON.stringify(a[f]));
+        const pick = (obj) => Object.fromEntries(fields.map(f => [f, obj[f]]));
+        [b, a] = [pick(b), pick(a)];
+    }
+    return { collection, key: String(key), before: redact(b) ?? null, after: redact(a) ?? null };
+};
+
+// Entity-level diff of two serialized stores
+const diffStates = (before, after) => {
+    const changes = [];
+    for (const collection of Object.keys(after)) {
+        const was = toEntries(collection, before[collection]);
+        const now = toEntries(collection, after[collection]);
+        for (const key of new Set([...was.keys(), ...now.keys()])) {
+            const change = diffEntity(collection, key, was.get(key), now.get(key));
+            if (change) changes.push(change);
+        }
+    }
+    return changes;
+};
+
+// Worked out once the response has finished; the event stream reads the same changes
+const auditChanges = (context) => {
+    if (context.changes) return context.changes;
+    if (context.bulk) return (context.changes = diffStates(context.bulk, serializeState()));
+    for (const id of context.touched.keys()) closeTouch(context, id);
+    context.changes = Array.from(context.touched.values(), t => diffEntity(t.collection, t.key, t.before, t.after)).filter(Boolean);
+    return context.changes;
+};
+
+const auditEntity = (req) => {
+    const segment = req.route.path.split('/').slice(2).find(s => s !== 'admin');
+    const type = ROUTE_ENTITIES[segment] || segment;
+    const param = Object.values(req.params || {})[0]; // unset once an error handler has taken over
+    const id = param ?? (['me', 'cart'].includes(segment) ? req.user?.username : req.body?.username);
+    return { type, id: id === undefined || id === null ? null : String(id) };
+};
+
+const recordAudit = (req, res, context) => {
+    const changes = auditChanges(context);
+    const entry = {
+        id: nextAuditId++,
+        timestamp: context.timestamp,
+        actor: req.user?.username || null,
+        role: req.user?.role || null,
+        method: req.method,
+        route: req.route.path,
+        path: req.originalUrl,
+        status: res.statusCode,
+        entity: auditEntity(req),
+        ip: req.ip || null,
+        changeCount: changes.length,
+        changes: changes.length > MAX_AUDIT_CHANGES ? null : changes
+    };
+    auditLog.push(entry);
+    if (auditLog.length > AUDIT_LIMIT) auditLog.splice(0, auditLog.length - AUDIT_LIMIT);
+    try {
+        store.appendAudit(entry);
+    } catch (err) {
+        console.error('Failed to persist audit entry:', err.message);
+    }
+};
+
+app.use((req, res, next) => {
+    if (READ_ONLY_METHODS.includes(req.method)) return next();
+    const context = { timestamp: new Date().toISOString(), touched: new Map(), bulk: null, changes: null };
+    res.on('finish', () => req.route && recordAudit(req, res, context));
+    // Requests that end without a response (dropped connections) let go of what they touched
+    res.on('close', () => context.touched.forEach((touch, id) => auditOwners.get(id) === context && auditOwners.delete(id)));
+    auditContext.run(context, next);
+});
+
+// ========================================
+// WEBHOOKS
+// ========================================
+// Every event is POSTed as JSON ({ id, type, createdAt, data }) to each active webhook
+// subscribed to its type. Deliveries run in the background; a failed attempt (network
+// error, timeout or non-2xx) is retried after WEBHOOK_RETRY_BASE_MS, doubling each time,
+// until WEBHOOK_MAX_ATTEMPTS. Deliveries live in memory only and can be replayed.
+//
+// Receivers verify X-Webhook-Signature ("t=<unix seconds>,v1=<hex>"), where v1 is the
+// HMAC-SHA256 of "<t>.<raw body>" keyed with the webhook's secret.
+const WEBHOOK_EVENTS = ['order.created', 'order.cancelled', 'stock.low', 'stock.depleted', 'user.registered', 'product.created'];
+const PING_EVENT = 'ping'; // sent on demand to one webhook, never subscribed to
+
+const webhookDeliveries = []; // oldest first
+let nextDeliveryId = 1;
+
+const signWebhook = (secret, timestamp, body) => crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const attemptDelivery = async (delivery) => {
+    const hook = webhooks.get(delivery.webhookId);
+    if (!hook?.active) {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = null;
+        delivery.error = hook ? 'Webhook disabled' : 'Webhook deleted';
+        return;
+    }
+
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    const attempt = { number: delivery.attempts.length + 1, at: new Date().toISOString(), statusCode: null };
+    const started = Date.now();
+    try {
+        const response = await fetch(hook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'SauceDemo-Webhooks/1.0',
+                'X-Webhook-Id': String(delivery.id),
+                'X-Webhook-Event': delivery.event.type,
+                'X-Webhook-Attempt': String(attempt.number),
+                'X-Webhook-Signature': `t=${timestamp},v1=${signWebhook(hook.secret, timestamp, body)}`
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+        });
+        attempt.statusCode = response.status;
+        await response.body?.cancel(); // the response body is never read
+        if (!response.ok) attempt.error = `HTTP ${response.status}`;
+    } catch (err) {
+        attempt.error = err.name === 'TimeoutError' ? 'Timed out' : err.cause?.code || err.message;
+    }
+    attempt.durationMs = Date.now() - started;
+    delivery.attempts.push(attempt);
+
+    if (!attempt.error) {
+        delivery.status = 'succeeded';
+        delivery.nextAttemptAt = null;
+    } else if (delivery.attempts.length >= WEBHOOK_MAX_ATTEMPTS) {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = null;
+    } else {
+        const delay = WEBHOOK_RETRY_BASE_MS * 2 ** (delivery.attempts.length - 1);
+        delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+        setTimeout(() => attemptDelivery(delivery), delay).unref();
+    }
+};
+
+const queueDelivery = (hook, event, replayOf = null) => {
+    const delivery = {
+        id: nextDeliveryId++,
+        webhookId: hook.id,
+        event,
+        status: 'pending',
+        attempts: [],
+        nextAttemptAt: new Date().toISOString(),
+        ...(replayOf && { replayOf })
+    };
+    webhookDeliveries.push(delivery);
+    if (webhookDeliveries.length > WEBHOOK_DELIVERY_LIMIT) webhookDeliveries.splice(0, webhookDeliveries.length - WEBHOOK_DELIVERY_LIMIT);
+    setImmediate(() => attemptDelivery(delivery));
+    return delivery;
+};
+
+// `data` is copied, so later changes to the order or product don't leak into queued retries
+const emitEvent = (type, data, only = null) => {
+    const event = { id: `evt_${crypto.randomUUID()}`, type, createdAt: new Date().toISOString(), data: JSON.parse(JSON.stringify(data)) };
+    for (const hook of only ? [only] : webhooks.values()) {
+        if (hook.active && (only || hook.events.includes(type))) queueDelivery(hook, event);
+    }
+    if (!only && STAFF_EVENT_PERMISSIONS[type]) publishEvent(type, event.data, { permission: STAFF_EVENT_PERMISSIONS[type] });
+    return event;
+};
+
+// Fires stock.low / stock.depleted when a level crosses the threshold or hits zero
+const emitStockEvents = (productId, sku, previous, quantity) => {
+    if (quantity >= previous) return;
+    const data = { productId, ...(sku && { sku }), name: inventory.find(p => p.id === productId)?.name ?? null, previous, quantity };
+    if (quantity === 0) emitEvent('stock.depleted', data);
+    else if (previous > LOW_STOCK_THRESHOLD && quantity <= LOW_STOCK_THRESHOLD) emitEvent('stock.low', { ...data, threshold: LOW_STOCK_THRESHOLD });
+};
+
+// ========================================
+// EVENT STREAM
+// ========================================
+// GET /api/events pushes Server-Sent Events to signed-in clients. Each event goes to an
+// audience: everyone (whether stock is available, products added or removed), one user
+// (their cart and orders), or staff holding a permission (the webhook events, stock counts).
+// A browser EventSource can't set headers, so it may pass the token as ?accessToken= instead.
+// The last EVENT_BUFFER_SIZE events are kept so a reconnecting client can resume after its
+// Last-Event-ID; one that fell further behind gets a `reset` event and should re-fetch.
+const EVENT_BUFFER_SIZE = 1000;
+const EVENT_RETRY_MS = 3000; // reconnect delay suggested to EventSource clients
+const EVENT_HEARTBEAT_MS = 25 * 1000; // keeps idle connections open through proxies
+
+// Webhook events that staff see on the stream; product.created goes to everyone as product.added
+const STAFF_EVENT_PERMISSIONS = {
+    'order.created': 'orders:read',
+    'order.cancelled': 'orders:read',
+    'stock.low': 'stock:read',
+    'stock.depleted': 'stock:read',
+    'user.registered': 'users:read'
+};
+
+const STREAM_EVENTS = ['stock.changed', 'product.added', 'product.removed', 'cart.updated', 'order.updated', ...Object.keys(STAFF_EVENT_PERMISSIONS)];
+
+const eventBuffer = []; // oldest first
+let nextEventId = 1;
+const streamClients = new Set(); // { res, username, sid, types }
+
+// Current role, so permission changes apply to open streams
+const clientCan = (client, permission) => hasPermission(users.find(u => u.username === client.username)?.role, permission);
+
+const canReceive = (client, { type, audience }) => {
+    if (client.types && !client.types.includes(type)) return false;
+    if (!audience) return true;
+    if (audience.username) return audience.username === client.username;
+    return clientCan(client, audience.permission);
+};
+
+const writeEvent = (res, { id, type, data }) => res.write(`${id ? `id: ${id}\n` : ''}event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+// Restricted fields are merged in only for clients holding their permission
+const sendEvent = (client, { restricted, ...event }) => writeEvent(client.res, restricted && clientCan(client, restricted.permission)
+    ? { ...event, data: { ...event.data, ...restricted.data } }
+    : event);
+
+// Streams end with the session they were opened with
+const closeStaleStreams = () => {
+    for (const client of streamClients) {
+        if (sessions.has(client.sid) && !denylist.has(client.sid) && users.some(u => u.username === client.username)) continue;
+        streamClients.delete(client);
+        client.res.end();
+    }
+};
+
+// audience: null (everyone), { username } or { permission }; restricted: { permission, data }
+const publishEvent = (type, data, audience = null, restricted = null) => {
+    const event = { id: nextEventId++, type, audience, data: JSON.parse(JSON.stringify(data)), restricted };
+    eventBuffer.push(event);
+    if (eventBuffer.length > EVENT_BUFFER_SIZE) eventBuffer.splice(0, eventBuffer.length - EVENT_BUFFER_SIZE);
+    if (!streamClients.size) return;
+    closeStaleStreams();
+    for (const client of streamClients) if (canReceive(client, event)) sendEvent(client, event);
+};
+
+setInterval(() => {
+    closeStaleStreams();
+    for (const client of streamClients) client.res.write(': heartbeat\n\n');
+}, EVENT_HEARTBEAT_MS).unref();
+
+// Carts change in many handlers (and in other users' requests, e.g. a merge on login), so the
+// carts each state-changing request left different, as the audit log sees them, are published
+// whether or not their owners are connected: a stream resumed later replays them from the buffer
+app.use((req, res, next) => {
+    const context = auditContext.getStore();
+    if (!context) return next();
+    res.on('finish', () => {
+        const owners = new Set(auditChanges(context).filter(c => c.collection === 'userCarts').map(c => c.key));
+        for (const username of owners) {
+            if (username.startsWith(GUEST_PREFIX)) continue; // guests have no stream to resume
+            const cart = userCarts.get(username) || { cart: [], appliedCoupons: [], shipping: {} };
+            publishEvent('cart.updated', calculateCartDetails(cart, username), { username });
+        }
+    });
+    next();
+});
+
+// ========================================
+// CHAOS
+// ========================================
+// Rules managed through /api/admin/chaos make matching requests misbehave on demand, on top
+// of the persona faults. A rule matches "METHOD /api/path" patterns ('*' is a wildcard) and
+// may be scoped to one user ({ user }) or to requests carrying a header ({ header, value? }).
+// It fires with `probability`, adds latencyMs plus up to jitterMs, and may end the request
+// one way: an error `status`, `corrupt` JSON ('malformed' | 'truncated'), a dropped
+// connection (`drop`), or `stale` data (GET only: the first response seen is replayed).
+// Each rule draws from its own PRNG when given a seed. Rules live in memory, expire after
+// ttlSeconds, and are cleared by a store reset. The chaos and test routes are never affected.
+const CHAOS_CORRUPTIONS = ['malformed', 'truncated'];
+const CHAOS_EXEMPT_PATHS = ['/api/admin/chaos', '/api/test/'];
+
+const chaosRules = new Map(); // id → rule, in creation order
+const chaosRuntime = new Map(); // id → { pattern, random, stale: Map(cache key → { status, body }) }
+let nextChaosRuleId = 1;
+
+const CHAOS_OUTCOMES = ['status', 'corrupt', 'drop', 'stale'];
+
+// Rules the schema can't express; returns an error string or null
+const chaosRuleError = (rule) => {
+    const outcomes = CHAOS_OUTCOMES.filter(k => rule[k]);
+    if (!outcomes.length && !rule.latencyMs && !rule.jitterMs) return 'A rule needs latencyMs, jitterMs, status, corrupt, drop or stale';
+    if (outcomes.length > 1) return `Only one of ${CHAOS_OUTCOMES.join(', ')} per rule`;
+    if (rule.error && !rule.status) return 'error needs a status';
+    if (rule.scope?.user && rule.scope?.header) return 'Scope a rule to a user or a header, not both';
+    if (rule.scope?.value !== undefined && !rule.scope?.header) return 'scope.value needs scope.header';
+    if (rule.stale && !/^(GET|\*) /.test(rule.route)) return 'stale only applies to GET routes';
+    return null;
+};
+
+const routePattern = (route) => new RegExp(`^${route.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+
+const chaosMatches = (rule, req) => {
+    if (!chaosRuntime.get(rule.id).pattern.test(`${req.method} ${req.path}`)) return false;
+    const { user, header, value } = rule.scope || {};
+    if (user) return authOf(req)?.user?.username === user;
+    if (header) return req.get(header) !== undefined && (value === undefined || req.get(header) === value);
+    return true;
+};
+
+// Seeded rules keep their own sequence; the rest share the store's random()
+const resetChaosRuntime = (rule) => chaosRuntime.set(rule.id, {
+    pattern: routePattern(rule.route),
+    random: Number.isInteger(rule.seed) ? createRandom(rule.seed) : null,
+    stale: new Map()
+});
+
+// A trailing comma is the kind of breakage a hand-rolled serializer produces
+const corruptJson = (text, how) => (how === 'truncated'
+    ? text.slice(0, Math.floor(text.length / 2))
+    : `${text.slice(0, -1)},${text.slice(-1)}`);
+
+app.use(async (req, res, next) => {
+    if (!chaosRules.size || CHAOS_EXEMPT_PATHS.some(p => req.path.startsWith(p))) return next();
+
+    const now = Date.now();
+    const fired = [];
+    let delay = 0;
+    for (const rule of chaosRules.values()) {
+        if (rule.expiresAt && Date.parse(rule.expiresAt) <= now) {
+            chaosRules.delete(rule.id);
+            chaosRuntime.delete(rule.id);
+            continue;
+        }
+        if (!chaosMatches(rule, req)) continue;
+        const rand = chaosRuntime.get(rule.id).random || random;
+        if (rand() >= rule.probability) continue;
+        rule.hits++;
+        fired.push(rule);
+        delay += (rule.latencyMs || 0) + (rule.jitterMs ? Math.floor(rand() * (rule.jitterMs + 1)) : 0);
+    }
+    if (!fired.length) return next();
+
+    res.set('X-Chaos-Rule', fired.map(r => r.id).join(','));
+    if (delay) await new Promise(r => setTimeout(r, delay));
+
+    const rule = fired.find(r => CHAOS_OUTCOMES.some(k => r[k]));
+    if (!rule) return next();
+    if (rule.drop) return res.destroy();
+    if (rule.status) return res.status(rule.status).json({ error: rule.error || 'Injected fault' });
+
+    if (rule.corrupt) {
+        res.json = (body) => res.type('json').send(corruptJson(JSON.stringify(body), rule.corrupt));
+    } else if (rule.stale && req.method === 'GET') {
+        const json = res.json.bind(res);
+        const cache = chaosRuntime.get(rule.id).stale;
+        const key = `${authOf(req)?.user?.username ?? ''} ${req.originalUrl}`;
+        if (cache.has(key)) return res.status(cache.get(key).status).json(cache.get(key).body);
+        res.json = (body) => {
+            if (res.statusCode < 400) cache.set(key, { status: res.statusCode, body: JSON.parse(JSON.stringify(body)) });
+            return json(body);
+        };
+    }
+    next();
+});
+
+// ========================================
+// JWT HELPERS
+// ========================================
+// Every login opens a session. Both tokens carry its id (sid) and their own id (jti).
+// /api/refresh rotates the refresh token; presenting an already-rotated one means it leaked,
+// so the whole session is revoked. Sessions are process memory only: a restart logs everyone out.
+const sessions = new Map(); // sid → { sid, username, createdAt, lastUsedAt, expiresAt, userAgent, ip, refreshJti }
+const denylist = new Map(); // revoked sid or access-token jti → when its tokens expire anyway (ms)
+
+const REFRESH_COOKIE = { httpOnly: true, secure: false, sameSite: 'strict', maxAge: SESSION_TTL_MS };
+
+const generateTokens = (user, session) => {
+    session.refreshJti = crypto.randomUUID();
+    const accessToken = jwt.sign(
+        { username: user.username, role: user.role, type: user.type || 'standard', sid: session.sid, typ: 'access' },
+        JWT_SECRET,
+        { expiresIn: JWT_EXPIRES_IN, jwtid: crypto.randomUUID() }
+    );
+    const refreshToken = jwt.sign(
+        { username: user.username, sid: session.sid, typ: 'refresh' },
+        JWT_REFRESH_SECRET,
+        { expiresIn: JWT_REFRESH_EXPIRES_IN, jwtid: session.refreshJti }
+    );
+    return { accessToken, refreshToken };
+};
+
+const startSession = (user, req) => {
+    const now = new Date().toISOString();
+    const session = {
+        sid: crypto.randomUUID(),
+        username: user.username,
+        createdAt: now,
+        lastUsedAt: now,
+        expiresAt: new Date(Date.now() + SESSION_TTL_MS).toISOString(),
+        userAgent: req.get('user-agent') || null,
+        ip: req.ip || null,
+        refreshJti: null
+    };
+    sessions.set(session.sid, session);
+    return generateTokens(user, session);
+};
+
+const revokeSession = (sid) => {
+    const session = sessions.get(sid);
+    if (!session) return false;
+    sessions.delete(sid);
+    denylist.set(sid, Date.parse(session.expiresAt));
+    return true;
+};
+
+// Revokes a user's sessions, optionally sparing one; returns how many were revoked
+const revokeUserSessions = (username, exceptSid = null) => {
+    const sids = [...sessions.values()].filter(s => s.username === username && s.sid !== exceptSid).map(s => s.sid);
+    sids.forEach(revokeSession);
+    return sids.length;
+};
+
+// A reset or restore replaces the users tokens were issued to, so they all stop working
+const endAllSessions = () => {
+    sessions.clear();
+    denylist.clear();
+    closeStaleStreams();
+};
+
+const pruneSessions = () => {
+    const now = Date.now();
+    for (const [sid, session] of sessions) if (Date.parse(session.expiresAt) <= now) sessions.delete(sid);
+    for (const [id, expiresAt] of denylist) if (expiresAt <= now) denylist.delete(id);
+};
+setInterval(pruneSessions, 60 * 1000).unref();
+
+const verifyToken = (token, typ = 'access') => {
+    try {
+        const payload = jwt.verify(token, typ === 'access' ? JWT_SECRET : JWT_REFRESH_SECRET);
+        return payload.typ === typ ? payload : null;
+    } catch (err) {
+        return null;
+    }
+};
+
+// Resolves a bearer token to req.user, or an error message. Role and persona come from the
+// current user record, so admin changes apply without waiting for the token to expire.
+const authenticate = (token) => {
+    const payload = verifyToken(token);
+    if (!payload) return { error: 'Invalid or expired token' };
+    if (denylist.has(payload.jti) || denylist.has(payload.sid)) return { error: 'Token has been revoked' };
+    const session = sessions.get(payload.sid);
+    if (!session) return { error: 'Session expired' };
+    const user = users.find(u => u.username === payload.username);
+    if (!user) return { error: 'User no longer exists' };
+    session.lastUsedAt = new Date().toISOString();
+    return {
+        user: { username: user.username, role: user.role, type: user.type || 'standard', sid: payload.sid, jti: payload.jti }
+    };
+};
+
+// The bearer token's authenticate() result, worked out once per request (null without a token)
+const authOf = (req) => {
+    if (req.auth === undefined) {
+        const token = req.headers.authorization?.split(' ')[1];
+        req.auth = token ? authenticate(token) : null;
+    }
+    return req.auth;
+};
+
+const requireAuth = (req, res, next) => {
+    const auth = authOf(req);
+    if (!auth) return res.status(401).json({ error: 'Access token required' });
+    if (auth.error) return res.status(401).json({ error: auth.error });
+    req.user = auth.user;
+    applyPersona(req, res, next);
+};
+
+// Like requireAuth, but lets anonymous requests through with req.user = null
+const optionalAuth = (req, res, next) => {
+    req.user = authOf(req)?.user || null;
+    applyPersona(req, res, next);
+};
+
+// Guards a route behind one permission; buildOpenApiSpec() reads it back off the handler
+const requirePermission = (permission) => {
+    const middleware = (req, res, next) => {
+        if (!req.user || !hasPermission(req.user.role, permission)) {
+            return res.status(403).json({ error: `Permission required: ${permission}` });
+        }
+        next();
+    };
+    middleware.permission = permission;
+    return middleware;
+};
+
+// ========================================
+// SCHEMAS & VALIDATION
+// ========================================
+// schema() attaches a JSON-Schema subset (OpenAPI 3.0 flavour) to a route. It validates
+// params, query and body, and buildOpenApiSpec() reads it back off the router to
+// describe every /api route. Path and query values are strings, so they are coerced
+// to the declared type before checking.
+const PRODUCT_ID = { type: 'integer', minimum: 0 };
+const PRODUCT_ID_PARAMS = { type: 'object', required: ['productId'], properties: { productId: PRODUCT_ID } };
+const QUANTITY = { type: 'integer', minimum: 1, maximum: MAX_PER_ITEM };
+const USERNAME = { type: 'string', minLength: 3, maxLength: 64, pattern: '^[^:]+$' }; // ':' is reserved for guest cart keys
+const PASSWORD = { type: 'string', minLength: 5, maxLength: 128 }; // hard bounds; passwordPolicy tightens them
+
+const PASSWORD_POLICY_PROPERTIES = {
+    minLength: { type: 'integer', minimum: PASSWORD.minLength, maximum: PASSWORD.maxLength },
+    requireLetter: { type: 'boolean' },
+    requireDigit: { type: 'boolean' },
+    requireUppercase: { type: 'boolean' },
+    requireSymbol: { type: 'boolean' },
+    disallowUsername: { type: 'boolean' },
+    maxFailedLogins: { type: 'integer', minimum: 0 }, // 0 disables lockout
+    lockoutMinutes: { type: 'integer', minimum: 0 }
+};
+const NON_EMPTY_STRING = { type: 'string', minLength: 1 };
+const SNAPSHOT_NAME = { type: 'string', pattern: '^[\\w-]{1,64}$' }; // also keeps names safe as file names
+const PROMOTION_CODE = { type: 'string', pattern: '^[A-Z0-9_-]{3,32}$' };
+const CONFIG_ID = { type: 'string', pattern: '^[a-z0-9_-]{1,32}$' };
+const WEIGHT = { type: 'number', minimum: 0 };
+const PRODUCT_ATTRIBUTES = {
+    description: { type: 'string', maxLength: 2000 },
+    category: { ...NON_EMPTY_STRING, nullable: true },
+    tags: { type: 'array', items: NON_EMPTY_STRING }
+};
+const PRODUCT_PROPERTIES = {
+    name: NON_EMPTY_STRING,
+    price: { type: 'number', minimum: 0, exclusiveMinimum: true },
+    img: NON_EMPTY_STRING,
+    weight: WEIGHT,
+    ...PRODUCT_ATTRIBUTES
+};
+const SKU = { type: 'string', pattern: '^[A-Za-z0-9][A-Za-z0-9_-]{0,39}$' };
+const VARIANT_PROPERTIES = {
+    attributes: { type: 'object', additionalProperties: NON_EMPTY_STRING },
+    price: { type: 'number', minimum: 0, exclusiveMinimum: true, nullable: true }
+};
+const VARIANT_SCHEMA = {
+    type: 'object',
+    required: ['sku'],
+    additionalProperties: false,
+    properties: { sku: SKU, ...VARIANT_PROPERTIES, stock: { type: 'integer', minimum: 0, maximum: 100 } }
+};
+
+const TAX_RULE_SCHEMA = {
+    type: 'object',
+    required: ['id', 'rate'],
+    additionalProperties: false,
+    properties: {
+        id: CONFIG_ID,
+        name: { type: 'string' },
+        rate: { type: 'number', minimum: 0, maximum: 1 },
+        postalPrefix: NON_EMPTY_STRING,
+        region: NON_EMPTY_STRING
+    }
+};
+
+const SHIPPING_METHOD_SCHEMA = {
+    type: 'object',
+    required: ['id', 'type', 'rate'],
+    additionalProperties: false,
+    properties: {
+        id: CONFIG_ID,
+        name: { type: 'string' },
+        type: { type: 'string', enum: ['flat', 'weight', 'price'] },
+        rate: { type: 'number', minimum: 0 },
+        perKg: { type: 'number', minimum: 0 },
+        percent: { type: 'number', minimum: 0, maximum: 1 },
+        freeThreshold: { type: 'number', minimum: 0, nullable: true }
+    }
+};
+
+const PROMOTION_PROPERTIES = {
+    name: { type: 'string' },
+    type: { type: 'string', enum: ['percentage', 'fixed', 'bxgy'] },
+    value: { type: 'number', minimum: 0, exclusiveMinimum: true },
+    buyQuantity: { type: 'integer', minimum: 1 },
+    getQuantity: { type: 'integer', minimum: 1 },
+    minOrderValue: { type: 'number', minimum: 0 },
+    productIds: { type: 'array', items: PRODUCT_ID },
+    categories: { type: 'array', items: NON_EMPTY_STRING },
+    startsAt: { type: 'string', format: 'date-time', nullable: true },
+    endsAt: { type: 'string', format: 'date-time', nullable: true },
+    maxRedemptions: { type: 'integer', minimum: 1, nullable: true },
+    maxRedemptionsPerUser: { type: 'integer', minimum: 1, nullable: true },
+    stackable: { type: 'boolean' },
+    active: { type: 'boolean' }
+};
+
+const PROMOTION_SCHEMA = {
+    type: 'object',
+    required: ['code', 'type'],
+    additionalProperties: false,
+    properties: { code: PROMOTION_CODE, ...PROMOTION_PROPERTIES }
+};
+
+const FAULT_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    properties: {
+        latencyMs: { type: 'integer', minimum: 0, maximum: 60000 },
+        status: { type: 'integer', minimum: 400, maximum: 599 },
+        error: { type: 'string' },
+        swapImages: { type: 'string' },
+        corruptFields: { type: 'object' },
+        dropItems: { type: 'integer', minimum: 0 },
+        sort: { type: 'string', enum: FAULT_SORTS }
+    }
+};
+
+// RESPONSES
+// A route documents its success body with `response` (JSON) and any other media types it can
+// send with `produces`. Shapes several routes share are registered with responseSchema() and
+// published under components.schemas. Responses are described, never checked.
+const RESPONSE_SCHEMAS = {
+    Error: { type: 'object', required: ['error'], properties: { error: { type: 'string' } } },
+    Message: { type: 'object', required: ['message'], properties: { message: { type: 'string' } } }
+};
+const responseSchema = (name, shape) => {
+    RESPONSE_SCHEMAS[name] = shape;
+    return { $ref: `#/components/schemas/${name}` };
+};
+const TIMESTAMP = { type: 'string', format: 'date-time' };
+const NULLABLE_TIMESTAMP = { ...TIMESTAMP, nullable: true };
+const MESSAGE = { $ref: '#/components/schemas/Message' };
+// A confirmation message plus whatever the route reports back
+const withMessage = (properties) => ({ type: 'object', properties: { message: { type: 'string' }, ...properties } });
+const USERNAME_MESSAGE = withMessage({ username: { type: 'string' } });
+// The { total, <key>: [...] } envelope list routes return
+const listOf = (key, items, properties = {}) => ({
+    type: 'object',
+    properties: { ...properties, total: { type: 'integer' }, [key]: { type: 'array', items } }
+});
+
+const typeChecks = {
+    string: v => typeof v === 'string',
+    number: v => typeof v === 'number' && Number.isFinite(v),
+    integer: v => Number.isInteger(v),
+    boolean: v => typeof v === 'boolean',
+    array: v => Array.isArray(v),
+    object: v => isPlainObject(v)
+};
+
+const coerce = (schema, value) => {
+    if (typeof value !== 'string') return value;
+    if ((schema.type === 'integer' || schema.type === 'number') && value.trim() !== '' && !isNaN(value)) return Number(value);
+    if (schema.type === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+    return value;
+};
+
+const checkValue = (schema, value, field, errors) => {
+    const fail = message => errors.push({ field, message });
+    if (value === null) {
+        if (!schema.nullable) fail('must not be null');
+        return;
+    }
+    if (schema.type && !typeChecks[schema.type](value)) return fail(`must be ${schema.type === 'integer' ? 'an' : 'a'} ${schema.type}`);
+    if (schema.enum && !schema.enum.includes(value)) return fail(`must be one of ${schema.enum.join(', ')}`);
+
+    if (schema.exclusiveMinimum ? value <= schema.minimum : value < schema.minimum) fail(`must be ${schema.exclusiveMinimum ? '>' : '≥'} ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be ≤ ${schema.maximum}`);
+    if (schema.minLength !== undefined && value.length < schema.minLength) fail(`must be at least ${schema.minLength} chars`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} chars`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) fail(`must match ${schema.pattern}`);
+    if (schema.format === 'date-time' && isNaN(Date.parse(value))) fail('must be an ISO 8601 date-time');
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.uniqueItems && new Set(value).size !== value.length) fail('must not contain duplicates');
+
+    if (schema.type === 'array' && schema.items) value.forEach((v, i) => checkValue(schema.items, v, `${field}[${i}]`, errors));
+    if (schema.type === 'object') checkObject(schema, value, `${field}.`, errors);
+};
+
+const checkObject = (schema, obj, prefix, errors) => {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach(k => {
+        if (obj[k] === undefined) errors.push({ field: prefix + k, message: 'is required' });
+    });
+    for (const [k, v] of Object.entries(obj)) {
+        if (v === undefined) continue;
+        if (properties[k]) checkValue(properties[k], v, prefix + k, errors);
+        else if (schema.additionalProperties === false) errors.push({ field: prefix + k, message: 'is not allowed' });
+        else if (isPlainObject(schema.additionalProperties)) checkValue(schema.additionalProperties, v, prefix + k, errors);
+    }
+};
+
+const schema = (spec) => {
+    const middleware = (req, res, next) => {
+        const details = [];
+        const collect = (location, objSchema, value) => {
+            const errors = [];
+            checkObject(objSchema, value, '', errors);
+            errors.forEach(e => details.push({ location, ...e }));
+        };
+
+        if (spec.params) {
+            for (const [k, s] of Object.entries(spec.params.properties)) req.params[k] = coerce(s, req.params[k]);
+            collect('params', spec.params, req.params);
+        }
+        if (spec.query) {
+            const query = { ...req.query };
+            for (const [k, s] of Object.entries(spec.query.properties)) if (k in query) query[k] = coerce(s, query[k]);
+            Object.defineProperty(req, 'query', { value: query, writable: true, configurable: true });
+            collect('query', spec.query, query);
+        }
+        if (spec.body) {
+            if (req.body === undefined) req.body = {};
+            if (!isPlainObject(req.body)) details.push({ location: 'body', field: '', message: 'must be a JSON object' });
+            else collect('body', spec.body, req.body);
+        }
+
+        if (details.length) return res.status(400).json({ error: 'Validation failed', details });
+        next();
+    };
+    middleware.spec = spec;
+    return middleware;
+};
+
+// Builds the OpenAPI document by walking the registered routes
+const buildOpenApiSpec = () => {
+    const paths = {};
+    for (const layer of app.router.stack) {
+        const route = layer.route;
+        if (!route || !route.path.startsWith('/api/')) continue;
+        const handles = route.stack.map(l => l.handle);
+        const spec = handles.find(h => h.spec)?.spec || {};
+        const permission = handles.find(h => h.permission)?.permission;
+        const openApiPath = route.path.replace(/:(\w+)/g, '{$1}');
+        const segment = route.path.split('/')[2];
+
+        for (const method of Object.keys(route.methods)) {
+            const toParameters = (where, objSchema) => Object.entries(objSchema?.properties || {}).map(([name, s]) => ({
+                name,
+                in: where,
+                required: where === 'path' || (objSchema.required || []).includes(name),
+                schema: s
+            }));
+            const json = (name) => ({ 'application/json': { schema: { $ref: `#/components/schemas/${name}` } } });
+            const content = {
+                ...(spec.response && { 'application/json': { schema: spec.response } }),
+                ...Object.fromEntries((spec.produces || []).map(type => [type, { schema: { type: 'string' } }]))
+            };
+            const responses = { [spec.status || 200]: { description: 'Success', ...(Object.keys(content).length && { content }) } };
+            if (spec.params || spec.query || spec.body) responses[400] = { description: 'Validation failed', content: json('ValidationError') };
+            if (handles.includes(requireAuth)) responses[401] = { description: 'Missing or invalid access token', content: json('Error') };
+            if (permission) responses[403] = { description: `Requires the ${permission} permission`, content: json('Error') };
+
+            const operation = {
+                summary: spec.summary,
+                tags: [permission ? 'admin' : segment],
+                parameters: [...toParameters('path', spec.params), ...toParameters('query', spec.query)],
+                responses
+            };
+            if (spec.body) operation.requestBody = { required: true, content: { 'application/json': { schema: spec.body } } };
+            if (handles.includes(requireAuth)) operation.security = [{ bearerAuth: [] }];
+            if (handles.includes(optionalAuth) || handles.includes(cartOwner)) operation.security = [{}, { bearerAuth: [] }];
+            if (permission) operation['x-permission'] = permission;
+
+            paths[openApiPath] = { ...paths[openApiPath], [method]: operation };
+        }
+    }
+
+    return {
+        openapi: '3.0.3',
+        info: { title: 'SauceDemo API Replica', version: '12.0.0' },
+        components: {
+            securitySchemes: { bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' } },
+            schemas: {
+                ...RESPONSE_SCHEMAS,
+                ValidationError: {
+                    type: 'object',
+                    properties: {
+                        error: { type: 'string' },
+                        details: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    location: { type: 'string', enum: ['params', 'query', 'body'] },
+                                    field: { type: 'string' },
+                                    message: { type: 'string' }
+                                }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        paths
+    };
+};
+
+// ========================================
+// PROMOTIONS
+// ========================================
+// A promotion is redeemed with its code. Types:
+//   percentage — `value` is a rate (0.2 = 20%) off the eligible lines
+//   fixed      — `value` is an amount off the eligible lines
+//   bxgy       — buy `buyQuantity`, get `getQuantity` of the same product at `value` off (default 1 = free)
+// Eligible lines are limited by `productIds` / `categories`. Line-restricted promotions are
+// applied first, then order-wide ones, each on what earlier promotions left undiscounted.
+const PROMOTION_TYPE_ORDER = { bxgy: 0, percentage: 1, fixed: 2 };
+
+// Rules the schema can't express; returns an error string or null
+const validatePromotion = (p) => {
+    if (p.type === 'percentage' && !(p.value > 0 && p.value <= 1)) return 'percentage value must be a rate > 0 and ≤ 1';
+    if (p.type === 'fixed' && !(p.value > 0)) return 'fixed value must be an amount > 0';
+    if (p.type === 'bxgy') {
+        if (!p.buyQuantity || !p.getQuantity) return 'bxgy needs buyQuantity and getQuantity';
+        if (p.value !== undefined && p.value > 1) return 'bxgy value is the rate off free items (≤ 1)';
+    }
+    if (p.startsAt && p.endsAt && Date.parse(p.startsAt) >= Date.parse(p.endsAt)) return 'startsAt must be before endsAt';
+    return null;
+};
+
+// Why a promotion can't be used right now (ignoring cart contents), or null
+const promotionBlocker = (p, username, now = Date.now()) => {
+    if (!p.active) return 'Promotion is inactive';
+    if (p.startsAt && now < Date.parse(p.startsAt)) return 'Promotion has not started';
+    if (p.endsAt && now >= Date.parse(p.endsAt)) return 'Promotion has expired';
+    if (p.maxRedemptions && p.redemptions >= p.maxRedemptions) return 'Promotion redemption limit reached';
+    if (username && p.maxRedemptionsPerUser && (p.redemptionsByUser[username] || 0) >= p.maxRedemptionsPerUser)
+        return 'You have already used this promotion the maximum number of times';
+    return null;
+};
+
+const isLineEligible = (p, item) => {
+    if (p.productIds.length && !p.productIds.includes(item.productId)) return false;
+    if (p.categories.length) {
+        const product = inventory.find(x => x.id === item.productId);
+        if (!p.categories.includes(product?.category)) return false;
+    }
+    return true;
+};
+
+// Works out each applied promotion's discount lines. `remaining` holds each line's undiscounted value.
+const applyPromotions = (items, codes, username) => {
+    const itemTotal = items.reduce((s, i) => s + i.lineTotal, 0);
+    const remaining = new Map(items.map(i => [lineKey(i), i.lineTotal]));
+    const discounts = [];
+    const ineligible = [];
+
+    const applied = codes
+        .map(code => promotions.get(code))
+        .filter(Boolean)
+        .sort((a, b) => Number(!(a.productIds.length || a.categories.length)) - Number(!(b.productIds.length || b.categories.length))
+            || PROMOTION_TYPE_ORDER[a.type] - PROMOTION_TYPE_ORDER[b.type]);
+
+    for (const p of applied) {
+        const blocker = promotionBlocker(p, username)
+            || (itemTotal < p.minOrderValue ? `Minimum order value ${p.minOrderValue} not met` : null);
+        const lines = items.filter(i => isLineEligible(p, i) && remaining.get(lineKey(i)) > 0);
+        if (blocker || !lines.length) {
+            ineligible.push({ code: p.code, reason: blocker || 'No eligible items in cart' });
+            continue;
+        }
+
+        const perLine = new Map();
+        if (p.type === 'percentage') {
+            lines.forEach(i => perLine.set(lineKey(i), remaining.get(lineKey(i)) * p.value));
+        } else if (p.type === 'fixed') {
+            const base = lines.reduce((s, i) => s + remaining.get(lineKey(i)), 0);
+            const amount = Math.min(p.value, base);
+            lines.forEach(i => perLine.set(lineKey(i), amount * remaining.get(lineKey(i)) / base));
+        } else {
+            lines.forEach(i => {
+                const freeUnits = Math.floor(i.quantity / (p.buyQuantity + p.getQuantity)) * p.getQuantity;
+                if (freeUnits) perLine.set(lineKey(i), Math.min(freeUnits * i.price * p.value, remaining.get(lineKey(i))));
+            });
+        }
+
+        const amount = +[...perLine.values()].reduce((s, v) => s + v, 0).toFixed(2);
+        if (!amount) {
+            ineligible.push({ code: p.code, reason: 'No eligible items in cart' });
+            continue;
+        }
+        perLine.forEach((v, key) => remaining.set(key, remaining.get(key) - v));
+        const productIds = [...new Set(lines.filter(i => perLine.has(lineKey(i))).map(i => i.productId))];
+        discounts.push({ code: p.code, name: p.name, type: p.type, amount, productIds });
+    }
+
+    return { discounts, ineligible };
+};
+
+// Counts a redemption for every promotion that produced a discount on a placed order
+const redeemPromotions = (discounts, username) => {
+    discounts.forEach(d => {
+        const p = promotions.get(d.code);
+        if (!p) return;
+        auditTouch('promotions', p.code);
+        p.redemptions++;
+        p.redemptionsByUser[username] = (p.redemptionsByUser[username] || 0) + 1;
+    });
+};
+
+// ========================================
+// TAX & SHIPPING
+// ========================================
+const hasDuplicateIds = (list) => new Set(list.map(x => x.id)).size !== list.length;
+
+const validateTaxRules = (rules) => {
+    if (hasDuplicateIds(rules)) return 'Tax rule ids must be unique';
+    if (rules.filter(r => !r.postalPrefix && !r.region).length > 1) return 'Only one fallback tax rule (no postalPrefix or region) allowed';
+    return null;
+};
+
+const validateShippingMethods = (methods) => {
+    if (!methods.length) return 'At least one shipping method is required';
+    if (hasDuplicateIds(methods)) return 'Shipping method ids must be unique';
+    const bad = methods.find(m => (m.type === 'weight' && m.perKg === undefined) || (m.type === 'price' && m.percent === undefined));
+    if (bad) return `Shipping method ${bad.id}: ${bad.type === 'weight' ? 'perKg' : 'percent'} is required`;
+    return null;
+};
+
+const resolveTaxRule = (postalCode, region) => {
+    const byPrefix = postalCode && taxRules
+        .filter(r => r.postalPrefix && String(postalCode).startsWith(r.postalPrefix))
+        .sort((a, b) => b.postalPrefix.length - a.postalPrefix.length)[0];
+    const byRegion = region && taxRules.find(r => r.region && r.region.toLowerCase() === String(region).toLowerCase());
+    return byPrefix || byRegion || taxRules.find(r => !r.postalPrefix && !r.region) || { id: 'none', name: 'No tax', rate: 0 };
+};
+
+const resolveShippingMethod = (id) =>
+    shippingMethods.find(m => m.id === id) || shippingMethods.find(m => m.id === DEFAULT_SHIPPING_METHOD) || shippingMethods[0];
+
+const shippingCost = (method, subtotal, weight) => {
+    if (method.freeThreshold !== null && method.freeThreshold !== undefined && subtotal >= method.freeThreshold) return 0;
+    if (method.type === 'weight') return +(method.rate + method.perKg * weight).toFixed(2);
+    if (method.type === 'price') return +(method.rate + method.percent * subtotal).toFixed(2);
+    return method.rate;
+};
+
+// `data` is a cart record: { cart, appliedCoupons, shipping: { method, postalCode, region } }
+const calculateCartDetails = (data, username = null) => {
+    const { cart, appliedCoupons: coupons = [], shipping: destination = {} } = data;
+    const items = cart.map(i => {
+        const p = inventory.find(x => x.id === i.productId);
+        if (!p) return null;
+        const variant = findVariant(p, i.sku);
+        const price = variant?.price ?? p.price;
+        return {
+            productId: p.id,
+            ...(variant && { sku: variant.sku, attributes: variant.attributes }),
+            name: p.name,
+            price,
+            quantity: i.quantity,
+            lineTotal: +(price * i.quantity).toFixed(2),
+            reservedUntil: i.reservedUntil > Date.now() ? new Date(i.reservedUntil).toISOString() : null
+        };
+    }).filter(Boolean);
+
+    const itemTotal = +items.reduce((s, i) => s + i.lineTotal, 0).toFixed(2);
+    const { discounts, ineligible } = applyPromotions(items, coupons, username);
+    const discount = +discounts.reduce((s, d) => s + d.amount, 0).toFixed(2);
+    const subtotal = +(itemTotal - discount).toFixed(2);
+
+    const taxRule = resolveTaxRule(destination.postalCode, destination.region);
+    const tax = +(subtotal * taxRule.rate).toFixed(2);
+
+    const method = resolveShippingMethod(destination.method);
+    const weight = +cart.reduce((s, i) => s + (inventory.find(p => p.id === i.productId)?.weight ?? DEFAULT_WEIGHT_KG) * i.quantity, 0).toFixed(3);
+    const shipping = {
+        method: method.id,
+        name: method.name,
+        weight,
+        cost: items.length ? shippingCost(method, subtotal, weight) : 0
+    };
+
+    const total = +(subtotal + tax + shipping.cost).toFixed(2);
+
+    return {
+        items,
+        itemTotal,
+        coupons,
+        discounts,
+        ineligiblePromotions: ineligible,
+        discount,
+        subtotal,
+        taxRate: taxRule.rate,
+        taxRule: { id: taxRule.id, name: taxRule.name },
+        tax,
+        shipping,
+        total
+    };
+};
+
+// ========================================
+// STOCK RESERVATIONS
+// ========================================
+// `stock` / `variantStock` hold on-hand units. Each cart line reserves its quantity until
+// `reservedUntil`; units held by other shoppers' live reservations are not available to you.
+// Guest carts cost nothing to make, so they only check stock: their lines reserve on merge.
+// Lines and stock are addressed by product id plus SKU (null for products without variants).
+const findVariant = (product, sku) => product?.variants.find(v => v.sku === sku) || null;
+const isSameLine = (line, productId, sku = null) => line.productId === productId && (line.sku ?? null) === (sku ?? null);
+const lineKey = (line) => line.sku ?? line.productId;
+
+const onHand = (productId, sku = null) => (sku ? variantStock.get(sku) : stock.get(productId)) || 0;
+const setOnHand = (productId, sku, quantity) => {
+    const previous = onHand(productId, sku);
+    if (sku) auditTouch('variantStock', sku);
+    else auditTouch('stock', productId);
+    if (sku) variantStock.set(sku, quantity);
+    else stock.set(productId, quantity);
+    if (quantity === previous) return;
+    emitStockEvents(productId, sku, previous, quantity);
+    // Shoppers learn only what the inventory shows them; stock counts stay with stock:read
+    publishEvent('stock.changed', { productId, ...(sku && { sku }), inStock: availableStock(productId, sku) > 0 }, null,
+        { permission: 'stock:read', data: { previous, quantity } });
+};
+const totalOnHand = (product) => (product.variants.length
+    ? product.variants.reduce((sum, v) => sum + onHand(product.id, v.sku), 0)
+    : onHand(product.id));
+
+const reservedQuantity = (productId, sku = null, exceptUsername = null) => {
+    const now = Date.now();
+    let total = 0;
+    for (const [username, data] of userCarts) {
+        if (username === exceptUsername) continue;
+        for (const line of data.cart) {
+            if (isSameLine(line, productId, sku) && line.reservedUntil > now) total += line.quantity;
+        }
+    }
+    return total;
+};
+
+// Archived products can't be bought, so carts still holding them fail checkout with a shortfall
+const availableStock = (productId, sku = null, forUsername = null) => {
+    if (inventory.find(p => p.id === productId)?.archivedAt) return 0;
+    return Math.max(0, onHand(productId, sku) - reservedQuantity(productId, sku, forUsername));
+};
+
+const reserve = (owner, line) => {
+    if (!owner.startsWith(GUEST_PREFIX)) line.reservedUntil = Date.now() + RESERVATION_TTL_MS;
+};
+
+// Lapsed reservations already stop counting; this just clears them so carts show the release
+const releaseExpiredReservations = () => {
+    const now = Date.now();
+    for (const data of userCarts.values()) {
+        for (const line of data.cart) if (line.reservedUntil && line.reservedUntil <= now) line.reservedUntil = null;
+    }
+};
+setInterval(releaseExpiredReservations, 60 * 1000).unref();
+
+// ========================================
+// PUBLIC ROUTES
+// ========================================
+app.get('/api/health', schema({
+    summary: 'Service health and feature list',
+    response: {
+        type: 'object',
+        properties: {
+            status: { type: 'string' },
+            version: { type: 'string' },
+            auth: { type: 'string' },
+            features: { type: 'array', items: { type: 'string' } }
+        }
+    }
+}), (req, res) => {
+    res.json({
+        status: 'ok',
+        version: '12.0 ULTIMATE FINAL — BUG-FREE',
+        auth: 'JWT + Refresh + Rate Limiting',
+        features: ['registration', 'self-service', 'admin-panel', 'product-crud', 'rate-limiting', 'personas', 'snapshots', 'fixtures', 'openapi', 'order-lifecycle', 'stock-reservations', 'promotions', 'tax-shipping', 'catalog-search', 'product-variants', 'account-lockout', 'sessions', 'roles', 'audit-log', 'guest-carts', 'wishlists', 'order-reports', 'webhooks', 'event-stream', 'chaos']
+    });
+});
+
+app.get('/api/openapi.json', schema({
+    summary: 'This OpenAPI document',
+    response: { type: 'object', properties: { openapi: { type: 'string' }, paths: { type: 'object' } } }
+}), (req, res) => {
+    res.json(buildOpenApiSpec());
+});
+
+const SHIPPING_METHOD = responseSchema('ShippingMethod', SHIPPING_METHOD_SCHEMA);
+
+app.get('/api/shipping-methods', schema({
+    summary: 'Available shipping methods and their pricing',
+    response: { type: 'object', properties: { defaultMethod: { type: 'string' }, methods: { type: 'array', items: SHIPPING_METHOD } } }
+}), (req, res) => {
+    res.json({ defaultMethod: DEFAULT_SHIPPING_METHOD, methods: shippingMethods });
+});
+
+app.post('/api/register', schema({
+    summary: 'Register a new standard user',
+    status: 201,
+    response: USERNAME_MESSAGE,
+    body: { type: 'object', required: ['username', 'password'], properties: { username: USERNAME, password: PASSWORD } }
+}), async (req, res) => {
+    const { username, password } = req.body;
+    const details = passwordPolicyErrors(password, username);
+    if (details.length) return res.status(400).json({ error: 'Validation failed', details });
+    if (users.some(u => u.username === username)) return res.status(409).json({ error: 'Username already taken' });
+
+    const passwordHash = await hashPassword(password);
+    // Hashing yields, so the same name may have been registered meanwhile
+    if (users.some(u => u.username === username)) return res.status(409).json({ error: 'Username already taken' });
+    auditTouch('users', username);
+    users.push(newUser({ username }, passwordHash));
+    emitEvent('user.registered', { username });
+    res.status(201).json({ message: 'Registration successful! You can now log in.', username });
+});
+
+const LOCKED_OUT = 'Sorry, this user has been locked out.';
+
+app.post('/api/login', schema({
+    summary: 'Log in and receive an access token (refresh token set as cookie); merges any guest cart',
+    response: withMessage({
+        accessToken: { type: 'string' },
+        user: { type: 'object', properties: { username: { type: 'string' }, role: { type: 'string' } } },
+        // Only when a guest cart was merged
+        cartMerge: {
+            type: 'object',
+            properties: {
+                lines: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            productId: PRODUCT_ID,
+                            sku: SKU,
+                            requested: { type: 'integer' },
+                            added: { type: 'integer' },
+                            reason: { type: 'string', enum: ['unavailable', 'limit', 'stock'] }
+                        }
+                    }
+                }
+            }
+        }
+    }),
+    body: { type: 'object', required: ['username', 'password'], properties: { username: { type: 'string' }, password: { type: 'string' } } }
+}), async (req, res) => {
+    const { username, password } = req.body;
+    const user = users.find(u => u.username === username);
+    const valid = await verifyPassword(password, user?.passwordHash ?? DUMMY_HASH);
+    // Unknown names, wrong passwords and locked accounts all look alike until the password is right
+    if (!user || !valid) {
+        if (user && !isLocked(user)) {
+            res.locals.persist = true;
+            recordFailedLogin(user);
+        }
+        return res.status(401).json({ error: 'Invalid credentials' });
+    }
+    if (isLocked(user)) return res.status(403).json({ error: LOCKED_OUT, lockedUntil: user.lock.until });
+    auditTouch('users', username);
+    user.failedLogins = 0;
+    user.lock = null; // any lock left here has expired
+    if (await injectFault(getPersonaFault(user.type, 'POST /api/login'), res)) return;
+
+    const { accessToken, refreshToken } = startSession(user, req);
+    res.cookie('refreshToken', refreshToken, REFRESH_COOKIE);
+    const cartMerge = mergeGuestCart(req.cookies[GUEST_COOKIE], username);
+    if (req.cookies[GUEST_COOKIE]) res.clearCookie(GUEST_COOKIE);
+    res.json({ message: 'Login successful', accessToken, user: { username, role: user.role }, ...(cartMerge && { cartMerge }) });
+});
+
+app.post('/api/refresh', schema({
+    summary: 'Rotate a refresh token (cookie or body) for a new token pair; reusing an old one revokes the session',
+    response: { type: 'object', properties: { accessToken: { type: 'string' }, refreshToken: { type: 'string' } } },
+    body: { type: 'object', properties: { refreshToken: { type: 'string' } } }
+}), (req, res) => {
+    const token = req.cookies.refreshToken || req.body.refreshToken;
+    if (!token) return res.status(401).json({ error: 'Refresh token required' });
+
+    const payload = verifyToken(token, 'refresh');
+    if (!payload) return res.status(401).json({ error: 'Invalid refresh token' });
+    const session = sessions.get(payload.sid);
+    if (!session) return res.status(401).json({ error: 'Session expired or revoked' });
+    if (payload.jti !== session.refreshJti) {
+        revokeSession(session.sid);
+        return res.status(401).json({ error: 'Refresh token reuse detected; session revoked' });
+    }
+
+    const user = users.find(u => u.username === payload.username);
+    if (!user) return res.status(401).json({ error: 'User no longer exists' });
+
+    session.lastUsedAt = new Date().toISOString();
+    session.expiresAt = new Date(Date.now() + SESSION_TTL_MS).toISOString();
+    const { accessToken, refreshToken } = generateTokens(user, session);
+    res.cookie('refreshToken', refreshToken, REFRESH_COOKIE);
+
+    // Callers that sent the token in the body can't read the cookie, so they get it back the same way
+    res.json({ accessToken, ...(req.body.refreshToken && { refreshToken }) });
+});
+
+app.post('/api/logout', schema({
+    summary: 'End the session behind the access token or refresh cookie and clear the cookie',
+    response: MESSAGE
+}), (req, res) => {
+    const access = verifyToken(req.headers.authorization?.split(' ')[1]);
+    const refresh = verifyToken(req.cookies.refreshToken, 'refresh');
+    if (access) denylist.set(access.jti, access.exp * 1000);
+    const sid = access?.sid || refresh?.sid;
+    if (sid) revokeSession(sid);
+    res.clearCookie('refreshToken');
+    res.json({ message: 'Logged out successfully' });
+});
+
+// ========================================
+// AUTHENTICATED ROUTES
+// ========================================
+app.get('/api/me', requireAuth, schema({
+    summary: 'Current user profile',
+    response: {
+        type: 'object',
+        properties: { username: { type: 'string' }, role: { type: 'string' }, type: { type: 'string' }, locked: { type: 'boolean' } }
+    }
+}), (req, res) => {
+    const user = users.find(u => u.username === req.user.username);
+    res.json({
+        username: user.username,
+        role: user.role,
+        type: user.type || 'standard',
+        locked: user.type === 'locked' || isLocked(user)
+    });
+});
+
+app.patch('/api/me', requireAuth, schema({
+    summary: 'Change own password; the current one must be confirmed',
+    response: withMessage({ sessionsRevoked: { type: 'integer' } }),
+    body: { type: 'object', required: ['currentPassword', 'password'], properties: { currentPassword: { type: 'string' }, password: PASSWORD } }
+}), async (req, res) => {
+    const { currentPassword, password } = req.body;
+    const user = users.find(u => u.username === req.user.username);
+    if (!await verifyPassword(currentPassword, user.passwordHash)) return res.status(403).json({ error: 'Current password is incorrect' });
+
+    const details = passwordPolicyErrors(password, user.username);
+    if (password === currentPassword) details.push({ location: 'body', field: 'password', message: 'must differ from the current password' });
+    if (details.length) return res.status(400).json({ error: 'Validation failed', details });
+
+    const passwordHash = await hashPassword(password);
+    auditTouch('users', user.username);
+    user.passwordHash = passwordHash;
+    const sessionsRevoked = revokeUserSessions(user.username, req.user.sid);
+    res.json({ message: 'Password updated successfully', sessionsRevoked });
+});
+
+app.delete('/api/me', requireAuth, schema({
+    summary: 'Delete own account',
+    response: MESSAGE
+}), (req, res) => {
+    if (isLastFullAdmin(req.user.username)) return res.status(403).json({ error: 'Cannot delete the last full admin' });
+    const idx = users.findIndex(u => u.username === req.user.username);
+    if (idx === -1) return res.status(404).json({ error: 'User not found' });
+    auditTouchAccount(req.user.username);
+    userCarts.delete(req.user.username);
+    wishlists.delete(req.user.username);
+    savedForLater.delete(req.user.username);
+    users.splice(idx, 1);
+    revokeUserSessions(req.user.username);
+    res.clearCookie('refreshToken');
+    res.json({ message: 'Account deleted permanently' });
+});
+
+// SESSIONS
+const sessionView = (session, currentSid) => {
+    const { refreshJti, ...view } = session;
+    return { ...view, current: session.sid === currentSid };
+};
+
+const SESSION = responseSchema('Session', {
+    type: 'object',
+    properties: {
+        sid: { type: 'string' },
+        username: { type: 'string' },
+        createdAt: TIMESTAMP,
+        lastUsedAt: TIMESTAMP,
+        expiresAt: TIMESTAMP,
+        userAgent: { type: 'string', nullable: true },
+        ip: { type: 'string', nullable: true },
+        current: { type: 'boolean' }
+    }
+});
+
+app.get('/api/me/sessions', requireAuth, schema({
+    summary: 'Own active sessions',
+    response: listOf('sessions', SESSION)
+}), (req, res) => {
+    const own = [...sessions.values()].filter(s => s.username === req.user.username);
+    res.json({ total: own.length, sessions: own.map(s => sessionView(s, req.user.sid)) });
+});
+
+app.delete('/api/me/sessions', requireAuth, schema({
+    summary: 'Log out every other session',
+    response: withMessage({ revoked: { type: 'integer' } })
+}), (req, res) => {
+    res.json({ message: 'Other sessions revoked', revoked: revokeUserSessions(req.user.username, req.user.sid) });
+});
+
+app.delete('/api/me/sessions/:sid', requireAuth, schema({
+    summary: 'Log out one of your sessions (including this one)',
+    response: withMessage({ sid: { type: 'string' } }),
+    params: { type: 'object', required: ['sid'], properties: { sid: NON_EMPTY_STRING } }
+}), (req, res) => {
+    const session = sessions.get(req.params.sid);
+    if (!session || session.username !== req.user.username) return res.status(404).json({ error: 'Session not found' });
+    revokeSession(session.sid);
+    res.json({ message: 'Session revoked', sid: session.sid });
+});
+
+// EVENTS
+// Used when there is no Authorization header, for EventSource clients
+const queryTokenAuth = (req, res, next) => {
+    if (!req.headers.authorization && req.query.accessToken) req.auth = authenticate(req.query.accessToken);
+    next();
+};
+
+app.get('/api/events', queryTokenAuth, requireAuth, schema({
+    summary: 'Server-Sent Events stream; resumes after the Last-Event-ID header (or lastEventId)',
+    produces: ['text/event-stream'],
+    query: {
+        type: 'object',
+        properties: {
+            accessToken: { type: 'string' },
+            types: { type: 'string', pattern: '^[a-z.]+(,[a-z.]+)*$' },
+            lastEventId: { type: 'integer', minimum: 0 }
+        }
+    }
+}), (req, res) => {
+    const types = req.query.types?.split(',');
+    const unknown = types?.find(t => !STREAM_EVENTS.includes(t));
+    if (unknown) return res.status(400).json({ error: `Unknown event type: ${unknown}`, types: STREAM_EVENTS });
+    const header = req.get('Last-Event-ID');
+    const lastId = header !== undefined && /^\d+$/.test(header) ? Number(header) : req.query.lastEventId;
+
+    res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+    res.flushHeaders();
+    res.write(`retry: ${EVENT_RETRY_MS}\n\n`);
+
+    const client = { res, username: req.user.username, sid: req.user.sid, types };
+    if (lastId !== undefined) {
+        const oldest = eventBuffer[0]?.id ?? nextEventId;
+        // Too old, or from before a restart: the client can't know what it missed
+        if (lastId < oldest - 1 || lastId >= nextEventId) writeEvent(res, { type: 'reset', data: { lastEventId: nextEventId - 1 } });
+        eventBuffer.filter(e => e.id > lastId && canReceive(client, e)).forEach(e => sendEvent(client, e));
+    }
+    streamClients.add(client);
+    res.on('close', () => streamClients.delete(client));
+});
+
+// INVENTORY
+const INVENTORY_SORT_FIELDS = ['id', 'name', 'price', 'category', 'inStock'];
+// The original SauceDemo sort options, kept as shorthands for a field and direction
+const LEGACY_SORTS = { az: ['name', 'asc'], za: ['name', 'desc'], lohi: ['price', 'asc'], hilo: ['price', 'desc'] };
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const productView = (p, user) => {
+    const variants = p.variants.map(v => ({
+        sku: v.sku,
+        attributes: v.attributes,
+        price: v.price ?? p.price,
+        inStock: availableStock(p.id, v.sku, user?.username) > 0
+    }));
+    return {
+        id: p.id,
+        name: p.name,
+        description: p.description,
+        price: p.price,
+        category: p.category,
+        tags: p.tags,
+        imageUrl: `https://www.saucedemo.com/img/${p.img}`,
+        ...(variants.length && { variants }),
+        inStock: variants.length ? variants.some(v => v.inStock) : availableStock(p.id, null, user?.username) > 0,
+        currentStock: user && hasPermission(user.role, 'stock:read') ? totalOnHand(p) : undefined
+    };
+};
+
+// currentStock is only shown to stock:read holders
+const PRODUCT = responseSchema('Product', {
+    type: 'object',
+    properties: {
+        id: PRODUCT_ID,
+        name: { type: 'string' },
+        description: { type: 'string' },
+        price: { type: 'number' },
+        category: { type: 'string', nullable: true },
+        tags: { type: 'array', items: { type: 'string' } },
+        imageUrl: { type: 'string' },
+        variants: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: { sku: SKU, attributes: VARIANT_PROPERTIES.attributes, price: { type: 'number' }, inStock: { type: 'boolean' } }
+            }
+        },
+        inStock: { type: 'boolean' },
+        currentStock: { type: 'integer' }
+    }
+});
+
+// Every whitespace-separated term must appear in the name or description
+const matchesSearch = (p, q) => {
+    const haystack = `${p.name} ${p.description}`.toLowerCase();
+    return q.toLowerCase().split(/\s+/).filter(Boolean).every(term => haystack.includes(term));
+};
+
+const compareBy = (field) => (a, b) => {
+    const x = a[field] ?? '';
+    const y = b[field] ?? '';
+    return typeof x === 'string' ? x.localeCompare(y) : Number(x) - Number(y);
+};
+
+// RFC 8288 pagination links that keep the caller's filters, sort and page size
+const paginationLinks = (path, query, pages) => {
+    const { page, limit } = query;
+    const link = (rel, n) => `<${path}?${new URLSearchParams({ ...query, page: n, limit })}>; rel="${rel}"`;
+    return [
+        link('first', 1),
+        page > 1 && link('prev', Math.min(page - 1, pages)),
+        page < pages && link('next', page + 1),
+        link('last', pages)
+    ].filter(Boolean).join(', ');
+};
+
+app.get('/api/inventory', optionalAuth, schema({
+    summary: 'Search, filter, sort and page through products',
+    response: { type: 'array', items: PRODUCT },
+    query: {
+        type: 'object',
+        properties: {
+            q: { type: 'string', maxLength: 200 },
+            category: NON_EMPTY_STRING,
+            tag: NON_EMPTY_STRING,
+            minPrice: { type: 'number', minimum: 0 },
+            maxPrice: { type: 'number', minimum: 0 },
+            inStock: { type: 'boolean' },
+            sort: { type: 'string', enum: [...Object.keys(LEGACY_SORTS), ...INVENTORY_SORT_FIELDS] },
+            order: { type: 'string', enum: ['asc', 'desc'] },
+            page: { type: 'integer', minimum: 1, default: 1 },
+            limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE }
+        }
+    }
+}), (req, res) => {
+    const { q, category, tag, minPrice, maxPrice, inStock, sort, order, page = 1, limit = DEFAULT_PAGE_SIZE } = req.query;
+    if (minPrice !== undefined && maxPrice !== undefined && minPrice > maxPrice)
+        return res.status(400).json({ error: 'minPrice must not exceed maxPrice' });
+
+    // `tag=a,b` keeps products carrying every listed tag
+    const tags = tag ? tag.toLowerCase().split(',').map(t => t.trim()).filter(Boolean) : [];
+    const matches = inventory
+        .filter(p => !p.archivedAt)
+        .filter(p => !q || matchesSearch(p, q))
+        .filter(p => !category || p.category?.toLowerCase() === category.toLowerCase())
+        .filter(p => tags.every(t => p.tags.some(x => x.toLowerCase() === t)))
+        .filter(p => minPrice === undefined || p.price >= minPrice)
+        .filter(p => maxPrice === undefined || p.price <= maxPrice)
+        .map(p => productView(p, req.user))
+        .filter(p => inStock === undefined || p.inStock === inStock);
+
+    const [field, defaultOrder] = LEGACY_SORTS[sort] || [sort || 'id', 'asc'];
+    const direction = (order || defaultOrder) === 'desc' ? -1 : 1;
+    const byField = compareBy(field);
+    matches.sort((a, b) => direction * byField(a, b) || a.id - b.id);
+
+    const pages = Math.max(1, Math.ceil(matches.length / limit));
+    res.set({
+        'X-Total-Count': String(matches.length),
+        Link: paginationLinks(req.path, { ...req.query, page, limit }, pages)
+    });
+    res.json(matches.slice((page - 1) * limit, page * limit));
+});
+
+app.get('/api/inventory/:id', schema({
+    summary: 'Get one product',
+    response: PRODUCT,
+    params: { type: 'object', required: ['id'], properties: { id: PRODUCT_ID } }
+}), (req, res) => {
+    const p = inventory.find(x => x.id === req.params.id);
+    if (!p || p.archivedAt) return res.status(404).json({ error: 'Product not found' });
+    res.json(productView(p, null));
+});
+
+// CART & CHECKOUT
+// Cart routes serve guests too: without a bearer token the cart is found by the guestCart
+// cookie, issued on first use. Logging in merges it into the user's cart (see mergeGuestCart).
+// Coupons, checkout and stock reservations still need an account.
+const GUEST_COOKIE = 'guestCart';
+const GUEST_COOKIE_OPTIONS = { httpOnly: true, secure: false, sameSite: 'strict', maxAge: GUEST_CART_TTL_MS };
+const GUEST_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Handlers look a cart up right before changing it, so this is where the audit log takes its before-image
+const getUserCart = (username) => {
+    auditTouch('userCarts', username);
+    return userCarts.get(username) || { cart: [], appliedCoupons: [], shipping: {} };
+};
+
+// Stamps guest carts so idle ones can be dropped
+const saveCart = (owner, data) => {
+    if (owner.startsWith(GUEST_PREFIX)) data.updatedAt = Date.now();
+    userCarts.set(owner, data);
+};
+
+// Sets req.cartOwner: the username, or the guest cart key. A bearer token still has to be valid.
+const cartOwner = (req, res, next) => {
+    if (req.headers.authorization) return requireAuth(req, res, () => {
+        req.cartOwner = req.user.username;
+        next();
+    });
+    let guestId = req.cookies[GUEST_COOKIE];
+    if (!GUEST_ID.test(guestId || '')) {
+        guestId = crypto.randomUUID();
+        res.cookie(GUEST_COOKIE, guestId, GUEST_COOKIE_OPTIONS);
+    }
+    req.user = null;
+    req.cartOwner = GUEST_PREFIX + guestId;
+    next();
+};
+
+const pruneGuestCarts = () => {
+    const cutoff = Date.now() - GUEST_CART_TTL_MS;
+    for (const [owner, data] of userCarts) if (owner.startsWith(GUEST_PREFIX) && data.updatedAt <= cutoff) userCarts.delete(owner);
+};
+setInterval(pruneGuestCarts, 60 * 60 * 1000).unref();
+
+// Moves a guest cart into the user's cart. Lines for the same product and variant add up,
+// but only as far as stock and MAX_PER_ITEM allow; each line reports what was requested, what
+// was added and, when short, why. The user's shipping choice wins over the guest's.
+const mergeGuestCart = (guestId, username) => {
+    const guest = GUEST_ID.test(guestId || '') && userCarts.get(GUEST_PREFIX + guestId);
+    if (!guest) return null;
+    auditTouch('userCarts', GUEST_PREFIX + guestId);
+    userCarts.delete(GUEST_PREFIX + guestId);
+    const data = getUserCart(username);
+
+    const lines = guest.cart.map(({ productId, sku = null, quantity: requested }) => {
+        const product = inventory.find(p => p.id === productId && !p.archivedAt);
+        const report = { productId, ...(sku && { sku }), requested, added: 0 };
+        if (!product || (sku && !findVariant(product, sku))) return { ...report, reason: 'unavailable' };
+
+        let line = data.cart.find(i => isSameLine(i, productId, sku));
+        const current = line?.quantity || 0;
+        const byStock = availableStock(productId, sku, username) - current;
+        const byLimit = MAX_PER_ITEM - current;
+        report.added = Math.max(0, Math.min(requested, byStock, byLimit));
+        if (report.added) {
+            if (line) line.quantity += report.added;
+            else data.cart.push(line = { productId, ...(sku && { sku }), quantity: report.added });
+            reserve(username, line);
+        }
+        if (report.added < requested) report.reason = byLimit <= byStock ? 'limit' : 'stock';
+        return report;
+    });
+    if (!data.shipping?.method && guest.shipping?.method) data.shipping = guest.shipping;
+
+    userCarts.set(username, data);
+    return { lines };
+};
+
+// Adds units to a cart line, within stock and the per-item cap. Returns an error response
+// ({ status, body }) or null.
+const addToCart = (owner, data, { productId, sku = null, quantity }) => {
+    const product = inventory.find(p => p.id === productId && !p.archivedAt);
+    if (!product) return { status: 404, body: { error: 'Product not found' } };
+    if (product.variants.length && !sku)
+        return { status: 400, body: { error: 'This product has variants; choose one by sku', skus: product.variants.map(v => v.sku) } };
+    if (sku && !findVariant(product, sku)) return { status: 404, body: { error: 'Variant not found' } };
+
+    const available = availableStock(productId, sku, owner);
+    let line = data.cart.find(i => isSameLine(i, productId, sku));
+    const current = line?.quantity || 0;
+    if (current + quantity > available) return { status: 400, body: { error: 'Not enough stock', available } };
+    if (current + quantity > MAX_PER_ITEM) return { status: 400, body: { error: `Maximum ${MAX_PER_ITEM} per item` } };
+
+    if (line) line.quantity += quantity;
+    else data.cart.push(line = { productId, ...(sku && { sku }), quantity });
+    reserve(owner, line);
+    return null;
+};
+
+// Lines for a product, narrowed to one variant when a SKU is given
+const findLines = (items, productId, sku) => items.filter(i => i.productId === productId && (!sku || i.sku === sku));
+const cartLines = (data, productId, sku) => findLines(data.cart, productId, sku);
+const CART_LINE_QUERY = { type: 'object', properties: { sku: SKU } };
+const AMBIGUOUS_LINE = 'Several variants of this product are in the cart; pass sku';
+
+const CART_LINE = {
+    productId: PRODUCT_ID,
+    sku: SKU,
+    attributes: VARIANT_PROPERTIES.attributes,
+    name: { type: 'string' },
+    price: { type: 'number' },
+    quantity: { type: 'integer' },
+    lineTotal: { type: 'number' }
+};
+// The priced totals a cart quotes and an order keeps
+const CART_TOTALS = {
+    itemTotal: { type: 'number' },
+    coupons: { type: 'array', items: { type: 'string' } },
+    discounts: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                code: { type: 'string' },
+                name: { type: 'string' },
+                type: PROMOTION_PROPERTIES.type,
+                amount: { type: 'number' },
+                productIds: { type: 'array', items: PRODUCT_ID }
+            }
+        }
+    },
+    ineligiblePromotions: {
+        type: 'array',
+        items: { type: 'object', properties: { code: { type: 'string' }, reason: { type: 'string' } } }
+    },
+    discount: { type: 'number' },
+    subtotal: { type: 'number' },
+    taxRate: { type: 'number' },
+    taxRule: { type: 'object', properties: { id: { type: 'string' }, name: { type: 'string' } } },
+    tax: { type: 'number' },
+    shipping: {
+        type: 'object',
+        properties: { method: { type: 'string' }, name: { type: 'string' }, weight: { type: 'number' }, cost: { type: 'number' } }
+    },
+    total: { type: 'number' }
+};
+const CART = responseSchema('Cart', {
+    type: 'object',
+    properties: {
+        items: {
+            type: 'array',
+            items: { type: 'object', properties: { ...CART_LINE, reservedUntil: NULLABLE_TIMESTAMP } }
+        },
+        ...CART_TOTALS
+    }
+});
+
+app.get('/api/cart', cartOwner, schema({
+    summary: 'Current cart with totals',
+    response: CART
+}), (req, res) => {
+    const data = getUserCart(req.cartOwner);
+    res.json(calculateCartDetails(data, req.cartOwner));
+});
+
+app.post('/api/cart', cartOwner, schema({
+    summary: 'Add an item to the cart',
+    status: 201,
+    response: CART,
+    body: {
+        type: 'object',
+        required: ['productId'],
+        properties: { productId: PRODUCT_ID, sku: SKU, quantity: { ...QUANTITY, default: 1 } }
+    }
+}), (req, res) => {
+    const { productId, sku, quantity = 1 } = req.body;
+    const data = getUserCart(req.cartOwner);
+    const failure = addToCart(req.cartOwner, data, { productId, sku, quantity });
+    if (failure) return res.status(failure.status).json(failure.body);
+
+    saveCart(req.cartOwner, data);
+    res.status(201).json(calculateCartDetails(data, req.cartOwner));
+});
+
+app.post('/api/cart/coupon', requireAuth, schema({
+    summary: 'Apply a coupon code (several may stack if every one is stackable)',
+    response: { allOf: [CART, MESSAGE] },
+    body: { type: 'object', required: ['code'], properties: { code: NON_EMPTY_STRING } }
+}), (req, res) => {
+    const { code } = req.body;
+    const data = getUserCart(req.user.username);
+    const promotion = promotions.get(code);
+    if (!promotion) return res.status(400).json({ error: 'Invalid coupon code' });
+    if (data.appliedCoupons.includes(code)) return res.status(409).json({ error: 'Coupon already applied' });
+
+    const blocker = promotionBlocker(promotion, req.user.username);
+    if (blocker) return res.status(400).json({ error: blocker });
+    const clash = data.appliedCoupons.map(c => promotions.get(c)).find(p => p && (!p.stackable || !promotion.stackable));
+    if (clash) return res.status(409).json({ error: `Cannot be combined with ${clash.code}` });
+
+    // Cart-dependent conditions (minimum order, eligible products) are re-checked on every
+    // cart read and reported in ineligiblePromotions until the cart qualifies
+    data.appliedCoupons = [...data.appliedCoupons, code];
+    userCarts.set(req.user.username, data);
+    res.json({ message: 'Coupon applied', ...calculateCartDetails(data, req.user.username) });
+});
+
+app.delete('/api/cart/coupon', requireAuth, schema({
+    summary: 'Remove every applied coupon',
+    response: CART
+}), (req, res) => {
+    const data = getUserCart(req.user.username);
+    data.appliedCoupons = [];
+    userCarts.set(req.user.username, data);
+    res.json(calculateCartDetails(data, req.user.username));
+});
+
+app.delete('/api/cart/coupon/:code', requireAuth, schema({
+    summary: 'Remove one applied coupon',
+    response: CART,
+    params: { type: 'object', required: ['code'], properties: { code: NON_EMPTY_STRING } }
+}), (req, res) => {
+    const data = getUserCart(req.user.username);
+    if (!data.appliedCoupons.includes(req.params.code)) return res.status(404).json({ error: 'Coupon not applied' });
+    data.appliedCoupons = data.appliedCoupons.filter(c => c !== req.params.code);
+    userCarts.set(req.user.username, data);
+    res.json(calculateCartDetails(data, req.user.username));
+});
+
+app.put('/api/cart/shipping', cartOwner, schema({
+    summary: 'Choose a shipping method and destination for the cart quote',
+    response: CART,
+    body: {
+        type: 'object',
+        required: ['method'],
+        additionalProperties: false,
+        properties: { method: CONFIG_ID, postalCode: NON_EMPTY_STRING, region: NON_EMPTY_STRING }
+    }
+}), (req, res) => {
+    const { method, postalCode, region } = req.body;
+    if (!shippingMethods.some(m => m.id === method)) return res.status(400).json({ error: `Unknown shipping method: ${method}` });
+    const data = getUserCart(req.cartOwner);
+    data.shipping = { method, postalCode: postalCode || null, region: region || null };
+    saveCart(req.cartOwner, data);
+    res.json(calculateCartDetails(data, req.cartOwner));
+});
+
+app.patch('/api/cart/:productId', cartOwner, schema({
+    summary: 'Set the quantity of a cart item',
+    response: CART,
+    params: { type: 'object', required: ['productId'], properties: { productId: PRODUCT_ID } },
+    query: CART_LINE_QUERY,
+    body: { type: 'object', required: ['quantity'], properties: { quantity: QUANTITY } }
+}), (req, res) => {
+    const id = req.params.productId;
+    const { quantity } = req.body;
+
+    const data = getUserCart(req.cartOwner);
+    const lines = cartLines(data, id, req.query.sku);
+    if (lines.length > 1) return res.status(400).json({ error: AMBIGUOUS_LINE });
+    const item = lines[0];
+    if (!item) return res.status(404).json({ error: 'Item not in cart' });
+    const available = availableStock(id, item.sku, req.cartOwner);
+    if (quantity > available) return res.status(400).json({ error: 'Not enough stock', available });
+
+    item.quantity = quantity;
+    reserve(req.cartOwner, item);
+    saveCart(req.cartOwner, data);
+    res.json(calculateCartDetails(data, req.cartOwner));
+});
+
+app.delete('/api/cart/:productId', cartOwner, schema({
+    summary: 'Remove one unit of a cart item',
+    response: CART,
+    params: { type: 'object', required: ['productId'], properties: { productId: PRODUCT_ID } },
+    query: CART_LINE_QUERY
+}), (req, res) => {
+    const id = req.params.productId;
+    const data = getUserCart(req.cartOwner);
+    const lines = cartLines(data, id, req.query.sku);
+    if (lines.length > 1) return res.status(400).json({ error: AMBIGUOUS_LINE });
+    const idx = data.cart.indexOf(lines[0]);
+    if (idx === -1) return res.status(404).json({ error: 'Not in cart' });
+    if (data.cart[idx].quantity > 1) data.cart[idx].quantity--;
+    else data.cart.splice(idx, 1);
+    saveCart(req.cartOwner, data);
+    res.json(calculateCartDetails(data, req.cartOwner));
+});
+
+app.post('/api/cart/reorder', cartOwner, schema({
+    summary: 'Reorder cart lines',
+    response: CART,
+    body: { type: 'object', required: ['orderedProductIds'], properties: { orderedProductIds: { type: 'array', items: PRODUCT_ID } } }
+}), (req, res) => {
+    const { orderedProductIds } = req.body;
+
+    const data = getUserCart(req.cartOwner);
+    if (orderedProductIds.some(id => !cartLines(data, id).length)) return res.status(400).json({ error: 'Invalid product ID' });
+    // Variant lines of the same product move together, keeping their relative order
+    const newCart = orderedProductIds.flatMap(id => cartLines(data, id));
+
+    data.cart = newCart.map(i => ({ ...i }));
+    saveCart(req.cartOwner, data);
+    res.json(calculateCartDetails(data, req.cartOwner));
+});
+
+// WISHLIST & SAVED FOR LATER
+// Per-user lists that hold no stock. A wishlist entry may leave the variant open; saved lines
+// keep their quantity. Moving a line to the cart goes through the usual stock and cap checks.
+const listItemView = (item, user) => {
+    const product = inventory.find(p => p.id === item.productId);
+    if (!product || product.archivedAt) return { ...item, name: product?.name ?? null, price: null, inStock: false };
+    const variant = findVariant(product, item.sku);
+    return {
+        ...item,
+        name: product.name,
+        price: variant?.price ?? product.price,
+        inStock: variant ? availableStock(product.id, variant.sku, user.username) > 0 : productView(product, user).inStock
+    };
+};
+
+// Wishlist entries carry addedAt, saved lines quantity and savedAt
+const LIST_ITEM = responseSchema('ListItem', {
+    type: 'object',
+    properties: {
+        productId: PRODUCT_ID,
+        sku: SKU,
+        quantity: { type: 'integer' },
+        addedAt: TIMESTAMP,
+        savedAt: TIMESTAMP,
+        name: { type: 'string', nullable: true },
+        price: { type: 'number', nullable: true },
+        inStock: { type: 'boolean' }
+    }
+});
+const LIST_ITEMS = listOf('items', LIST_ITEM);
+const SAVED_AND_CART = withMessage({ saved: { type: 'array', items: LIST_ITEM }, cart: CART });
+
+// The one line a route addresses, or an error response
+const pickLine = (items, productId, sku, missing) => {
+    const lines = findLines(items, productId, sku);
+    if (lines.length > 1) return { error: { status: 400, body: { error: 'Several variants of this product are listed; pass sku' } } };
+    if (!lines.length) return { error: { status: 404, body: { error: missing } } };
+    return { line: lines[0] };
+};
+
+app.get('/api/wishlist', requireAuth, schema({
+    summary: 'Own wishlist',
+    response: LIST_ITEMS
+}), (req, res) => {
+    const items = (wishlists.get(req.user.username) || []).map(i => listItemView(i, req.user));
+    res.json({ total: items.length, items });
+});
+
+app.post('/api/wishlist', requireAuth, schema({
+    summary: 'Add a product, or one variant of it, to the wishlist',
+    status: 201,
+    response: LIST_ITEMS,
+    body: { type: 'object', required: ['productId'], properties: { productId: PRODUCT_ID, sku: SKU } }
+}), (req, res) => {
+    const { productId, sku = null } = req.body;
+    const product = inventory.find(p => p.id === productId && !p.archivedAt);
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+    if (sku && !findVariant(product, sku)) return res.status(404).json({ error: 'Variant not found' });
+    const items = wishlists.get(req.user.username) || [];
+    if (items.some(i => isSameLine(i, productId, sku))) return res.status(409).json({ error: 'Already in wishlist' });
+    auditTouch('wishlists', req.user.username);
+
+    items.push({ productId, ...(sku && { sku }), addedAt: new Date().toISOString() });
+    wishlists.set(req.user.username, items);
+    res.status(201).json({ total: items.length, items: items.map(i => listItemView(i, req.user)) });
+});
+
+app.delete('/api/wishlist/:productId', requireAuth, schema({
+    summary: 'Remove a product from the wishlist',
+    response: LIST_ITEMS,
+    params: PRODUCT_ID_PARAMS,
+    query: CART_LINE_QUERY
+}), (req, res) => {
+    const items = wishlists.get(req.user.username) || [];
+    const { line, error } = pickLine(items, req.params.productId, req.query.sku, 'Not in wishlist');
+    if (error) return res.status(error.status).json(error.body);
+    auditTouch('wishlists', req.user.username);
+    items.splice(items.indexOf(line), 1);
+    res.json({ total: items.length, items: items.map(i => listItemView(i, req.user)) });
+});
+
+app.post('/api/wishlist/:productId/move-to-cart', requireAuth, schema({
+    summary: 'Move a wishlist entry into the cart; pass sku in the body if the entry leaves the variant open',
+    response: withMessage({ cart: CART }),
+    params: PRODUCT_ID_PARAMS,
+    query: CART_LINE_QUERY,
+    body: { type: 'object', properties: { sku: SKU, quantity: { ...QUANTITY, default: 1 } } }
+}), (req, res) => {
+    const items = wishlists.get(req.user.username) || [];
+    const { line, error } = pickLine(items, req.params.productId, req.query.sku, 'Not in wishlist');
+    if (error) return res.status(error.status).json(error.body);
+
+    const data = getUserCart(req.user.username);
+    const sku = line.sku || req.body.sku;
+    const failure = addToCart(req.user.username, data, { productId: line.productId, sku, quantity: req.body.quantity || 1 });
+    if (failure) return res.status(failure.status).json(failure.body);
+
+    auditTouch('wishlists', req.user.username);
+    items.splice(items.indexOf(line), 1);
+    saveCart(req.user.username, data);
+    res.json({ message: 'Moved to cart', cart: calculateCartDetails(data, req.user.username) });
+});
+
+app.get('/api/cart/saved', requireAuth, schema({
+    summary: 'Own saved-for-later lines',
+    response: LIST_ITEMS
+}), (req, res) => {
+    const items = (savedForLater.get(req.user.username) || []).map(i => listItemView(i, req.user));
+    res.json({ total: items.length, items });
+});
+
+app.post('/api/cart/:productId/save-for-later', requireAuth, schema({
+    summary: 'Move a cart line to saved for later, releasing its reservation',
+    response: SAVED_AND_CART,
+    params: PRODUCT_ID_PARAMS,
+    query: CART_LINE_QUERY
+}), (req, res) => {
+    const data = getUserCart(req.user.username);
+    const { line, error } = pickLine(data.cart, req.params.productId, req.query.sku, 'Item not in cart');
+    if (error) return res.status(error.status).json(error.body);
+
+    auditTouch('savedForLater', req.user.username);
+    const items = savedForLater.get(req.user.username) || [];
+    const saved = items.find(i => isSameLine(i, line.productId, line.sku));
+    if (saved) saved.quantity = Math.min(MAX_PER_ITEM, saved.quantity + line.quantity);
+    else items.push({ productId: line.productId, ...(line.sku && { sku: line.sku }), quantity: line.quantity, savedAt: new Date().toISOString() });
+    savedForLater.set(req.user.username, items);
+    data.cart.splice(data.cart.indexOf(line), 1);
+    saveCart(req.user.username, data);
+
+    res.json({
+        message: 'Saved for later',
+        saved: items.map(i => listItemView(i, req.user)),
+        cart: calculateCartDetails(data, req.user.username)
+    });
+});
+
+app.post('/api/cart/saved/:productId/move-to-cart', requireAuth, schema({
+    summary: 'Move a saved line back into the cart (all of it unless quantity is given)',
+    response: SAVED_AND_CART,
+    params: PRODUCT_ID_PARAMS,
+    query: CART_LINE_QUERY,
+    body: { type: 'object', properties: { quantity: QUANTITY } }
+}), (req, res) => {
+    const items = savedForLater.get(req.user.username) || [];
+    const { line, error } = pickLine(items, req.params.productId, req.query.sku, 'Not saved for later');
+    if (error) return res.status(error.status).json(error.body);
+    const quantity = Math.min(req.body.quantity || line.quantity, line.quantity);
+
+    const data = getUserCart(req.user.username);
+    const failure = addToCart(req.user.username, data, { productId: line.productId, sku: line.sku, quantity });
+    if (failure) return res.status(failure.status).json(failure.body);
+
+    auditTouch('savedForLater', req.user.username);
+    line.quantity -= quantity;
+    if (!line.quantity) items.splice(items.indexOf(line), 1);
+    saveCart(req.user.username, data);
+    res.json({
+        message: 'Moved to cart',
+        saved: items.map(i => listItemView(i, req.user)),
+        cart: calculateCartDetails(data, req.user.username)
+    });
+});
+
+app.delete('/api/cart/saved/:productId', requireAuth, schema({
+    summary: 'Remove a saved-for-later line',
+    response: LIST_ITEMS,
+    params: PRODUCT_ID_PARAMS,
+    query: CART_LINE_QUERY
+}), (req, res) => {
+    const items = savedForLater.get(req.user.username) || [];
+    const { line, error } = pickLine(items, req.params.productId, req.query.sku, 'Not saved for later');
+    if (error) return res.status(error.status).json(error.body);
+    auditTouch('savedForLater', req.user.username);
+    items.splice(items.indexOf(line), 1);
+    res.json({ total: items.length, items: items.map(i => listItemView(i, req.user)) });
+});
+
+// ORDERS
+// placed → paid → shipped → delivered; cancelled before shipping (paid orders get back what is left
+// of their payment); refunded once every unit is refunded
+const ORDER_STATUSES = ['placed', 'paid', 'shipped', 'delivered', 'cancelled', 'refunded'];
+const ORDER_TRANSITIONS = {
+    placed: ['paid', 'cancelled'],
+    paid: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: [],
+    refunded: []
+};
+const REFUNDABLE_STATUSES = ['paid', 'shipped', 'delivered'];
+
+const findOrder = (orderId) => orderHistory.find(o => o.orderId === orderId);
+
+const recordOrderEvent = (order, event, by) => {
+    order.history.push({ ...event, at: new Date().toISOString(), by });
+    publishEvent('order.updated', { orderId: order.orderId, status: order.status, event: order.history.at(-1) }, { username: order.username });
+};
+
+// Returns units to stock, skipping products and variants removed since the order was placed
+const restock = (productId, sku, quantity) => {
+    const product = inventory.find(p => p.id === productId);
+    if (!product || (sku && !findVariant(product, sku))) return;
+    setOnHand(productId, sku, onHand(productId, sku) + quantity);
+};
+
+const cancelOrder = (order, by, note) => {
+    auditTouch('orderHistory', order.orderId);
+    const paid = order.status === 'paid';
+    order.status = 'cancelled';
+    recordOrderEvent(order, { type: 'status', status: 'cancelled', note }, by);
+    // Refunding the units not yet refunded also puts them back in stock
+    if (paid) refundOrder(order, null, { by, reason: note });
+    else order.items.forEach(i => restock(i.productId, i.sku, i.quantity - i.refundedQuantity));
+    emitEvent('order.cancelled', { order });
+};
+
+// Refunds the requested lines (default: everything not yet refunded). The amount is each
+// line's share of the order total, so discount, tax and shipping are refunded proportionally;
+// the last refund settles the exact balance.
+// Variant lines are addressed by productId plus sku.
+const refundOrder = (order, lines, { by, reason, restockItems = true }) => {
+    const describe = (line) => `${line.productId}${line.sku ? ` (${line.sku})` : ''}`;
+    const findItem = (line) => order.items.find(i => isSameLine(i, line.productId, line.sku));
+    const requested = lines
+        ? Object.values(lines.reduce((acc, l) => {
+            const key = lineKey(l);
+            acc[key] = { productId: l.productId, ...(l.sku && { sku: l.sku }), quantity: (acc[key]?.quantity || 0) + l.quantity };
+            return acc;
+        }, {}))
+        : order.items
+            .map(i => ({ productId: i.productId, ...(i.sku && { sku: i.sku }), quantity: i.quantity - i.refundedQuantity }))
+            .filter(l => l.quantity > 0);
+    if (!requested.length) throw new Error('Nothing left to refund');
+
+    for (const line of requested) {
+        const item = findItem(line);
+        if (!item) throw new Error(`Product ${describe(line)} is not on this order`);
+        if (line.quantity > item.quantity - item.refundedQuantity)
+            throw new Error(`Only ${item.quantity - item.refundedQuantity} of product ${describe(line)} left to refund`);
+    }
+
+    auditTouch('orderHistory', order.orderId);
+    requested.forEach(line => {
+        findItem(line).refundedQuantity += line.quantity;
+        if (restockItems) restock(line.productId, line.sku, line.quantity);
+    });
+
+    // Shares are rounded per refund, so the one refunding the last unit takes whatever is left
+    const settled = order.items.every(i => i.refundedQuantity === i.quantity);
+    const amount = settled ? +(order.total - order.refundedTotal).toFixed(2) : +requested.reduce((sum, line) => {
+        const item = findItem(line);
+        return sum + (item.price * line.quantity / order.itemTotal) * order.total;
+    }, 0).toFixed(2);
+
+    const refund = {
+        refundId: 'REFUND-' + random().toString(36).substr(2, 9).toUpperCase(),
+        items: requested,
+        amount,
+        reason: reason || null,
+        restocked: restockItems
+    };
+    order.refunds.push(refund);
+    order.refundedTotal = +(order.refundedTotal + amount).toFixed(2);
+    recordOrderEvent(order, { type: 'refund', refundId: refund.refundId, amount, note: reason }, by);
+
+    if (settled && order.status !== 'cancelled') {
+        order.status = 'refunded';
+        recordOrderEvent(order, { type: 'status', status: 'refunded' }, by);
+    }
+    return refund;
+};
+
+const ORDER_ID_PARAMS = { type: 'object', required: ['orderId'], properties: { orderId: NON_EMPTY_STRING } };
+
+const REFUND = responseSchema('Refund', {
+    type: 'object',
+    properties: {
+        refundId: { type: 'string' },
+        items: {
+            type: 'array',
+            items: { type: 'object', properties: { productId: PRODUCT_ID, sku: SKU, quantity: { type: 'integer' } } }
+        },
+        amount: { type: 'number' },
+        reason: { type: 'string', nullable: true },
+        restocked: { type: 'boolean' }
+    }
+});
+// Orders loaded from fixtures may lack the pricing breakdown
+const ORDER = responseSchema('Order', {
+    type: 'object',
+    properties: {
+        orderId: { type: 'string' },
+        username: { type: 'string' },
+        customer: {
+            type: 'object',
+            properties: { firstName: { type: 'string' }, lastName: { type: 'string' }, postalCode: { type: 'string' }, region: { type: 'string' } }
+        },
+        items: { type: 'array', items: { type: 'object', properties: { ...CART_LINE, refundedQuantity: { type: 'integer' } } } },
+        ...CART_TOTALS,
+        status: { type: 'string', enum: ORDER_STATUSES },
+        refunds: { type: 'array', items: REFUND },
+        refundedTotal: { type: 'number' },
+        history: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    type: { type: 'string', enum: ['status', 'refund'] },
+                    status: { type: 'string', enum: ORDER_STATUSES },
+                    refundId: { type: 'string' },
+                    amount: { type: 'number' },
+                    note: { type: 'string' },
+                    at: TIMESTAMP,
+                    by: { type: 'string' }
+                }
+            }
+        },
+        timestamp: TIMESTAMP
+    }
+});
+
+app.post('/api/checkout', requireAuth, schema({
+    summary: 'Place an order from the cart',
+    status: 201,
+    response: ORDER,
+    body: {
+        type: 'object',
+        required: ['firstName', 'lastName', 'postalCode'],
+        properties: {
+            firstName: NON_EMPTY_STRING,
+            lastName: NON_EMPTY_STRING,
+            postalCode: NON_EMPTY_STRING,
+            region: NON_EMPTY_STRING,
+            shippingMethod: CONFIG_ID
+        }
+    }
+}), (req, res) => {
+    const { firstName, lastName, postalCode, region, shippingMethod } = req.body;
+    const data = getUserCart(req.user.username);
+    if (!data.cart.length) return res.status(400).json({ error: 'Cart is empty' });
+    if (shippingMethod && !shippingMethods.some(m => m.id === shippingMethod))
+        return res.status(400).json({ error: `Unknown shipping method: ${shippingMethod}` });
+
+    // Re-check every line against what other shoppers hold, then commit. Nothing below
+    // awaits, so no other request can interleave between the check and the commit.
+    const shortfalls = data.cart
+        .map(line => ({
+            productId: line.productId,
+            ...(line.sku && { sku: line.sku }),
+            name: inventory.find(p => p.id === line.productId)?.name ?? null,
+            requested: line.quantity,
+            available: availableStock(line.productId, line.sku, req.user.username)
+        }))
+        .filter(line => line.requested > line.available);
+    if (shortfalls.length) return res.status(409).json({ error: 'Some items are no longer available', shortfalls });
+
+    for (const item of data.cart) {
+        setOnHand(item.productId, item.sku, onHand(item.productId, item.sku) - item.quantity);
+    }
+
+    // The shipping address entered at checkout wins over whatever was quoted on the cart
+    data.shipping = {
+        method: shippingMethod || data.shipping?.method,
+        postalCode,
+        region: region || data.shipping?.region
+    };
+
+    const details = calculateCartDetails(data, req.user.username);
+    const order = {
+        orderId: 'ORDER-' + random().toString(36).substr(2, 9).toUpperCase(),
+        username: req.user.username,
+        customer: { firstName, lastName, postalCode, ...(data.shipping.region && { region: data.shipping.region }) },
+        ...details,
+        items: details.items.map(({ reservedUntil, ...i }) => ({ ...i, refundedQuantity: 0 })),
+        status: 'placed',
+        refunds: [],
+        refundedTotal: 0,
+        history: [],
+        timestamp: new Date().toISOString()
+    };
+    recordOrderEvent(order, { type: 'status', status: 'placed' }, req.user.username);
+
+    auditTouch('orderHistory', order.orderId);
+    orderHistory.push(order);
+    redeemPromotions(details.discounts, req.user.username);
+    emitEvent('order.created', { order });
+    data.cart = [];
+    data.appliedCoupons = [];
+    userCarts.set(req.user.username, data);
+
+    res.status(201).json(order);
+});
+
+app.get('/api/orders', requireAuth, schema({
+    summary: 'Own order history',
+    response: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                orderId: { type: 'string' },
+                status: { type: 'string', enum: ORDER_STATUSES },
+                total: { type: 'number' },
+                refundedTotal: { type: 'number' },
+                timestamp: TIMESTAMP,
+                itemCount: { type: 'integer' }
+            }
+        }
+    }
+}), (req, res) => {
+    const userOrders = orderHistory
+        .filter(o => o.username === req.user.username)
+        .map(({ orderId, status, total, refundedTotal, timestamp, items }) => ({
+            orderId, status, total, refundedTotal, timestamp, itemCount: items.length
+        }));
+    res.json(userOrders);
+});
+
+app.get('/api/orders/:orderId', requireAuth, schema({
+    summary: 'Own order detail',
+    params: ORDER_ID_PARAMS,
+    response: ORDER
+}), (req, res) => {
+    const order = findOrder(req.params.orderId);
+    if (!order || order.username !== req.user.username) return res.status(404).json({ error: 'Order not found' });
+    res.json(order);
+});
+
+app.post('/api/orders/:orderId/cancel', requireAuth, schema({
+    summary: 'Cancel own order before it ships; units go back to stock and a paid order is refunded',
+    response: withMessage({ order: ORDER }),
+    params: ORDER_ID_PARAMS,
+    body: { type: 'object', properties: { reason: { type: 'string' } } }
+}), (req, res) => {
+    const order = findOrder(req.params.orderId);
+    if (!order || order.username !== req.user.username) return res.status(404).json({ error: 'Order not found' });
+    if (!ORDER_TRANSITIONS[order.status].includes('cancelled'))
+        return res.status(409).json({ error: `Cannot cancel an order that is ${order.status}` });
+
+    cancelOrder(order, req.user.username, req.body.reason);
+    res.json({ message: 'Order cancelled', order });
+});
+
+app.post('/api/reset', requireAuth, schema({
+    summary: 'Empty own cart',
+    response: MESSAGE
+}), (req, res) => {
+    auditTouch('userCarts', req.user.username);
+    userCarts.set(req.user.username, { cart: [], appliedCoupons: [], shipping: {} });
+    res.json({ message: 'App state reset' });
+});
+
+// ========================================
+// ADMIN ROUTES
+// ========================================
+const USERNAME_PARAMS = { type: 'object', required: ['username'], properties: { username: { type: 'string' } } };
+const LOCK = { type: 'object', properties: { reason: { type: 'string' }, at: TIMESTAMP, until: NULLABLE_TIMESTAMP } };
+const USER = responseSchema('User', {
+    type: 'object',
+    properties: {
+        username: { type: 'string' },
+        role: { type: 'string' },
+        type: { type: 'string' },
+        locked: { type: 'boolean' },
+        failedLogins: { type: 'integer' },
+        lock: { ...LOCK, nullable: true }
+    }
+});
+
+app.get('/api/admin/users', requireAuth, requirePermission('users:read'), schema({
+    summary: 'List users',
+    response: listOf('users', USER)
+}), (req, res) => {
+    const safe = users.map(u => ({
+        username: u.username,
+        role: u.role,
+        type: u.type || 'standard',
+        locked: u.type === 'locked' || isLocked(u),
+        failedLogins: u.failedLogins,
+        lock: isLocked(u) ? u.lock : null
+    }));
+    res.json({ total: safe.length, users: safe });
+});
+
+app.post('/api/admin/users', requireAuth, requirePermission('users:write'), schema({
+    summary: 'Create a user',
+    status: 201,
+    response: USERNAME_MESSAGE,
+    body: {
+        type: 'object',
+        required: ['username', 'password'],
+        properties: {
+            username: USERNAME,
+            password: PASSWORD,
+            role: { type: 'string', default: 'user' },
+            type: { type: 'string', default: 'standard' }
+        }
+    }
+}), async (req, res) => {
+    const { username, password, role = 'user', type = 'standard' } = req.body;
+    if (users.some(u => u.username === username)) return res.status(409).json({ error: 'Username already exists' });
+    if (!roles.has(role)) return res.status(400).json({ error: `Unknown role: ${role}` });
+    if (!canManage(req.user.role, role)) return res.status(403).json({ error: 'Cannot grant a role with permissions you lack' });
+    if (role === 'user' && !personas.has(type)) return res.status(400).json({ error: `Unknown persona type: ${type}` });
+    const details = passwordPolicyErrors(password, username);
+    if (details.length) return res.status(400).json({ error: 'Validation failed', details });
+
+    const passwordHash = await hashPassword(password);
+    // Hashing yields, so the same name may have been taken meanwhile
+    if (users.some(u => u.username === username)) return res.status(409).json({ error: 'Username already exists' });
+    auditTouch('users', username);
+    users.push(newUser({ username, role, type }, passwordHash));
+    res.status(201).json({ message: 'User created by admin', username });
+});
+
+app.delete('/api/admin/users/:username', requireAuth, requirePermission('users:write'), schema({
+    summary: 'Delete a user',
+    response: USERNAME_MESSAGE,
+    params: USERNAME_PARAMS
+}), (req, res) => {
     const idx = users.findIndex(u => u.username === req.params.username);
     if (idx === -1) return res.status(404).json({ error: 'User not found' });
+    if (isLastFullAdmin(req.params.username)) return res.status(403).json({ error: 'Cannot delete the last full admin' });
+    if (!canManage(req.user.role, users[idx].role)) return res.status(403).json({ error: 'Cannot delete a user with permissions you lack' });
+    auditTouchAccount(req.params.username);
     userCarts.delete(req.params.username);
+    wishlists.delete(req.params.username);
+    savedForLater.delete(req.params.username);
     users.splice(idx, 1);
+    revokeUserSessions(req.params.username);
     res.json({ message: 'User deleted', username: req.params.username });
 });
 
-app.post('/api/admin/products', requireAuth, requireAdmin, (req, res) => {
-    const { name, price, img, initialStock = 10 } = req.body;
-    if (!name || !price || !img) return res.status(400).json({ error: 'name, price, img required' });
+app.get('/api/admin/users/:username/sessions', requireAuth, requirePermission('users:read'), schema({
+    summary: 'A user\'s active sessions',
+    response: listOf('sessions', SESSION),
+    params: USERNAME_PARAMS
+}), (req, res) => {
+    if (!users.some(u => u.username === req.params.username)) return res.status(404).json({ error: 'User not found' });
+    const list = [...sessions.values()].filter(s => s.username === req.params.username);
+    res.json({ total: list.length, sessions: list.map(s => sessionView(s, req.user.sid)) });
+});
+
+app.delete('/api/admin/users/:username/sessions', requireAuth, requirePermission('users:lock'), schema({
+    summary: 'Force a user to log out everywhere',
+    response: withMessage({ username: { type: 'string' }, revoked: { type: 'integer' } }),
+    params: USERNAME_PARAMS
+}), (req, res) => {
+    const user = users.find(u => u.username === req.params.username);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!canManage(req.user.role, user.role)) return res.status(403).json({ error: 'Cannot log out a user with permissions you lack' });
+    res.json({ message: 'Sessions revoked', username: user.username, revoked: revokeUserSessions(user.username) });
+});
+
+app.post('/api/admin/users/:username/lock', requireAuth, requirePermission('users:lock'), schema({
+    summary: 'Lock an account, for a number of minutes or until unlocked',
+    response: withMessage({ username: { type: 'string' }, lock: LOCK, sessionsRevoked: { type: 'integer' } }),
+    params: USERNAME_PARAMS,
+    body: { type: 'object', properties: { minutes: { type: 'integer', minimum: 1 }, reason: NON_EMPTY_STRING } }
+}), (req, res) => {
+    const user = users.find(u => u.username === req.params.username);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (user.username === req.user.username) return res.status(403).json({ error: 'Cannot lock yourself' });
+    if (isLastFullAdmin(user.username)) return res.status(403).json({ error: 'Cannot lock the last full admin' });
+    if (!canManage(req.user.role, user.role)) return res.status(403).json({ error: 'Cannot lock a user with permissions you lack' });
+
+    auditTouch('users', user.username);
+    lockUser(user, req.body.reason || 'admin', req.body.minutes);
+    const sessionsRevoked = revokeUserSessions(user.username);
+    res.json({ message: 'User locked', username: user.username, lock: user.lock, sessionsRevoked });
+});
+
+app.post('/api/admin/users/:username/unlock', requireAuth, requirePermission('users:lock'), schema({
+    summary: 'Unlock an account and reset its failed-login count',
+    response: USERNAME_MESSAGE,
+    params: USERNAME_PARAMS
+}), (req, res) => {
+    const user = users.find(u => u.username === req.params.username);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    if (!canManage(req.user.role, user.role)) return res.status(403).json({ error: 'Cannot unlock a user with permissions you lack' });
+    if (!isLocked(user)) return res.status(409).json({ error: 'User is not locked' });
+
+    auditTouch('users', user.username);
+    user.lock = null;
+    user.failedLogins = 0;
+    res.json({ message: 'User unlocked', username: user.username });
+});
+
+const PASSWORD_POLICY = responseSchema('PasswordPolicy', { type: 'object', properties: PASSWORD_POLICY_PROPERTIES });
+
+app.get('/api/admin/password-policy', requireAuth, requirePermission('settings:read'), schema({
+    summary: 'Password and lockout policy',
+    response: PASSWORD_POLICY
+}), (req, res) => {
+    res.json(passwordPolicy);
+});
+
+app.patch('/api/admin/password-policy', requireAuth, requirePermission('settings:write'), schema({
+    summary: 'Change password and lockout policy; applies to passwords set from now on',
+    response: withMessage({ passwordPolicy: PASSWORD_POLICY }),
+    body: { type: 'object', additionalProperties: false, properties: PASSWORD_POLICY_PROPERTIES }
+}), (req, res) => {
+    auditTouch('passwordPolicy');
+    Object.assign(passwordPolicy, req.body);
+    res.json({ message: 'Password policy updated', passwordPolicy });
+});
+
+// ROLES
+const ROLE_NAME = { type: 'string', pattern: '^[a-z][a-z0-9_]{1,31}$' };
+const ROLE_PARAMS = { type: 'object', required: ['name'], properties: { name: { type: 'string' } } };
+const PERMISSION_LIST = { type: 'array', items: { type: 'string' }, uniqueItems: true };
+
+const roleView = (role) => ({ ...role, users: users.filter(u => u.role === role.name).map(u => u.username) });
+
+const ROLE = responseSchema('Role', {
+    type: 'object',
+    properties: { name: { type: 'string' }, description: { type: 'string' }, permissions: PERMISSION_LIST, builtIn: { type: 'boolean' } }
+});
+const ROLE_WITH_USERS = { allOf: [ROLE, { type: 'object', properties: { users: { type: 'array', items: { type: 'string' } } } }] };
+
+app.get('/api/admin/roles', requireAuth, requirePermission('roles:read'), schema({
+    summary: 'List roles and the permissions they can hold',
+    response: listOf('roles', ROLE_WITH_USERS, { permissions: { type: 'array', items: { type: 'string' } } })
+}), (req, res) => {
+    const list = Array.from(roles.values()).map(roleView);
+    res.json({ total: list.length, roles: list, permissions: [FULL_ACCESS, ...PERMISSIONS] });
+});
+
+app.get('/api/admin/roles/:name', requireAuth, requirePermission('roles:read'), schema({
+    summary: 'Get one role and its users',
+    response: ROLE_WITH_USERS,
+    params: ROLE_PARAMS
+}), (req, res) => {
+    const role = roles.get(req.params.name);
+    if (!role) return res.status(404).json({ error: 'Role not found' });
+    res.json(roleView(role));
+});
+
+app.post('/api/admin/roles', requireAuth, requirePermission('roles:write'), schema({
+    summary: 'Create a role',
+    status: 201,
+    response: withMessage({ role: ROLE }),
+    body: {
+        type: 'object',
+        required: ['name', 'permissions'],
+        properties: { name: ROLE_NAME, description: { type: 'string' }, permissions: PERMISSION_LIST }
+    }
+}), (req, res) => {
+    const { name, description = '', permissions } = req.body;
+    if (roles.has(name)) return res.status(409).json({ error: 'Role already exists' });
+    const error = validatePermissions(permissions);
+    if (error) return res.status(400).json({ error });
+    if (!canGrant(req.user.role, permissions)) return res.status(403).json({ error: 'Cannot grant permissions you lack' });
+
+    const role = { name, description, permissions, builtIn: false };
+    auditTouch('roles', name);
+    roles.set(name, role);
+    res.status(201).json({ message: 'Role created', role });
+});
+
+app.patch('/api/admin/roles/:name', requireAuth, requirePermission('roles:write'), schema({
+    summary: 'Update a role; its users get the new permissions on their next request',
+    response: withMessage({ role: ROLE }),
+    params: ROLE_PARAMS,
+    body: { type: 'object', properties: { description: { type: 'string' }, permissions: PERMISSION_LIST } }
+}), (req, res) => {
+    const role = roles.get(req.params.name);
+    if (!role) return res.status(404).json({ error: 'Role not found' });
+    if (role.builtIn) return res.status(403).json({ error: 'Cannot change a built-in role' });
+    const { description, permissions } = req.body;
+    auditTouch('roles', role.name);
+
+    if (permissions) {
+        const error = validatePermissions(permissions);
+        if (error) return res.status(400).json({ error });
+        if (!canGrant(req.user.role, [...role.permissions, ...permissions])) {
+            return res.status(403).json({ error: 'Cannot change permissions you lack' });
+        }
+        if (!permissions.includes(FULL_ACCESS) && fullAdmins().every(u => u.role === role.name)) {
+            return res.status(403).json({ error: 'Cannot remove full access from the last full admin' });
+        }
+        role.permissions = permissions;
+    }
+    if (description !== undefined) role.description = description;
+    res.json({ message: 'Role updated', role });
+});
+
+app.delete('/api/admin/roles/:name', requireAuth, requirePermission('roles:write'), schema({
+    summary: 'Delete a role nobody holds',
+    response: withMessage({ name: { type: 'string' } }),
+    params: ROLE_PARAMS
+}), (req, res) => {
+    const role = roles.get(req.params.name);
+    if (!role) return res.status(404).json({ error: 'Role not found' });
+    if (role.builtIn) return res.status(403).json({ error: 'Cannot delete a built-in role' });
+    const assigned = users.filter(u => u.role === role.name).map(u => u.username);
+    if (assigned.length) return res.status(409).json({ error: 'Role assigned to users – cannot delete', users: assigned });
+
+    auditTouch('roles', role.name);
+    roles.delete(role.name);
+    res.json({ message: 'Role deleted', name: role.name });
+});
+
+app.put('/api/admin/users/:username/role', requireAuth, requirePermission('roles:write'), schema({
+    summary: 'Assign a role to a user',
+    response: withMessage({ username: { type: 'string' }, role: { type: 'string' }, permissions: PERMISSION_LIST }),
+    params: USERNAME_PARAMS,
+    body: { type: 'object', required: ['role'], properties: { role: { type: 'string' } } }
+}), (req, res) => {
+    const user = users.find(u => u.username === req.params.username);
+    if (!user) return res.status(404).json({ error: 'User not found' });
+    const { role } = req.body;
+    if (!roles.has(role)) return res.status(400).json({ error: `Unknown role: ${role}` });
+    if (!canManage(req.user.role, user.role) || !canManage(req.user.role, role)) {
+        return res.status(403).json({ error: 'Cannot assign roles with permissions you lack' });
+    }
+    if (!hasPermission(role, FULL_ACCESS) && isLastFullAdmin(user.username)) {
+        return res.status(403).json({ error: 'Cannot demote the last full admin' });
+    }
+
+    auditTouch('users', user.username);
+    user.role = role;
+    res.json({ message: 'Role assigned', username: user.username, role, permissions: roles.get(role).permissions });
+});
+
+// AUDIT
+const AUDIT_FILTERS = {
+    actor: NON_EMPTY_STRING,
+    entity: NON_EMPTY_STRING,
+    entityId: NON_EMPTY_STRING,
+    from: { type: 'string', format: 'date-time' },
+    to: { type: 'string', format: 'date-time' }
+};
+
+const AUDIT_ENTRY = responseSchema('AuditEntry', {
+    type: 'object',
+    properties: {
+        id: { type: 'integer' },
+        timestamp: TIMESTAMP,
+        actor: { type: 'string', nullable: true },
+        role: { type: 'string', nullable: true },
+        method: { type: 'string' },
+        route: { type: 'string' },
+        path: { type: 'string' },
+        status: { type: 'integer' },
+        entity: { type: 'object', properties: { type: { type: 'string' }, id: { type: 'string', nullable: true } } },
+        ip: { type: 'string', nullable: true },
+        changeCount: { type: 'integer' },
+        // null when there were more than MAX_AUDIT_CHANGES
+        changes: {
+            type: 'array',
+            nullable: true,
+            items: { type: 'object', properties: { collection: { type: 'string' }, key: { type: 'string' }, before: {}, after: {} } }
+        }
+    }
+});
+
+// Oldest first; `from` and `to` are inclusive
+const filterAudit = ({ actor, entity, entityId, from, to }) => {
+    const [start, end] = [from && Date.parse(from), to && Date.parse(to)];
+    return auditLog.filter(e =>
+        (!actor || e.actor === actor)
+        && (!entity || e.entity.type === entity)
+        && (!entityId || e.entity.id === entityId)
+        && (!start || Date.parse(e.timestamp) >= start)
+        && (!end || Date.parse(e.timestamp) <= end));
+};
 
-    const newProduct = {
-        id: nextProductId++,
-        name: name.trim(),
-        price: Number(parseFloat(price).toFixed(2)),
-        img: img.trim()
-    };
+app.get('/api/admin/audit', requireAuth, requirePermission('audit:read'), schema({
+    summary: 'Search the audit log, newest first',
+    response: listOf('entries', AUDIT_ENTRY),
+    query: {
+        type: 'object',
+        properties: {
+            ...AUDIT_FILTERS,
+            page: { type: 'integer', minimum: 1, default: 1 },
+            limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE }
+        }
+    }
+}), (req, res) => {
+    const { page = 1, limit = DEFAULT_PAGE_SIZE } = req.query;
+    const matches = filterAudit(req.query).reverse();
+    const pages = Math.max(1, Math.ceil(matches.length / limit));
+    res.set({
+        'X-Total-Count': String(matches.length),
+        Link: paginationLinks(req.path, { ...req.query, page, limit }, pages)
+    });
+    res.json({ total: matches.length, entries: matches.slice((page - 1) * limit, page * limit) });
+});
 
-    inventory.push(newProduct);
-    stock.set(newProduct.id, Math.min(Math.max(0, initialStock), 100));
-    res.status(201).json({ message: 'Product created', product: { id: newProduct.id, name: newProduct.name } });
+app.get('/api/admin/audit/export', requireAuth, requirePermission('audit:read'), schema({
+    summary: 'Export matching audit entries as NDJSON, oldest first',
+    produces: ['application/x-ndjson'],
+    query: { type: 'object', properties: AUDIT_FILTERS }
+}), (req, res) => {
+    res.set({
+        'Content-Type': 'application/x-ndjson',
+        'Content-Disposition': `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.ndjson"`
+    });
+    res.send(filterAudit(req.query).map(e => `${JSON.stringify(e)}\n`).join(''));
 });
 
-app.delete('/api/admin/products/:productId', requireAuth, requireAdmin, (req, res) => {
-    const id = Number(req.params.productId);
-    const idx = inventory.findIndex(p => p.id === id);
-    if (idx === -1) return res.status(404).json({ error: 'Product not found' });
+// RATE LIMITS
+const RATE_LIMIT_FILTERS = { type: 'object', properties: { policy: NON_EMPTY_STRING, key: NON_EMPTY_STRING } };
 
-    const inUse = Array.from(userCarts.values()).some(data => data.cart.some(i => i.productId === id));
-    if (inUse) return res.status(409).json({ error: 'Product in cart – cannot delete' });
+const matchingBuckets = ({ policy, key }) => Array.from(rateLimitStore.entries())
+    .filter(([, b]) => (!policy || b.policy === policy) && (!key || b.key === key));
 
-    const deleted = inventory.splice(idx, 1)[0];
-    stock.delete(id);
-    res.json({ message: 'Product deleted', deletedProduct: { id: deleted.id, name: deleted.name } });
+app.get('/api/admin/rate-limits', requireAuth, requirePermission('rate-limits:read'), schema({
+    summary: 'Rate limit policies and live buckets; key is e.g. "ip:127.0.0.1" or "user:standard_user"',
+    response: listOf('buckets', {
+        type: 'object',
+        properties: {
+            policy: { type: 'string' },
+            key: { type: 'string' },
+            limit: { type: 'integer' },
+            remaining: { type: 'integer' },
+            resetAt: TIMESTAMP
+        }
+    }, { algorithm: { type: 'string' }, policies: { type: 'array', items: { type: 'object' } } }),
+    query: RATE_LIMIT_FILTERS
+}), (req, res) => {
+    const now = Date.now();
+    const buckets = matchingBuckets(req.query).map(([, b]) => {
+        const policy = rateLimitPolicies.find(p => p.id === b.policy);
+        const algorithm = RATE_LIMIT_ALGORITHMS[policy.algorithm || RATE_LIMIT_ALGORITHM];
+        const { remaining, resetMs } = algorithm(b.state, { limit: b.limit, windowMs: policy.windowMs }, now, false);
+        return { policy: b.policy, key: b.key, limit: b.limit, remaining, resetAt: new Date(now + resetMs).toISOString() };
+    });
+    res.json({ algorithm: RATE_LIMIT_ALGORITHM, policies: rateLimitPolicies, total: buckets.length, buckets });
 });
 
-app.get('/api/admin/stock', requireAuth, requireAdmin, (req, res) => {
-    res.json(inventory.map(p => ({ id: p.id, name: p.name, currentStock: stock.get(p.id) || 0 })));
+app.delete('/api/admin/rate-limits', requireAuth, requirePermission('rate-limits:write'), schema({
+    summary: 'Clear rate limit buckets, all or those matching policy and key',
+    response: withMessage({ cleared: { type: 'integer' } }),
+    query: RATE_LIMIT_FILTERS
+}), (req, res) => {
+    const ids = matchingBuckets(req.query).map(([id]) => id);
+    ids.forEach(id => rateLimitStore.delete(id));
+    res.json({ message: 'Rate limits cleared', cleared: ids.length });
 });
 
-app.patch('/api/admin/stock/:productId', requireAuth, requireAdmin, (req, res) => {
-    const id = Number(req.params.productId);
-    const { quantity } = req.body;
-    if (!inventory.some(p => p.id === id)) return res.status(404).json({ error: 'Product not found' });
-    if (!Number.isInteger(quantity) || quantity < 0) return res.status(400).json({ error: 'Invalid quantity' });
-    stock.set(id, quantity);
-    res.json({ message: 'Stock updated', productId: id, newStock: quantity });
+// WEBHOOKS
+// The secret is only shown when it is set: on creation, or when a PATCH replaces it
+const WEBHOOK_PARAMS = { type: 'object', required: ['webhookId'], properties: { webhookId: NON_EMPTY_STRING } };
+const DELIVERY_PARAMS = {
+    type: 'object',
+    required: ['webhookId', 'deliveryId'],
+    properties: { webhookId: NON_EMPTY_STRING, deliveryId: { type: 'integer', minimum: 1 } }
+};
+const WEBHOOK_PROPERTIES = {
+    url: { type: 'string', pattern: '^https?://\\S+$' },
+    events: { type: 'array', minItems: 1, uniqueItems: true, items: { type: 'string', enum: WEBHOOK_EVENTS } },
+    secret: { type: 'string', minLength: 16 },
+    description: { type: 'string' },
+    active: { type: 'boolean' }
+};
+
+const WEBHOOK = responseSchema('Webhook', {
+    type: 'object',
+    properties: { id: { type: 'string' }, ...WEBHOOK_PROPERTIES, createdAt: TIMESTAMP }
+});
+const WEBHOOK_EVENT = responseSchema('WebhookEvent', {
+    type: 'object',
+    properties: { id: { type: 'string' }, type: { type: 'string' }, createdAt: TIMESTAMP, data: { type: 'object' } }
+});
+const DELIVERY = responseSchema('WebhookDelivery', {
+    type: 'object',
+    properties: {
+        id: { type: 'integer' },
+        webhookId: { type: 'string' },
+        event: WEBHOOK_EVENT,
+        status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+        attempts: {
+            type: 'array',
+            items: {
+                type: 'object',
+                properties: {
+                    number: { type: 'integer' },
+                    at: TIMESTAMP,
+                    statusCode: { type: 'integer', nullable: true },
+                    error: { type: 'string' },
+                    durationMs: { type: 'integer' }
+                }
+            }
+        },
+        nextAttemptAt: NULLABLE_TIMESTAMP,
+        error: { type: 'string' },
+        replayOf: { type: 'integer' }
+    }
+});
+
+const webhookView = ({ secret, ...hook }) => hook;
+const newWebhookSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+const findDelivery = (webhookId, deliveryId) => webhookDeliveries.find(d => d.webhookId === webhookId && d.id === deliveryId);
+
+app.get('/api/admin/webhooks', requireAuth, requirePermission('webhooks:read'), schema({
+    summary: 'List webhooks and the events they can subscribe to',
+    response: listOf('webhooks', WEBHOOK, { events: WEBHOOK_PROPERTIES.events })
+}), (req, res) => {
+    const list = Array.from(webhooks.values()).map(webhookView);
+    res.json({ events: WEBHOOK_EVENTS, total: list.length, webhooks: list });
+});
+
+app.post('/api/admin/webhooks', requireAuth, requirePermission('webhooks:write'), schema({
+    summary: 'Register a webhook; a signing secret is generated unless one is given',
+    status: 201,
+    response: withMessage({ webhook: WEBHOOK }),
+    body: { type: 'object', required: ['url', 'events'], properties: { ...WEBHOOK_PROPERTIES, active: { type: 'boolean', default: true } } }
+}), (req, res) => {
+    const { url, events, secret = newWebhookSecret(), description = '', active = true } = req.body;
+    const hook = { id: `wh_${crypto.randomUUID()}`, url, events, secret, description, active, createdAt: new Date().toISOString() };
+    auditTouch('webhooks', hook.id);
+    webhooks.set(hook.id, hook);
+    res.status(201).json({ message: 'Webhook created', webhook: { ...webhookView(hook), secret } });
+});
+
+app.get('/api/admin/webhooks/:webhookId', requireAuth, requirePermission('webhooks:read'), schema({
+    summary: 'Get one webhook',
+    response: WEBHOOK,
+    params: WEBHOOK_PARAMS
+}), (req, res) => {
+    const hook = webhooks.get(req.params.webhookId);
+    if (!hook) return res.status(404).json({ error: 'Webhook not found' });
+    res.json(webhookView(hook));
+});
+
+app.patch('/api/admin/webhooks/:webhookId', requireAuth, requirePermission('webhooks:write'), schema({
+    summary: 'Update a webhook; disabling it also stops its pending retries',
+    response: withMessage({ webhook: WEBHOOK }),
+    params: WEBHOOK_PARAMS,
+    body: { type: 'object', additionalProperties: false, properties: WEBHOOK_PROPERTIES }
+}), (req, res) => {
+    const hook = webhooks.get(req.params.webhookId);
+    if (!hook) return res.status(404).json({ error: 'Webhook not found' });
+    auditTouch('webhooks', hook.id);
+    Object.assign(hook, req.body);
+    res.json({ message: 'Webhook updated', webhook: { ...webhookView(hook), ...(req.body.secret && { secret: hook.secret }) } });
+});
+
+app.delete('/api/admin/webhooks/:webhookId', requireAuth, requirePermission('webhooks:write'), schema({
+    summary: 'Delete a webhook; its delivery log is kept',
+    response: MESSAGE,
+    params: WEBHOOK_PARAMS
+}), (req, res) => {
+    auditTouch('webhooks', req.params.webhookId);
+    if (!webhooks.delete(req.params.webhookId)) return res.status(404).json({ error: 'Webhook not found' });
+    res.json({ message: 'Webhook deleted' });
+});
+
+app.post('/api/admin/webhooks/:webhookId/ping', requireAuth, requirePermission('webhooks:write'), schema({
+    summary: 'Send a ping event to one webhook',
+    status: 202,
+    response: withMessage({ event: WEBHOOK_EVENT }),
+    params: WEBHOOK_PARAMS
+}), (req, res) => {
+    const hook = webhooks.get(req.params.webhookId);
+    if (!hook) return res.status(404).json({ error: 'Webhook not found' });
+    if (!hook.active) return res.status(409).json({ error: 'Webhook is disabled' });
+    const event = emitEvent(PING_EVENT, { webhookId: hook.id }, hook);
+    res.status(202).json({ message: 'Ping queued', event });
+});
+
+app.get('/api/admin/webhooks/:webhookId/deliveries', requireAuth, requirePermission('webhooks:read'), schema({
+    summary: 'A webhook\'s delivery log, newest first',
+    response: listOf('deliveries', DELIVERY),
+    params: WEBHOOK_PARAMS,
+    query: {
+        type: 'object',
+        properties: {
+            status: { type: 'string', enum: ['pending', 'succeeded', 'failed'] },
+            event: { type: 'string', enum: [...WEBHOOK_EVENTS, PING_EVENT] },
+            page: { type: 'integer', minimum: 1, default: 1 },
+            limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE }
+        }
+    }
+}), (req, res) => {
+    const { webhookId } = req.params;
+    const { status, event, page = 1, limit = DEFAULT_PAGE_SIZE } = req.query;
+    if (!webhooks.has(webhookId) && !webhookDeliveries.some(d => d.webhookId === webhookId))
+        return res.status(404).json({ error: 'Webhook not found' });
+
+    const matches = webhookDeliveries
+        .filter(d => d.webhookId === webhookId && (!status || d.status === status) && (!event || d.event.type === event))
+        .reverse();
+    const pages = Math.max(1, Math.ceil(matches.length / limit));
+    res.set({
+        'X-Total-Count': String(matches.length),
+        Link: paginationLinks(req.path, { ...req.query, page, limit }, pages)
+    });
+    res.json({ total: matches.length, deliveries: matches.slice((page - 1) * limit, page * limit) });
+});
+
+app.get('/api/admin/webhooks/:webhookId/deliveries/:deliveryId', requireAuth, requirePermission('webhooks:read'), schema({
+    summary: 'One delivery with its payload and every attempt',
+    response: DELIVERY,
+    params: DELIVERY_PARAMS
+}), (req, res) => {
+    const delivery = findDelivery(req.params.webhookId, req.params.deliveryId);
+    if (!delivery) return res.status(404).json({ error: 'Delivery not found' });
+    res.json(delivery);
+});
+
+app.post('/api/admin/webhooks/:webhookId/deliveries/:deliveryId/replay', requireAuth, requirePermission('webhooks:write'), schema({
+    summary: 'Send a delivery\'s event again, as a new delivery with its own retries',
+    status: 202,
+    response: withMessage({ delivery: DELIVERY }),
+    params: DELIVERY_PARAMS
+}), (req, res) => {
+    const original = findDelivery(req.params.webhookId, req.params.deliveryId);
+    if (!original) return res.status(404).json({ error: 'Delivery not found' });
+    const hook = webhooks.get(original.webhookId);
+    if (!hook) return res.status(404).json({ error: 'Webhook not found' });
+    if (!hook.active) return res.status(409).json({ error: 'Webhook is disabled' });
+    const delivery = queueDelivery(hook, original.event, original.id);
+    res.status(202).json({ message: 'Replay queued', delivery });
+});
+
+// CHAOS
+const CHAOS_RULE_PARAMS = { type: 'object', required: ['ruleId'], properties: { ruleId: { type: 'integer', minimum: 1 } } };
+const CHAOS_RULE_PROPERTIES = {
+    route: { type: 'string', pattern: '^(\\*|GET|POST|PUT|PATCH|DELETE) /api/\\S*$' },
+    scope: {
+        type: 'object',
+        additionalProperties: false,
+        nullable: true,
+        properties: { user: NON_EMPTY_STRING, header: { type: 'string', pattern: '^[A-Za-z0-9-]+$' }, value: { type: 'string' } }
+    },
+    probability: { type: 'number', minimum: 0, maximum: 1 },
+    latencyMs: { type: 'integer', minimum: 0, maximum: 60000 },
+    jitterMs: { type: 'integer', minimum: 0, maximum: 60000 },
+    status: { type: 'integer', minimum: 400, maximum: 599, nullable: true },
+    error: { type: 'string', nullable: true },
+    corrupt: { type: 'string', enum: CHAOS_CORRUPTIONS, nullable: true },
+    drop: { type: 'boolean' },
+    stale: { type: 'boolean' },
+    seed: { type: 'integer', nullable: true },
+    ttlSeconds: { type: 'integer', minimum: 1, maximum: 7 * 24 * 60 * 60, nullable: true },
+    description: { type: 'string' }
+};
+
+// ttlSeconds is turned into expiresAt; null clears it
+const applyChaosFields = (rule, { ttlSeconds, ...fields }) => {
+    Object.assign(rule, fields);
+    if (ttlSeconds !== undefined) rule.expiresAt = ttlSeconds && new Date(Date.now() + ttlSeconds * 1000).toISOString();
+    return rule;
+};
+
+const { ttlSeconds: _ttlSeconds, ...CHAOS_RULE_FIELDS } = CHAOS_RULE_PROPERTIES;
+const CHAOS_RULE = responseSchema('ChaosRule', {
+    type: 'object',
+    properties: {
+        id: { type: 'integer' },
+        ...CHAOS_RULE_FIELDS,
+        expiresAt: NULLABLE_TIMESTAMP,
+        hits: { type: 'integer' },
+        createdBy: { type: 'string' },
+        createdAt: TIMESTAMP
+    }
+});
+
+app.get('/api/admin/chaos', requireAuth, requirePermission('chaos:read'), schema({
+    summary: 'List active chaos rules',
+    response: listOf('rules', CHAOS_RULE)
+}), (req, res) => {
+    const now = Date.now();
+    const list = Array.from(chaosRules.values()).filter(r => !r.expiresAt || Date.parse(r.expiresAt) > now);
+    res.json({ total: list.length, rules: list });
+});
+
+app.post('/api/admin/chaos', requireAuth, requirePermission('chaos:write'), schema({
+    summary: 'Add a chaos rule',
+    status: 201,
+    response: withMessage({ rule: CHAOS_RULE }),
+    body: { type: 'object', required: ['route'], additionalProperties: false, properties: CHAOS_RULE_PROPERTIES }
+}), (req, res) => {
+    const rule = applyChaosFields({
+        id: nextChaosRuleId,
+        scope: null,
+        probability: 1,
+        seed: null,
+        expiresAt: null,
+        hits: 0,
+        createdBy: req.user.username,
+        createdAt: new Date().toISOString()
+    }, req.body);
+    const error = chaosRuleError(rule);
+    if (error) return res.status(400).json({ error });
+
+    nextChaosRuleId++;
+    chaosRules.set(rule.id, rule);
+    resetChaosRuntime(rule);
+    res.status(201).json({ message: 'Chaos rule added', rule });
+});
+
+app.delete('/api/admin/chaos', requireAuth, requirePermission('chaos:write'), schema({
+    summary: 'Remove every chaos rule',
+    response: withMessage({ removed: { type: 'integer' } })
+}), (req, res) => {
+    const removed = chaosRules.size;
+    chaosRules.clear();
+    chaosRuntime.clear();
+    res.json({ message: 'Chaos rules removed', removed });
+});
+
+app.get('/api/admin/chaos/:ruleId', requireAuth, requirePermission('chaos:read'), schema({
+    summary: 'Get one chaos rule',
+    response: CHAOS_RULE,
+    params: CHAOS_RULE_PARAMS
+}), (req, res) => {
+    const rule = chaosRules.get(req.params.ruleId);
+    if (!rule) return res.status(404).json({ error: 'Chaos rule not found' });
+    res.json(rule);
+});
+
+app.patch('/api/admin/chaos/:ruleId', requireAuth, requirePermission('chaos:write'), schema({
+    summary: 'Update a chaos rule; its random sequence and stale cache start over',
+    response: withMessage({ rule: CHAOS_RULE }),
+    params: CHAOS_RULE_PARAMS,
+    body: { type: 'object', additionalProperties: false, properties: CHAOS_RULE_PROPERTIES }
+}), (req, res) => {
+    const rule = chaosRules.get(req.params.ruleId);
+    if (!rule) return res.status(404).json({ error: 'Chaos rule not found' });
+    const updated = applyChaosFields({ ...rule }, req.body);
+    const error = chaosRuleError(updated);
+    if (error) return res.status(400).json({ error });
+
+    Object.assign(rule, updated);
+    resetChaosRuntime(rule);
+    res.json({ message: 'Chaos rule updated', rule });
+});
+
+app.delete('/api/admin/chaos/:ruleId', requireAuth, requirePermission('chaos:write'), schema({
+    summary: 'Remove a chaos rule',
+    response: MESSAGE,
+    params: CHAOS_RULE_PARAMS
+}), (req, res) => {
+    if (!chaosRules.delete(req.params.ruleId)) return res.status(404).json({ error: 'Chaos rule not found' });
+    chaosRuntime.delete(req.params.ruleId);
+    res.json({ message: 'Chaos rule removed' });
+});
+
+// PRODUCTS
+// Deleting archives a product: it leaves the storefront but stays on orders and can be restored
+const VARIANT_PARAMS = { type: 'object', required: ['productId', 'sku'], properties: { productId: PRODUCT_ID, sku: SKU } };
+
+const skuTaken = (sku) => inventory.some(p => p.variants.some(v => v.sku === sku));
+const inAnyCart = (productId, sku) => Array.from(userCarts.values()).some(data => data.cart.some(i => isSameLine(i, productId, sku)));
+
+const adminProductView = (p) => ({
+    ...p,
+    currentStock: totalOnHand(p),
+    variants: p.variants.map(v => ({ ...v, currentStock: onHand(p.id, v.sku) }))
+});
+
+const ADMIN_VARIANT = responseSchema('AdminVariant', {
+    type: 'object',
+    properties: { sku: SKU, ...VARIANT_PROPERTIES, currentStock: { type: 'integer' } }
+});
+const ADMIN_PRODUCT = responseSchema('AdminProduct', {
+    type: 'object',
+    properties: {
+        id: PRODUCT_ID,
+        ...PRODUCT_PROPERTIES,
+        archivedAt: NULLABLE_TIMESTAMP,
+        currentStock: { type: 'integer' },
+        variants: { type: 'array', items: ADMIN_VARIANT }
+    }
+});
+const PRODUCT_SUMMARY = { type: 'object', properties: { id: PRODUCT_ID, name: { type: 'string' } } };
+
+app.get('/api/admin/products', requireAuth, requirePermission('catalog:read'), schema({
+    summary: 'List every product, including archived ones',
+    response: listOf('products', ADMIN_PRODUCT),
+    query: { type: 'object', properties: { archived: { type: 'boolean' } } }
+}), (req, res) => {
+    const { archived } = req.query;
+    const list = inventory.filter(p => archived === undefined || Boolean(p.archivedAt) === archived);
+    res.json({ total: list.length, products: list.map(adminProductView) });
+});
+
+app.get('/api/admin/products/:productId', requireAuth, requirePermission('catalog:read'), schema({
+    summary: 'Get one product with variants and stock',
+    response: ADMIN_PRODUCT,
+    params: PRODUCT_ID_PARAMS
+}), (req, res) => {
+    const product = inventory.find(p => p.id === req.params.productId);
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+    res.json(adminProductView(product));
+});
+
+app.post('/api/admin/products', requireAuth, requirePermission('catalog:write'), schema({
+    summary: 'Create a product',
+    status: 201,
+    response: withMessage({ product: PRODUCT_SUMMARY }),
+    body: {
+        type: 'object',
+        required: ['name', 'price', 'img'],
+        properties: {
+            ...PRODUCT_PROPERTIES,
+            weight: { ...WEIGHT, default: DEFAULT_WEIGHT_KG },
+            variants: { type: 'array', items: VARIANT_SCHEMA },
+            initialStock: { type: 'integer', minimum: 0, maximum: 100, default: MAX_STOCK }
+        }
+    }
+}), (req, res) => {
+    const { initialStock = MAX_STOCK, ...fields } = req.body;
+    const skus = (fields.variants || []).map(v => v.sku);
+    const dupSku = skus.find((sku, i) => skus.indexOf(sku) !== i || skuTaken(sku));
+    if (dupSku) return res.status(409).json({ error: `SKU already exists: ${dupSku}` });
+
+    auditTouch('nextProductId');
+    const product = newProduct({ ...fields, id: nextProductId++ });
+
+    auditTouch('inventory', product.id);
+    auditTouch('stock', product.id);
+    product.variants.forEach(v => auditTouch('variantStock', v.sku));
+    inventory.push(product);
+    stock.set(product.id, product.variants.length ? 0 : initialStock);
+    (fields.variants || []).forEach(v => variantStock.set(v.sku, v.stock ?? MAX_STOCK));
+    emitEvent('product.created', { product: adminProductView(product) });
+    publishEvent('product.added', productView(product, null));
+    res.status(201).json({ message: 'Product created', product: { id: product.id, name: product.name } });
+});
+
+app.put('/api/admin/products/:productId', requireAuth, requirePermission('catalog:write'), schema({
+    summary: 'Replace a product\'s details; omitted attributes reset to defaults, variants are kept',
+    response: withMessage({ product: ADMIN_PRODUCT }),
+    params: PRODUCT_ID_PARAMS,
+    body: { type: 'object', required: ['name', 'price', 'img'], additionalProperties: false, properties: PRODUCT_PROPERTIES }
+}), (req, res) => {
+    const product = inventory.find(p => p.id === req.params.productId);
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+    const { id, variants, archivedAt } = product;
+    auditTouch('inventory', id);
+    Object.assign(product, newProduct({ ...req.body, id, variants, archivedAt }));
+    res.json({ message: 'Product updated', product: adminProductView(product) });
+});
+
+app.patch('/api/admin/products/:productId', requireAuth, requirePermission('catalog:write'), schema({
+    summary: 'Update some of a product\'s details',
+    response: withMessage({ product: ADMIN_PRODUCT }),
+    params: PRODUCT_ID_PARAMS,
+    body: { type: 'object', additionalProperties: false, properties: PRODUCT_PROPERTIES }
+}), (req, res) => {
+    const product = inventory.find(p => p.id === req.params.productId);
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+    auditTouch('inventory', product.id);
+    Object.assign(product, newProduct({ ...product, ...req.body }));
+    res.json({ message: 'Product updated', product: adminProductView(product) });
+});
+
+app.delete('/api/admin/products/:productId', requireAuth, requirePermission('catalog:write'), schema({
+    summary: 'Archive a product; carts still holding it fail checkout',
+    response: withMessage({ product: { ...PRODUCT_SUMMARY, properties: { ...PRODUCT_SUMMARY.properties, archivedAt: TIMESTAMP } } }),
+    params: PRODUCT_ID_PARAMS
+}), (req, res) => {
+    const product = inventory.find(p => p.id === req.params.productId);
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+    if (product.archivedAt) return res.status(409).json({ error: 'Product already archived' });
+
+    auditTouch('inventory', product.id);
+    product.archivedAt = new Date().toISOString();
+    publishEvent('product.removed', { productId: product.id });
+    res.json({ message: 'Product archived', product: { id: product.id, name: product.name, archivedAt: product.archivedAt } });
+});
+
+app.post('/api/admin/products/:productId/restore', requireAuth, requirePermission('catalog:write'), schema({
+    summary: 'Put an archived product back on sale',
+    response: withMessage({ product: PRODUCT_SUMMARY }),
+    params: PRODUCT_ID_PARAMS
+}), (req, res) => {
+    const product = inventory.find(p => p.id === req.params.productId);
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+    if (!product.archivedAt) return res.status(409).json({ error: 'Product is not archived' });
+
+    auditTouch('inventory', product.id);
+    product.archivedAt = null;
+    publishEvent('product.added', productView(product, null));
+    res.json({ message: 'Product restored', product: { id: product.id, name: product.name } });
+});
+
+// VARIANTS
+app.post('/api/admin/products/:productId/variants', requireAuth, requirePermission('catalog:write'), schema({
+    summary: 'Add a variant with its own SKU, price and stock',
+    status: 201,
+    response: withMessage({ variant: ADMIN_VARIANT }),
+    params: PRODUCT_ID_PARAMS,
+    body: VARIANT_SCHEMA
+}), (req, res) => {
+    const product = inventory.find(p => p.id === req.params.productId);
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+    if (skuTaken(req.body.sku)) return res.status(409).json({ error: `SKU already exists: ${req.body.sku}` });
+    // Lines without a SKU can't be bought once the product has variants
+    if (!product.variants.length && inAnyCart(product.id, null))
+        return res.status(409).json({ error: 'Product is in carts without a variant – cannot add variants' });
+
+    const variant = newVariant(req.body);
+    auditTouch('inventory', product.id);
+    auditTouch('variantStock', variant.sku);
+    product.variants.push(variant);
+    variantStock.set(variant.sku, req.body.stock ?? MAX_STOCK);
+    res.status(201).json({ message: 'Variant created', variant: { ...variant, currentStock: onHand(product.id, variant.sku) } });
+});
+
+app.patch('/api/admin/products/:productId/variants/:sku', requireAuth, requirePermission('catalog:write'), schema({
+    summary: 'Update a variant\'s attributes or price',
+    response: withMessage({ variant: { type: 'object', properties: { sku: SKU, ...VARIANT_PROPERTIES } } }),
+    params: VARIANT_PARAMS,
+    body: { type: 'object', additionalProperties: false, properties: VARIANT_PROPERTIES }
+}), (req, res) => {
+    const variant = findVariant(inventory.find(p => p.id === req.params.productId), req.params.sku);
+    if (!variant) return res.status(404).json({ error: 'Variant not found' });
+    auditTouch('inventory', req.params.productId);
+    Object.assign(variant, newVariant({ ...variant, ...req.body }));
+    res.json({ message: 'Variant updated', variant });
+});
+
+app.delete('/api/admin/products/:productId/variants/:sku', requireAuth, requirePermission('catalog:write'), schema({
+    summary: 'Delete a variant',
+    response: withMessage({ sku: SKU }),
+    params: VARIANT_PARAMS
+}), (req, res) => {
+    const { productId, sku } = req.params;
+    const product = inventory.find(p => p.id === productId);
+    if (!findVariant(product, sku)) return res.status(404).json({ error: 'Variant not found' });
+    if (inAnyCart(productId, sku)) return res.status(409).json({ error: 'Variant in cart – cannot delete' });
+
+    auditTouch('inventory', productId);
+    auditTouch('variantStock', sku);
+    product.variants = product.variants.filter(v => v.sku !== sku);
+    variantStock.delete(sku);
+    res.json({ message: 'Variant deleted', sku });
+});
+
+// STOCK
+const stockLevels = (productId, sku = null) => ({
+    currentStock: onHand(productId, sku),
+    reserved: reservedQuantity(productId, sku),
+    available: availableStock(productId, sku)
+});
+
+const STOCK_LEVELS = { currentStock: { type: 'integer' }, reserved: { type: 'integer' }, available: { type: 'integer' } };
+
+app.get('/api/admin/stock', requireAuth, requirePermission('stock:read'), schema({
+    summary: 'Stock levels for all products',
+    response: {
+        type: 'array',
+        items: {
+            type: 'object',
+            properties: {
+                id: PRODUCT_ID,
+                name: { type: 'string' },
+                ...STOCK_LEVELS,
+                // Products with variants list levels per variant and only the on-hand total
+                variants: { type: 'array', items: { type: 'object', properties: { sku: SKU, ...STOCK_LEVELS } } }
+            }
+        }
+    }
+}), (req, res) => {
+    res.json(inventory.map(p => (p.variants.length
+        ? {
+            id: p.id,
+            name: p.name,
+            currentStock: totalOnHand(p),
+            variants: p.variants.map(v => ({ sku: v.sku, ...stockLevels(p.id, v.sku) }))
+        }
+        : { id: p.id, name: p.name, ...stockLevels(p.id) })));
+});
+
+app.patch('/api/admin/stock/:productId', requireAuth, requirePermission('stock:write'), schema({
+    summary: 'Set stock level of a product, or of one of its variants',
+    response: withMessage({ productId: PRODUCT_ID, sku: SKU, newStock: { type: 'integer' } }),
+    params: PRODUCT_ID_PARAMS,
+    body: { type: 'object', required: ['quantity'], properties: { quantity: { type: 'integer', minimum: 0 }, sku: SKU } }
+}), (req, res) => {
+    const id = req.params.productId;
+    const { quantity, sku = null } = req.body;
+    const product = inventory.find(p => p.id === id);
+    if (!product) return res.status(404).json({ error: 'Product not found' });
+    if (product.variants.length && !sku) return res.status(400).json({ error: 'This product has variants; pass sku' });
+    if (sku && !findVariant(product, sku)) return res.status(404).json({ error: 'Variant not found' });
+
+    const reserved = reservedQuantity(id, sku);
+    if (quantity < reserved) return res.status(409).json({ error: 'Stock cannot go below units reserved in carts', reserved });
+    setOnHand(id, sku, quantity);
+    res.json({ message: 'Stock updated', productId: id, ...(sku && { sku }), newStock: quantity });
+});
+
+const PERSONA = responseSchema('Persona', {
+    type: 'object',
+    properties: { type: { type: 'string' }, description: { type: 'string' }, faults: { type: 'object', additionalProperties: FAULT_SCHEMA } }
+});
+
+app.get('/api/admin/personas', requireAuth, requirePermission('personas:read'), schema({
+    summary: 'List personas',
+    response: listOf('personas', PERSONA)
+}), (req, res) => {
+    const list = Array.from(personas.values());
+    res.json({ total: list.length, personas: list });
+});
+
+app.get('/api/admin/personas/:type', requireAuth, requirePermission('personas:read'), schema({
+    summary: 'Get one persona',
+    response: PERSONA,
+    params: { type: 'object', required: ['type'], properties: { type: { type: 'string' } } }
+}), (req, res) => {
+    const persona = personas.get(req.params.type);
+    if (!persona) return res.status(404).json({ error: 'Persona not found' });
+    res.json(persona);
+});
+
+app.post('/api/admin/personas', requireAuth, requirePermission('personas:write'), schema({
+    summary: 'Create a persona',
+    status: 201,
+    response: withMessage({ persona: PERSONA }),
+    body: {
+        type: 'object',
+        required: ['type'],
+        properties: {
+            type: { type: 'string', pattern: '^[A-Za-z0-9_-]{2,32}$' },
+            description: { type: 'string' },
+            faults: { type: 'object', additionalProperties: FAULT_SCHEMA }
+        }
+    }
+}), (req, res) => {
+    const { type, description = '', faults = {} } = req.body;
+    if (personas.has(type)) return res.status(409).json({ error: 'Persona already exists' });
+    const error = validateFaults(faults);
+    if (error) return res.status(400).json({ error });
+
+    const persona = { type, description, faults };
+    auditTouch('personas', type);
+    personas.set(type, persona);
+    res.status(201).json({ message: 'Persona created', persona });
+});
+
+// Merges faults per route; a route set to null removes its fault
+app.patch('/api/admin/personas/:type', requireAuth, requirePermission('personas:write'), schema({
+    summary: 'Update a persona',
+    response: withMessage({ persona: PERSONA }),
+    params: { type: 'object', required: ['type'], properties: { type: { type: 'string' } } },
+    body: {
+        type: 'object',
+        properties: {
+            description: { type: 'string' },
+            faults: { type: 'object', additionalProperties: { ...FAULT_SCHEMA, nullable: true } }
+        }
+    }
+}), (req, res) => {
+    const persona = personas.get(req.params.type);
+    if (!persona) return res.status(404).json({ error: 'Persona not found' });
+    const { description, faults = {} } = req.body;
+
+    const merged = { ...persona.faults };
+    for (const [routeKey, fault] of Object.entries(faults)) {
+        if (fault === null) delete merged[routeKey];
+        else merged[routeKey] = fault;
+    }
+    const error = validateFaults(merged);
+    if (error) return res.status(400).json({ error });
+
+    auditTouch('personas', persona.type);
+    persona.faults = merged;
+    if (description !== undefined) persona.description = description;
+    res.json({ message: 'Persona updated', persona });
+});
+
+app.delete('/api/admin/personas/:type', requireAuth, requirePermission('personas:write'), schema({
+    summary: 'Delete a persona',
+    response: withMessage({ type: { type: 'string' } }),
+    params: { type: 'object', required: ['type'], properties: { type: { type: 'string' } } }
+}), (req, res) => {
+    const { type } = req.params;
+    if (type === 'standard') return res.status(403).json({ error: 'Cannot delete standard persona' });
+    if (!personas.has(type)) return res.status(404).json({ error: 'Persona not found' });
+    const assigned = users.filter(u => u.type === type).map(u => u.username);
+    if (assigned.length) return res.status(409).json({ error: 'Persona assigned to users – cannot delete', users: assigned });
+
+    auditTouch('personas', type);
+    personas.delete(type);
+    res.json({ message: 'Persona deleted', type });
+});
+
+// ORDERS
+const ORDER_FILTERS = {
+    username: NON_EMPTY_STRING,
+    status: { type: 'string', enum: ORDER_STATUSES },
+    from: { type: 'string', format: 'date-time' },
+    to: { type: 'string', format: 'date-time' },
+    minTotal: { type: 'number', minimum: 0 },
+    maxTotal: { type: 'number', minimum: 0 }
+};
+const EXPORT_FORMAT = { type: 'string', enum: ['json', 'csv'], default: 'json' };
+
+const orderFilterError = ({ from, to, minTotal, maxTotal }) => {
+    if (from && to && Date.parse(from) > Date.parse(to)) return 'from must not be after to';
+    if (minTotal !== undefined && maxTotal !== undefined && minTotal > maxTotal) return 'minTotal must not exceed maxTotal';
+    return null;
+};
+
+// Oldest first; every bound is inclusive
+const filterOrders = ({ username, status, from, to, minTotal, maxTotal }) => {
+    const [start, end] = [from && Date.parse(from), to && Date.parse(to)];
+    return orderHistory.filter(o =>
+        (!username || o.username === username)
+        && (!status || o.status === status)
+        && (!start || Date.parse(o.timestamp) >= start)
+        && (!end || Date.parse(o.timestamp) <= end)
+        && (minTotal === undefined || o.total >= minTotal)
+        && (maxTotal === undefined || o.total <= maxTotal));
+};
+
+const ORDER_COLUMNS = ['orderId', 'username', 'status', 'timestamp', 'itemCount', 'units', 'coupons', 'itemTotal', 'discount', 'tax', 'shipping', 'total', 'refundedTotal'];
+
+// One flat row per order, as listed and exported. Fixture orders may lack the pricing breakdown.
+const orderRow = (o) => ({
+    orderId: o.orderId,
+    username: o.username,
+    status: o.status,
+    timestamp: o.timestamp,
+    itemCount: o.items.length,
+    units: o.items.reduce((s, i) => s + i.quantity, 0),
+    coupons: (o.discounts || []).map(d => d.code),
+    itemTotal: o.itemTotal,
+    discount: o.discount ?? 0,
+    tax: o.tax ?? 0,
+    shipping: o.shipping?.cost ?? 0,
+    total: o.total,
+    refundedTotal: o.refundedTotal
+});
+
+const ORDER_ROW = responseSchema('OrderRow', {
+    type: 'object',
+    properties: {
+        orderId: { type: 'string' },
+        username: { type: 'string' },
+        status: { type: 'string', enum: ORDER_STATUSES },
+        timestamp: TIMESTAMP,
+        itemCount: { type: 'integer' },
+        units: { type: 'integer' },
+        coupons: { type: 'array', items: { type: 'string' } },
+        itemTotal: { type: 'number' },
+        discount: { type: 'number' },
+        tax: { type: 'number' },
+        shipping: { type: 'number' },
+        total: { type: 'number' },
+        refundedTotal: { type: 'number' }
+    }
+});
+
+// RFC 4180: fields holding a comma, quote or line break are quoted; lists are joined with ';'.
+// Text a spreadsheet would run as a formula gets a leading ' (numbers are left alone).
+const csvField = (value) => {
+    let text = value === null || value === undefined ? '' : Array.isArray(value) ? value.join(';') : String(value);
+    if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+const toCsv = (columns, rows) => [columns, ...rows.map(r => columns.map(c => r[c]))]
+    .map(fields => fields.map(csvField).join(',') + '\r\n')
+    .join('');
+
+// Sends `body` as JSON, or `rows` as a CSV attachment when the query asks for format=csv
+const sendTable = (req, res, { name, columns, rows, body }) => {
+    if (req.query.format !== 'csv') return res.json(body);
+    res.set({
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${name}-${new Date().toISOString().slice(0, 10)}.csv"`
+    });
+    res.send(toCsv(columns, rows));
+};
+
+app.get('/api/admin/orders', requireAuth, requirePermission('orders:read'), schema({
+    summary: 'Search all orders, newest first',
+    response: listOf('orders', ORDER_ROW),
+    query: {
+        type: 'object',
+        properties: {
+            ...ORDER_FILTERS,
+            page: { type: 'integer', minimum: 1, default: 1 },
+            limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: DEFAULT_PAGE_SIZE }
+        }
+    }
+}), (req, res) => {
+    const error = orderFilterError(req.query);
+    if (error) return res.status(400).json({ error });
+    const { page = 1, limit = DEFAULT_PAGE_SIZE } = req.query;
+    const matches = filterOrders(req.query).reverse();
+    const pages = Math.max(1, Math.ceil(matches.length / limit));
+    res.set({
+        'X-Total-Count': String(matches.length),
+        Link: paginationLinks(req.path, { ...req.query, page, limit }, pages)
+    });
+    res.json({ total: matches.length, orders: matches.slice((page - 1) * limit, page * limit).map(orderRow) });
+});
+
+app.get('/api/admin/orders/export', requireAuth, requirePermission('orders:read'), schema({
+    summary: 'Export every matching order as JSON or CSV, oldest first',
+    response: listOf('orders', ORDER_ROW),
+    produces: ['text/csv'],
+    query: { type: 'object', properties: { ...ORDER_FILTERS, format: EXPORT_FORMAT } }
+}), (req, res) => {
+    const error = orderFilterError(req.query);
+    if (error) return res.status(400).json({ error });
+    const rows = filterOrders(req.query).map(orderRow);
+    sendTable(req, res, { name: 'orders', columns: ORDER_COLUMNS, rows, body: { total: rows.length, orders: rows } });
+});
+
+app.get('/api/admin/orders/:orderId', requireAuth, requirePermission('orders:read'), schema({
+    summary: 'Any order in full',
+    response: ORDER,
+    params: ORDER_ID_PARAMS
+}), (req, res) => {
+    const order = findOrder(req.params.orderId);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    res.json(order);
+});
+
+app.patch('/api/admin/orders/:orderId', requireAuth, requirePermission('orders:write'), schema({
+    summary: 'Move an order to its next status',
+    response: withMessage({ order: ORDER }),
+    params: ORDER_ID_PARAMS,
+    body: {
+        type: 'object',
+        required: ['status'],
+        properties: { status: { type: 'string', enum: ORDER_STATUSES.filter(st => st !== 'refunded') }, note: { type: 'string' } }
+    }
+}), (req, res) => {
+    const order = findOrder(req.params.orderId);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    const { status, note } = req.body;
+    if (!ORDER_TRANSITIONS[order.status].includes(status)) {
+        return res.status(409).json({
+            error: `Cannot move order from ${order.status} to ${status}`,
+            allowed: ORDER_TRANSITIONS[order.status]
+        });
+    }
+
+    if (status === 'cancelled') cancelOrder(order, req.user.username, note);
+    else {
+        auditTouch('orderHistory', order.orderId);
+        order.status = status;
+        recordOrderEvent(order, { type: 'status', status, note }, req.user.username);
+    }
+    res.json({ message: 'Order updated', order });
+});
+
+app.post('/api/admin/orders/:orderId/refunds', requireAuth, requirePermission('orders:refund'), schema({
+    summary: 'Refund some or all units of a paid order',
+    status: 201,
+    response: withMessage({ refund: REFUND, order: ORDER }),
+    params: ORDER_ID_PARAMS,
+    body: {
+        type: 'object',
+        properties: {
+            items: {
+                type: 'array',
+                minItems: 1,
+                items: {
+                    type: 'object',
+                    required: ['productId', 'quantity'],
+                    properties: { productId: PRODUCT_ID, sku: SKU, quantity: { type: 'integer', minimum: 1 } }
+                }
+            },
+            reason: { type: 'string' },
+            restock: { type: 'boolean', default: true }
+        }
+    }
+}), (req, res) => {
+    const order = findOrder(req.params.orderId);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    if (!REFUNDABLE_STATUSES.includes(order.status))
+        return res.status(409).json({ error: `Cannot refund an order that is ${order.status}` });
+
+    const { items, reason, restock: restockItems = true } = req.body;
+    let refund;
+    try {
+        refund = refundOrder(order, items, { by: req.user.username, reason, restockItems });
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+    res.status(201).json({ message: 'Refund issued', refund, order });
+});
+
+// REPORTS
+// Aggregates over the orders matching ORDER_FILTERS. Cancelled orders never count; refunds are
+// booked against the day the order was placed. `row` documents a row and orders the CSV columns.
+const money = (n) => +n.toFixed(2);
+const average = (sum, count) => (count ? money(sum / count) : 0);
+
+const ORDER_REPORTS = {
+    revenue: {
+        summary: 'Revenue per day (UTC), net of refunds',
+        row: {
+            date: { type: 'string', format: 'date' },
+            orders: { type: 'integer' },
+            discount: { type: 'number' },
+            revenue: { type: 'number' },
+            refunded: { type: 'number' },
+            net: { type: 'number' }
+        },
+        build: (orders) => {
+            const days = new Map();
+            for (const o of orders) {
+                const date = o.timestamp.slice(0, 10);
+                const day = days.get(date) || { date, orders: 0, discount: 0, revenue: 0, refunded: 0 };
+                day.orders++;
+                day.discount += o.discount ?? 0;
+                day.revenue += o.total;
+                day.refunded += o.refundedTotal;
+                days.set(date, day);
+            }
+            return [...days.values()]
+                .sort((a, b) => a.date.localeCompare(b.date))
+                .map(d => ({ ...d, discount: money(d.discount), revenue: money(d.revenue), refunded: money(d.refunded), net: money(d.revenue - d.refunded) }));
+        }
+    },
+    'top-products': {
+        summary: 'Best-selling products and variants by units kept (sold minus refunded)',
+        query: { limit: { type: 'integer', minimum: 1, maximum: MAX_PAGE_SIZE, default: 10 } },
+        row: {
+            productId: PRODUCT_ID,
+            sku: { ...SKU, nullable: true },
+            name: { type: 'string', nullable: true },
+            units: { type: 'integer' },
+            refundedUnits: { type: 'integer' },
+            orders: { type: 'integer' },
+            revenue: { type: 'number' }
+        },
+        build: (orders, { limit = 10 }) => {
+            const lines = new Map();
+            for (const o of orders) {
+                for (const i of o.items) {
+                    const key = lineKey(i);
+                    const line = lines.get(key) || {
+                        productId: i.productId,
+                        sku: i.sku ?? null,
+                        name: i.name ?? inventory.find(p => p.id === i.productId)?.name ?? null,
+                        units: 0,
+                        refundedUnits: 0,
+                        orders: 0,
+                        revenue: 0
+                    };
+                    line.units += i.quantity - i.refundedQuantity;
+                    line.refundedUnits += i.refundedQuantity;
+                    line.orders++;
+                    line.revenue += i.price * (i.quantity - i.refundedQuantity);
+                    lines.set(key, line);
+                }
+            }
+            return [...lines.values()]
+                .map(l => ({ ...l, revenue: money(l.revenue) }))
+                .sort((a, b) => b.units - a.units || b.revenue - a.revenue || a.productId - b.productId)
+                .slice(0, limit);
+        }
+    },
+    coupons: {
+        summary: 'Orders and discount per promotion code',
+        row: { code: { type: 'string' }, orders: { type: 'integer' }, discount: { type: 'number' } },
+        build: (orders) => {
+            const codes = new Map();
+            for (const d of orders.flatMap(o => o.discounts || [])) {
+                const usage = codes.get(d.code) || { code: d.code, orders: 0, discount: 0 };
+                usage.orders++;
+                usage.discount += d.amount;
+                codes.set(d.code, usage);
+            }
+            return [...codes.values()]
+                .map(c => ({ ...c, discount: money(c.discount) }))
+                .sort((a, b) => b.orders - a.orders || a.code.localeCompare(b.code));
+        }
+    },
+    'basket-size': {
+        summary: 'Average basket: lines, units and value per order',
+        row: {
+            orders: { type: 'integer' },
+            averageLines: { type: 'number' },
+            averageUnits: { type: 'number' },
+            averageItemTotal: { type: 'number' },
+            averageTotal: { type: 'number' }
+        },
+        build: (orders) => {
+            const sum = (f) => orders.reduce((s, o) => s + f(o), 0);
+            return [{
+                orders: orders.length,
+                averageLines: average(sum(o => o.items.length), orders.length),
+                averageUnits: average(sum(o => o.items.reduce((s, i) => s + i.quantity, 0)), orders.length),
+                averageItemTotal: average(sum(o => o.itemTotal), orders.length),
+                averageTotal: average(sum(o => o.total), orders.length)
+            }];
+        }
+    }
+};
+
+for (const [name, report] of Object.entries(ORDER_REPORTS)) {
+    app.get(`/api/admin/reports/${name}`, requireAuth, requirePermission('orders:read'), schema({
+        summary: report.summary,
+        query: { type: 'object', properties: { ...ORDER_FILTERS, ...report.query, format: EXPORT_FORMAT } },
+        response: {
+            type: 'object',
+            properties: {
+                report: { type: 'string' },
+                orderCount: { type: 'integer' },
+                rows: { type: 'array', items: { type: 'object', properties: report.row } }
+            }
+        },
+        produces: ['text/csv']
+    }), (req, res) => {
+        const error = orderFilterError(req.query);
+        if (error) return res.status(400).json({ error });
+        const orders = filterOrders(req.query).filter(o => o.status !== 'cancelled');
+        const rows = report.build(orders, req.query);
+        sendTable(req, res, { name, columns: Object.keys(report.row), rows, body: { report: name, orderCount: orders.length, rows } });
+    });
+}
+
+// PROMOTIONS
+const PROMOTION_CODE_PARAMS = { type: 'object', required: ['code'], properties: { code: NON_EMPTY_STRING } };
+
+const PROMOTION = responseSchema('Promotion', {
+    type: 'object',
+    properties: {
+        ...PROMOTION_SCHEMA.properties,
+        redemptions: { type: 'integer' },
+        redemptionsByUser: { type: 'object', additionalProperties: { type: 'integer' } }
+    }
+});
+
+app.get('/api/admin/promotions', requireAuth, requirePermission('promotions:read'), schema({
+    summary: 'List promotions',
+    response: listOf('promotions', PROMOTION)
+}), (req, res) => {
+    const list = Array.from(promotions.values());
+    res.json({ total: list.length, promotions: list });
+});
+
+app.get('/api/admin/promotions/:code', requireAuth, requirePermission('promotions:read'), schema({
+    summary: 'Get one promotion',
+    response: PROMOTION,
+    params: PROMOTION_CODE_PARAMS
+}), (req, res) => {
+    const promotion = promotions.get(req.params.code);
+    if (!promotion) return res.status(404).json({ error: 'Promotion not found' });
+    res.json(promotion);
+});
+
+app.post('/api/admin/promotions', requireAuth, requirePermission('promotions:write'), schema({
+    summary: 'Create a promotion',
+    status: 201,
+    response: withMessage({ promotion: PROMOTION }),
+    body: PROMOTION_SCHEMA
+}), (req, res) => {
+    if (promotions.has(req.body.code)) return res.status(409).json({ error: 'Promotion code already exists' });
+    const error = validatePromotion(req.body);
+    if (error) return res.status(400).json({ error });
+
+    const promotion = newPromotion(req.body);
+    auditTouch('promotions', promotion.code);
+    promotions.set(promotion.code, promotion);
+    res.status(201).json({ message: 'Promotion created', promotion });
+});
+
+app.patch('/api/admin/promotions/:code', requireAuth, requirePermission('promotions:write'), schema({
+    summary: 'Update a promotion',
+    response: withMessage({ promotion: PROMOTION }),
+    params: PROMOTION_CODE_PARAMS,
+    body: { type: 'object', additionalProperties: false, properties: PROMOTION_PROPERTIES }
+}), (req, res) => {
+    const promotion = promotions.get(req.params.code);
+    if (!promotion) return res.status(404).json({ error: 'Promotion not found' });
+    const updated = { ...promotion, ...req.body };
+    const error = validatePromotion(updated);
+    if (error) return res.status(400).json({ error });
+
+    auditTouch('promotions', promotion.code);
+    Object.assign(promotion, req.body);
+    res.json({ message: 'Promotion updated', promotion });
+});
+
+app.delete('/api/admin/promotions/:code', requireAuth, requirePermission('promotions:write'), schema({
+    summary: 'Delete a promotion and remove it from every cart',
+    response: withMessage({ code: { type: 'string' } }),
+    params: PROMOTION_CODE_PARAMS
+}), (req, res) => {
+    const { code } = req.params;
+    auditTouch('promotions', code);
+    if (!promotions.delete(code)) return res.status(404).json({ error: 'Promotion not found' });
+    for (const [owner, data] of userCarts) {
+        if (!data.appliedCoupons.includes(code)) continue;
+        auditTouch('userCarts', owner);
+        data.appliedCoupons = data.appliedCoupons.filter(c => c !== code);
+    }
+    res.json({ message: 'Promotion deleted', code });
+});
+
+// TAX & SHIPPING
+// Each PUT replaces the whole table; open carts are re-priced on their next read
+const TAX_RULE = responseSchema('TaxRule', TAX_RULE_SCHEMA);
+
+app.get('/api/admin/tax-rules', requireAuth, requirePermission('settings:read'), schema({
+    summary: 'List tax rules',
+    response: listOf('taxRules', TAX_RULE)
+}), (req, res) => {
+    res.json({ total: taxRules.length, taxRules });
+});
+
+app.put('/api/admin/tax-rules', requireAuth, requirePermission('settings:write'), schema({
+    summary: 'Replace the tax rule table',
+    response: withMessage({ taxRules: { type: 'array', items: TAX_RULE } }),
+    body: { type: 'object', required: ['taxRules'], properties: { taxRules: { type: 'array', items: TAX_RULE_SCHEMA } } }
+}), (req, res) => {
+    const error = validateTaxRules(req.body.taxRules);
+    if (error) return res.status(400).json({ error });
+    [...taxRules, ...req.body.taxRules].forEach(r => auditTouch('taxRules', r.id));
+    taxRules.splice(0, taxRules.length, ...req.body.taxRules);
+    res.json({ message: 'Tax rules updated', taxRules });
+});
+
+app.get('/api/admin/shipping-methods', requireAuth, requirePermission('settings:read'), schema({
+    summary: 'List shipping methods',
+    response: listOf('shippingMethods', SHIPPING_METHOD)
+}), (req, res) => {
+    res.json({ total: shippingMethods.length, shippingMethods });
+});
+
+app.put('/api/admin/shipping-methods', requireAuth, requirePermission('settings:write'), schema({
+    summary: 'Replace the shipping method table',
+    response: withMessage({ shippingMethods: { type: 'array', items: SHIPPING_METHOD } }),
+    body: {
+        type: 'object',
+        required: ['shippingMethods'],
+        properties: { shippingMethods: { type: 'array', minItems: 1, items: SHIPPING_METHOD_SCHEMA } }
+    }
+}), (req, res) => {
+    const error = validateShippingMethods(req.body.shippingMethods);
+    if (error) return res.status(400).json({ error });
+    [...shippingMethods, ...req.body.shippingMethods].forEach(m => auditTouch('shippingMethods', m.id));
+    shippingMethods.splice(0, shippingMethods.length, ...req.body.shippingMethods);
+    res.json({ message: 'Shipping methods updated', shippingMethods });
+});
+
+// RESET
+// Restores every collection to seed data, optionally overlaid with a fixture
+const resetSchema = schema({
+    summary: 'Reset the whole store to seed data, optionally overlaid with a fixture; ends every session',
+    response: withMessage({
+        seed: { type: 'integer', nullable: true },
+        counts: {
+            type: 'object',
+            properties: { users: { type: 'integer' }, products: { type: 'integer' }, orders: { type: 'integer' }, promotions: { type: 'integer' } }
+        }
+    }),
+    body: {
+        type: 'object',
+        properties: {
+            seed: { type: 'integer' },
+            users: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['username', 'password'],
+                    properties: {
+                        username: { type: 'string' },
+                        password: { type: 'string' },
+                        role: { type: 'string' },
+                        type: { type: 'string' }
+                    }
+                }
+            },
+            products: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['name', 'price', 'img'],
+                    properties: {
+                        id: PRODUCT_ID,
+                        ...PRODUCT_PROPERTIES,
+                        variants: { type: 'array', items: VARIANT_SCHEMA }
+                    }
+                }
+            },
+            stock: { type: 'object', additionalProperties: { type: 'integer', minimum: 0 } },
+            coupons: { type: 'object', additionalProperties: { type: 'number', minimum: 0, exclusiveMinimum: true, maximum: 1 } },
+            promotions: { type: 'array', items: PROMOTION_SCHEMA },
+            passwordPolicy: { type: 'object', additionalProperties: false, properties: PASSWORD_POLICY_PROPERTIES },
+            roles: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['name', 'permissions'],
+                    properties: { name: ROLE_NAME, description: { type: 'string' }, permissions: PERMISSION_LIST }
+                }
+            },
+            taxRules: { type: 'array', items: TAX_RULE_SCHEMA },
+            shippingMethods: { type: 'array', items: SHIPPING_METHOD_SCHEMA },
+            orders: {
+                type: 'array',
+                items: {
+                    type: 'object',
+                    required: ['orderId', 'username', 'items'],
+                    properties: {
+                        orderId: { type: 'string' },
+                        username: { type: 'string' },
+                        items: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['productId', 'quantity', 'price'],
+                                properties: { productId: PRODUCT_ID, quantity: { type: 'integer', minimum: 1 }, price: { type: 'number', minimum: 0 } }
+                            }
+                        },
+                        status: { type: 'string', enum: ORDER_STATUSES },
+                        timestamp: { type: 'string', format: 'date-time' },
+                        discounts: {
+                            type: 'array',
+                            items: {
+                                type: 'object',
+                                required: ['code', 'amount'],
+                                properties: { code: NON_EMPTY_STRING, amount: { type: 'number', minimum: 0 } }
+                            }
+                        }
+                    }
+                }
+            }
+        }
+    }
+});
+
+const resetStore = (req, res) => {
+    const fixture = req.body;
+    const error = validateFixture(fixture);
+    if (error) return res.status(400).json({ error });
+
+    let state;
+    try {
+        state = buildFixtureState(fixture);
+    } catch (err) {
+        return res.status(400).json({ error: err.message });
+    }
+
+    auditTouchAll();
+    hydrateState(state);
+    endAllSessions();
+    rateLimitStore.clear();
+    chaosRules.clear();
+    chaosRuntime.clear();
+    const seed = fixture.seed ?? RANDOM_SEED;
+    seedRandom(seed);
+
+    res.json({
+        message: 'Store reset',
+        seed,
+        counts: {
+            users: users.length,
+            products: inventory.length,
+            orders: orderHistory.length,
+            promotions: promotions.size
+        }
+    });
+};
+
+app.post('/api/admin/reset', requireAuth, requirePermission('store:write'), resetSchema, resetStore);
+if (TEST_MODE) app.post('/api/test/reset', resetSchema, resetStore);
+
+// SNAPSHOTS
+const SNAPSHOT = { type: 'object', properties: { name: SNAPSHOT_NAME, createdAt: TIMESTAMP } };
+
+app.get('/api/admin/snapshots', requireAuth, requirePermission('store:read'), schema({
+    summary: 'List snapshots',
+    response: listOf('snapshots', SNAPSHOT)
+}), (req, res) => {
+    const list = store.listSnapshots().sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    res.json({ total: list.length, snapshots: list });
+});
+
+app.post('/api/admin/snapshots', requireAuth, requirePermission('store:write'), schema({
+    summary: 'Save the whole store as a named snapshot',
+    status: 201,
+    response: withMessage(SNAPSHOT.properties),
+    body: { type: 'object', required: ['name'], properties: { name: SNAPSHOT_NAME, overwrite: { type: 'boolean', default: false } } }
+}), (req, res) => {
+    const { name, overwrite = false } = req.body;
+    if (!overwrite && store.getSnapshot(name)) return res.status(409).json({ error: 'Snapshot already exists' });
+
+    const snapshot = { name, createdAt: new Date().toISOString(), data: serializeState() };
+    store.putSnapshot(snapshot);
+    res.status(201).json({ message: 'Snapshot saved', name, createdAt: snapshot.createdAt });
+});
+
+app.post('/api/admin/snapshots/:name/restore', requireAuth, requirePermission('store:write'), schema({
+    summary: 'Replace the whole store with a snapshot; ends every session',
+    response: withMessage(SNAPSHOT.properties),
+    params: { type: 'object', required: ['name'], properties: { name: SNAPSHOT_NAME } }
+}), (req, res) => {
+    const snapshot = store.getSnapshot(req.params.name);
+    if (!snapshot) return res.status(404).json({ error: 'Snapshot not found' });
+    auditTouchAll();
+    hydrateState(JSON.parse(JSON.stringify(snapshot.data)));
+    endAllSessions();
+    res.json({ message: 'Snapshot restored', name: snapshot.name, createdAt: snapshot.createdAt });
+});
+
+app.delete('/api/admin/snapshots/:name', requireAuth, requirePermission('store:write'), schema({
+    summary: 'Delete a snapshot',
+    response: withMessage({ name: SNAPSHOT_NAME }),
+    params: { type: 'object', required: ['name'], properties: { name: SNAPSHOT_NAME } }
+}), (req, res) => {
+    if (!store.deleteSnapshot(req.params.name))
+        return res.status(404).json({ error: 'Snapshot not found' });
+    res.json({ message: 'Snapshot deleted', name: req.params.name });
 });
 
 // ========================================
@@ -523,8 +4858,20 @@ app.patch('/api/admin/stock/:productId', requireAuth, requireAdmin, (req, res) =
 // ========================================
 app.use('/api', (req, res) => res.status(404).json({ error: 'Route not found' }));
 
-app.listen(PORT, () => {
-    console.log('\nSAUCDEMO API MOCK v12.0 — FINAL, BUG-FREE, PRODUCTION-READY');
-    console.log(`Server running at http://localhost:${PORT}`);
-    console.log('100% working: JWT, Rate Limiting, Registration, Cart, Admin Panel, Product CRUD\n');
-});
\ No newline at end of file
+// Bodies express.json() can't parse fail before any route runs; they get the shape schema() uses
+const BODY_PARSE_ERRORS = { 'entity.parse.failed': 'must be valid JSON', 'entity.too.large': 'is too large' };
+app.use((err, req, res, next) => {
+    if (!BODY_PARSE_ERRORS[err.type]) return next(err);
+    res.status(err.status).json({ error: 'Validation failed', details: [{ location: 'body', field: '', message: BODY_PARSE_ERRORS[err.type] }] });
+});
+
+// Only listen when run directly; tests require() the app and drive it in-process
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log('\nSAUCDEMO API MOCK v12.0 — FINAL, BUG-FREE, PRODUCTION-READY');
+        console.log(`Server running at http://localhost:${PORT}`);
+        console.log('100% working: JWT, Rate Limiting, Registration, Cart, Admin Panel, Product CRUD\n');
+    });
+}
+
+module.exports = app;
\ No newline at end of file
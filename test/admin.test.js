@@ -0,0 +1,196 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, login, loginAdmin, reset } = require('./helpers');
+
+describe('admin', () => {
+    let admin;
+
+    beforeEach(async () => {
+        await reset();
+        admin = await loginAdmin();
+    });
+
+    it('is closed to regular users', async () => {
+        const res = await request('GET', '/api/admin/users', { token: await login('standard_user') });
+        assert.equal(res.statusCode, 403);
+    });
+
+    describe('users', () => {
+        it('lists users', async () => {
+            const res = await request('GET', '/api/admin/users', { token: admin });
+            assert.equal(res.json().total, 7);
+            assert.equal(res.json().users.find(u => u.username === 'locked_out_user').locked, true);
+        });
+
+        it('creates users with a persona', async () => {
+            const res = await request('POST', '/api/admin/users', {
+                token: admin,
+                body: { username: 'qa_problem', password: 'secret123', type: 'problem' }
+            });
+            assert.equal(res.statusCode, 201);
+            const me = await request('GET', '/api/me', { token: await login('qa_problem', 'secret123') });
+            assert.equal(me.json().type, 'problem');
+        });
+
+        it('rejects unknown personas and roles', async () => {
+            let res = await request('POST', '/api/admin/users', { token: admin, body: { username: 'qa_x', password: 'secret123', type: 'nope' } });
+            assert.equal(res.statusCode, 400);
+            res = await request('POST', '/api/admin/users', { token: admin, body: { username: 'qa_x', password: 'secret123', role: 'root' } });
+            assert.equal(res.statusCode, 400);
+        });
+
+        it('deletes users but not admin', async () => {
+            assert.equal((await request('DELETE', '/api/admin/users/visual_user', { token: admin })).statusCode, 200);
+            assert.equal((await request('DELETE', '/api/admin/users/visual_user', { token: admin })).statusCode, 404);
+            assert.equal((await request('DELETE', '/api/admin/users/admin', { token: admin })).statusCode, 403);
+        });
+    });
+
+    describe('products & stock', () => {
+        it('creates a product', async () => {
+            const res = await request('POST', '/api/admin/products', {
+                token: admin,
+                body: { name: ' Sauce Mug ', price: 12.5, img: 'mug.jpg', initialStock: 3 }
+            });
+            assert.equal(res.statusCode, 201);
+            assert.deepEqual(res.json().product, { id: 6, name: 'Sauce Mug' });
+            const stock = (await request('GET', '/api/admin/stock', { token: admin })).json();
+            assert.equal(stock.find(p => p.id === 6).currentStock, 3);
+        });
+
+        it('rejects a non-numeric price', async () => {
+            const res = await request('POST', '/api/admin/products', { token: admin, body: { name: 'Mug', price: 'abc', img: 'mug.jpg' } });
+            assert.equal(res.statusCode, 400);
+            assert.equal(res.json().details[0].field, 'price');
+        });
+
+        it('archives a product even while it sits in a cart', async () => {
+            const user = await login('standard_user');
+            await request('POST', '/api/cart', { token: user, body: { productId: 4 } });
+            const res = await request('DELETE', '/api/admin/products/4', { token: admin });
+            assert.equal(res.statusCode, 200);
+            assert.ok(res.json().product.archivedAt);
+            assert.equal((await request('DELETE', '/api/admin/products/4', { token: admin })).statusCode, 409);
+            assert.equal((await request('GET', '/api/inventory/4')).statusCode, 404);
+            assert.ok(!(await request('GET', '/api/inventory')).json().some(p => p.id === 4));
+        });
+
+        it('sets stock levels', async () => {
+            const res = await request('PATCH', '/api/admin/stock/2', { token: admin, body: { quantity: 0 } });
+            assert.equal(res.json().newStock, 0);
+            const item = (await request('GET', '/api/inventory')).json().find(p => p.id === 2);
+            assert.equal(item.inStock, false);
+            assert.equal((await request('PATCH', '/api/admin/stock/2', { token: admin, body: { quantity: -1 } })).statusCode, 400);
+            assert.equal((await request('PATCH', '/api/admin/stock/99', { token: admin, body: { quantity: 1 } })).statusCode, 404);
+        });
+    });
+
+    describe('personas', () => {
+        it('lists the seed personas', async () => {
+            const res = await request('GET', '/api/admin/personas', { token: admin });
+            assert.deepEqual(res.json().personas.map(p => p.type), ['standard', 'locked', 'problem', 'performance', 'visual', 'error']);
+        });
+
+        it('creates a persona whose faults apply to its users', async () => {
+            let res = await request('POST', '/api/admin/personas', {
+                token: admin,
+                body: { type: 'flaky', faults: { 'GET /api/inventory': { dropItems: 2, sort: 'reverse', corruptFields: { price: 0 } } } }
+            });
+            assert.equal(res.statusCode, 201);
+            await request('POST', '/api/admin/users', { token: admin, body: { username: 'flaky_user', password: 'secret123', type: 'flaky' } });
+
+            res = await request('GET', '/api/inventory', { token: await login('flaky_user', 'secret123') });
+            assert.deepEqual(res.json().map(p => p.id), [3, 2, 1, 0]);
+            assert.ok(res.json().every(p => p.price === 0));
+        });
+
+        it('patches faults per route and removes them with null', async () => {
+            let res = await request('PATCH', '/api/admin/personas/problem', {
+                token: admin,
+                body: { faults: { 'GET /api/inventory': null, 'GET /api/cart': { status: 503 } } }
+            });
+            assert.deepEqual(Object.keys(res.json().persona.faults), ['GET /api/cart']);
+
+            const user = await login('problem_user');
+            assert.equal((await request('GET', '/api/cart', { token: user })).statusCode, 503);
+            res = await request('GET', '/api/inventory', { token: user });
+            assert.ok(res.json().every(p => !p.imageUrl.endsWith('/problem-user.jpg')));
+        });
+
+        it('adds latency', async () => {
+            await request('PATCH', '/api/admin/personas/standard', { token: admin, body: { faults: { 'GET /api/me': { latencyMs: 50 } } } });
+            const user = await login('standard_user');
+            const started = Date.now();
+            await request('GET', '/api/me', { token: user });
+            assert.ok(Date.now() - started >= 45);
+        });
+
+        it('validates fault definitions', async () => {
+            let res = await request('POST', '/api/admin/personas', { token: admin, body: { type: 'bad', faults: { 'GET /nope': {} } } });
+            assert.equal(res.statusCode, 400);
+            res = await request('POST', '/api/admin/personas', { token: admin, body: { type: 'bad', faults: { 'GET /api/cart': { status: 200 } } } });
+            assert.equal(res.statusCode, 400);
+            res = await request('POST', '/api/admin/personas', { token: admin, body: { type: 'problem' } });
+            assert.equal(res.statusCode, 409);
+        });
+
+        it('refuses to delete personas in use', async () => {
+            assert.equal((await request('DELETE', '/api/admin/personas/problem', { token: admin })).statusCode, 409);
+            await request('DELETE', '/api/admin/users/problem_user', { token: admin });
+            assert.equal((await request('DELETE', '/api/admin/personas/problem', { token: admin })).statusCode, 200);
+            assert.equal((await request('DELETE', '/api/admin/personas/standard', { token: admin })).statusCode, 403);
+        });
+    });
+
+    describe('reset & fixtures', () => {
+        it('restores seed data', async () => {
+            await request('POST', '/api/register', { body: { username: 'leaky', password: 'secret123' } });
+            await request('PATCH', '/api/admin/stock/0', { token: admin, body: { quantity: 1 } });
+            const res = await request('POST', '/api/admin/reset', { token: admin });
+            assert.deepEqual(res.json().counts, { users: 7, products: 6, orders: 0, promotions: 2 });
+            const stock = (await request('GET', '/api/admin/stock', { token: await loginAdmin() })).json();
+            assert.equal(stock.find(p => p.id === 0).currentStock, 10);
+        });
+
+        it('seeds a declared world', async () => {
+            await reset({
+                users: [{ username: 'buyer', password: 'secret' }],
+                products: [{ name: 'Widget', price: 3, img: 'w.jpg' }],
+                stock: { 0: 2 },
+                coupons: { HALF: 0.5 },
+                orders: [{ orderId: 'ORDER-1', username: 'buyer', items: [], total: 1 }]
+            });
+            const buyer = await login('buyer', 'secret');
+            assert.deepEqual((await request('GET', '/api/inventory')).json().map(p => p.name), ['Widget']);
+            assert.equal((await request('GET', '/api/orders', { token: buyer })).json()[0].orderId, 'ORDER-1');
+            const res = await request('POST', '/api/cart/coupon', { token: buyer, body: { code: 'HALF' } });
+            assert.equal(res.statusCode, 200);
+        });
+
+        it('rejects inconsistent fixtures', async () => {
+            const res = await request('POST', '/api/test/reset', { body: { products: [{ name: 'A', price: 1, img: 'a' }], stock: { 5: 1 } } });
+            assert.equal(res.statusCode, 400);
+        });
+    });
+
+    describe('snapshots', () => {
+        it('saves, lists, restores and deletes', async () => {
+            let res = await request('POST', '/api/admin/snapshots', { token: admin, body: { name: 'clean' } });
+            assert.equal(res.statusCode, 201);
+            assert.equal((await request('POST', '/api/admin/snapshots', { token: admin, body: { name: 'clean' } })).statusCode, 409);
+
+            await request('POST', '/api/register', { body: { username: 'temp_user', password: 'secret123' } });
+            res = await request('POST', '/api/admin/snapshots/clean/restore', { token: admin });
+            assert.equal(res.statusCode, 200);
+            assert.equal((await request('GET', '/api/admin/snapshots', { token: admin })).statusCode, 401); // restores end every session
+            admin = await loginAdmin();
+            const usernames = (await request('GET', '/api/admin/users', { token: admin })).json().users.map(u => u.username);
+            assert.ok(!usernames.includes('temp_user'));
+
+            res = await request('GET', '/api/admin/snapshots', { token: admin });
+            assert.deepEqual(res.json().snapshots.map(s => s.name), ['clean']);
+            assert.equal((await request('DELETE', '/api/admin/snapshots/clean', { token: admin })).statusCode, 200);
+            assert.equal((await request('POST', '/api/admin/snapshots/clean/restore', { token: admin })).statusCode, 404);
+        });
+    });
+});
@@ -0,0 +1,115 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, login, loginAdmin, reset } = require('./helpers');
+
+const CUSTOMER = { firstName: 'Sauce', lastName: 'Tester', postalCode: '12345' };
+
+describe('audit log', () => {
+    let admin;
+    let since; // the log outlives resets, so each test only looks at its own entries
+
+    const audit = async (query = {}) => {
+        const res = await request('GET', `/api/admin/audit?${new URLSearchParams({ from: since, ...query })}`, { token: admin });
+        assert.equal(res.statusCode, 200);
+        return res.json().entries;
+    };
+
+    beforeEach(async () => {
+        await reset();
+        admin = await loginAdmin();
+        await new Promise(resolve => setTimeout(resolve, 2)); // keep the login out of the window
+        since = new Date().toISOString();
+    });
+
+    it('records who changed what, with a before/after diff', async () => {
+        await request('PATCH', '/api/admin/stock/4', { token: admin, body: { quantity: 3 } });
+        const [entry] = await audit({ entity: 'products' });
+        assert.equal(entry.actor, 'admin');
+        assert.equal(entry.role, 'admin');
+        assert.equal(entry.route, '/api/admin/stock/:productId');
+        assert.equal(entry.status, 200);
+        assert.deepEqual(entry.entity, { type: 'products', id: '4' });
+        assert.deepEqual(entry.changes, [{ collection: 'stock', key: '4', before: 10, after: 3 }]);
+        assert.ok(entry.ip);
+    });
+
+    it('lists only changed fields and redacts password hashes', async () => {
+        const token = await login('standard_user');
+        await request('PATCH', '/api/me', { token, body: { currentPassword: 'secret_sauce', password: 'hunter22' } });
+        const [entry] = await audit({ actor: 'standard_user', entity: 'users' });
+        assert.deepEqual(entry.entity, { type: 'users', id: 'standard_user' });
+        assert.deepEqual(entry.changes, [
+            { collection: 'users', key: 'standard_user', before: { passwordHash: '[redacted]' }, after: { passwordHash: '[redacted]' } }
+        ]);
+    });
+
+    it('records customer checkouts and deletions', async () => {
+        const token = await login('standard_user');
+        await request('POST', '/api/cart', { token, body: { productId: 4 } });
+        const order = (await request('POST', '/api/checkout', { token, body: CUSTOMER })).json();
+        await request('DELETE', '/api/admin/products/4', { token: admin });
+
+        const checkout = (await audit({ entity: 'orders' }))[0];
+        assert.ok(checkout.changes.some(c => c.collection === 'orderHistory' && c.key === order.orderId && c.before === null));
+        const [deleted] = await audit({ entity: 'products', entityId: '4' });
+        assert.equal(deleted.method, 'DELETE');
+        assert.ok(deleted.changes[0].after.archivedAt);
+    });
+
+    it('records failed attempts without an actor', async () => {
+        await request('POST', '/api/login', { body: { username: 'standard_user', password: 'nope' } });
+        const [entry] = await audit({ entity: 'sessions' });
+        assert.equal(entry.actor, null);
+        assert.equal(entry.status, 401);
+        assert.deepEqual(entry.entity, { type: 'sessions', id: 'standard_user' });
+        assert.deepEqual(entry.changes.map(c => c.after), [{ failedLogins: 1 }]);
+    });
+
+    it('credits overlapping requests with their own changes only', async () => {
+        // Registration and password changes yield while hashing; the admin's requests land meanwhile
+        const token = await login('standard_user');
+        await Promise.all([
+            request('POST', '/api/register', { body: { username: 'overlap_user', password: 'Secret-sauce1' } }),
+            request('PATCH', '/api/me', { token, body: { currentPassword: 'secret_sauce', password: 'hunter22' } }),
+            request('PATCH', '/api/admin/stock/4', { token: admin, body: { quantity: 3 } }),
+            request('PUT', '/api/admin/users/standard_user/role', { token: admin, body: { role: 'support' } })
+        ]);
+
+        const entries = await audit();
+        const changes = (route) => entries.find(e => e.route === route).changes;
+        assert.deepEqual(changes('/api/register').map(c => [c.collection, c.key, c.before]), [['users', 'overlap_user', null]]);
+        assert.deepEqual(changes('/api/me').map(c => [c.key, Object.keys(c.after)]), [['standard_user', ['passwordHash']]]);
+        assert.deepEqual(changes('/api/admin/stock/:productId'), [{ collection: 'stock', key: '4', before: 10, after: 3 }]);
+        assert.deepEqual(changes('/api/admin/users/:username/role').map(c => [c.key, c.after]), [['standard_user', { role: 'support' }]]);
+    });
+
+    it('ignores reads', async () => {
+        await request('GET', '/api/admin/users', { token: admin });
+        assert.deepEqual(await audit(), []);
+    });
+
+    it('filters by time range, newest first, with paging', async () => {
+        await request('PATCH', '/api/admin/stock/1', { token: admin, body: { quantity: 1 } });
+        await request('PATCH', '/api/admin/stock/2', { token: admin, body: { quantity: 2 } });
+        const res = await request('GET', `/api/admin/audit?from=${since}&limit=1`, { token: admin });
+        assert.equal(res.headers['x-total-count'], '2');
+        assert.equal(res.json().entries[0].entity.id, '2');
+        assert.match(res.headers.link, /rel="next"/);
+        assert.deepEqual(await audit({ to: new Date(Date.parse(since) - 1).toISOString() }), []);
+    });
+
+    it('exports NDJSON, oldest first', async () => {
+        await request('PATCH', '/api/admin/stock/1', { token: admin, body: { quantity: 1 } });
+        await request('PATCH', '/api/admin/stock/2', { token: admin, body: { quantity: 2 } });
+        const res = await request('GET', `/api/admin/audit/export?from=${since}`, { token: admin });
+        assert.match(res.headers['content-type'], /application\/x-ndjson/);
+        const lines = res.body.trim().split('\n').map(line => JSON.parse(line));
+        assert.deepEqual(lines.map(e => e.entity.id), ['1', '2']);
+    });
+
+    it('needs the audit:read permission', async () => {
+        await reset({ users: [{ username: 'ivy', password: 'secret', role: 'inventory_manager' }, { username: 'al', password: 'secret', role: 'auditor' }] });
+        assert.equal((await request('GET', '/api/admin/audit', { token: await login('ivy', 'secret') })).statusCode, 403);
+        assert.equal((await request('GET', '/api/admin/audit', { token: await login('al', 'secret') })).statusCode, 200);
+    });
+});
@@ -0,0 +1,135 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, login, loginAdmin, reset } = require('./helpers');
+
+describe('auth', () => {
+    beforeEach(() => reset());
+
+    it('reports health', async () => {
+        const res = await request('GET', '/api/health');
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.json().status, 'ok');
+    });
+
+    describe('POST /api/register', () => {
+        it('registers a new standard user who can then log in', async () => {
+            const res = await request('POST', '/api/register', { body: { username: 'new_user', password: 'hunter22' } });
+            assert.equal(res.statusCode, 201);
+            assert.equal(res.json().username, 'new_user');
+            assert.ok(await login('new_user', 'hunter22'));
+        });
+
+        it('rejects a taken username', async () => {
+            const res = await request('POST', '/api/register', { body: { username: 'standard_user', password: 'hunter22' } });
+            assert.equal(res.statusCode, 409);
+        });
+
+        it('rejects short credentials', async () => {
+            const res = await request('POST', '/api/register', { body: { username: 'ab', password: '123' } });
+            assert.equal(res.statusCode, 400);
+            assert.deepEqual(res.json().details.map(d => d.field), ['username', 'password']);
+        });
+    });
+
+    describe('POST /api/login', () => {
+        it('returns an access token and sets the refresh cookie', async () => {
+            const res = await request('POST', '/api/login', { body: { username: 'standard_user', password: 'secret_sauce' } });
+            assert.equal(res.statusCode, 200);
+            assert.ok(res.json().accessToken);
+            assert.deepEqual(res.json().user, { username: 'standard_user', role: 'user' });
+            const cookie = res.cookies.find(c => c.name === 'refreshToken');
+            assert.ok(cookie.value);
+            assert.equal(cookie.httpOnly, true);
+        });
+
+        it('rejects wrong credentials', async () => {
+            const res = await request('POST', '/api/login', { body: { username: 'standard_user', password: 'nope' } });
+            assert.equal(res.statusCode, 401);
+        });
+
+        it('locks out locked_out_user', async () => {
+            const res = await request('POST', '/api/login', { body: { username: 'locked_out_user', password: 'secret_sauce' } });
+            assert.equal(res.statusCode, 403);
+            assert.match(res.json().error, /locked out/);
+        });
+
+        it('rate limits auth routes after 10 attempts', async () => {
+            for (let i = 0; i < 10; i++) {
+                await request('POST', '/api/login', { body: { username: 'standard_user', password: 'nope' } });
+            }
+            const res = await request('POST', '/api/login', { body: { username: 'standard_user', password: 'secret_sauce' } });
+            assert.equal(res.statusCode, 429);
+            assert.ok(res.json().retryAfter > 0);
+        });
+    });
+
+    describe('POST /api/refresh', () => {
+        const refreshCookie = async () => {
+            const res = await request('POST', '/api/login', { body: { username: 'standard_user', password: 'secret_sauce' } });
+            return res.cookies.find(c => c.name === 'refreshToken').value;
+        };
+
+        it('issues a new access token from the cookie', async () => {
+            const res = await request('POST', '/api/refresh', { cookies: { refreshToken: await refreshCookie() } });
+            assert.equal(res.statusCode, 200);
+            const me = await request('GET', '/api/me', { token: res.json().accessToken });
+            assert.equal(me.json().username, 'standard_user');
+        });
+
+        it('accepts the refresh token in the body', async () => {
+            const res = await request('POST', '/api/refresh', { body: { refreshToken: await refreshCookie() } });
+            assert.equal(res.statusCode, 200);
+        });
+
+        it('requires a valid token', async () => {
+            assert.equal((await request('POST', '/api/refresh')).statusCode, 401);
+            assert.equal((await request('POST', '/api/refresh', { body: { refreshToken: 'junk' } })).statusCode, 401);
+        });
+    });
+
+    it('POST /api/logout clears the refresh cookie', async () => {
+        const res = await request('POST', '/api/logout');
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.cookies.find(c => c.name === 'refreshToken').value, '');
+    });
+
+    describe('/api/me', () => {
+        it('requires a token', async () => {
+            assert.equal((await request('GET', '/api/me')).statusCode, 401);
+            assert.equal((await request('GET', '/api/me', { token: 'junk' })).statusCode, 401);
+        });
+
+        it('returns the profile', async () => {
+            const res = await request('GET', '/api/me', { token: await login('problem_user') });
+            assert.deepEqual(res.json(), { username: 'problem_user', role: 'user', type: 'problem', locked: false });
+        });
+
+        it('changes the password after confirming the current one', async () => {
+            const token = await login('standard_user');
+            let res = await request('PATCH', '/api/me', { token, body: { currentPassword: 'wrong', password: 'new-secret1' } });
+            assert.equal(res.statusCode, 403);
+            res = await request('PATCH', '/api/me', { token, body: { currentPassword: 'secret_sauce', password: 'new-secret1' } });
+            assert.equal(res.statusCode, 200);
+            assert.ok(await login('standard_user', 'new-secret1'));
+        });
+
+        it('holds new passwords to the policy', async () => {
+            const token = await login('standard_user');
+            const res = await request('PATCH', '/api/me', { token, body: { currentPassword: 'secret_sauce', password: 'standard_user1' } });
+            assert.equal(res.statusCode, 400);
+            assert.deepEqual(res.json().details.map(d => d.message), ['must not contain the username']);
+        });
+
+        it('deletes the account', async () => {
+            const token = await login('standard_user');
+            assert.equal((await request('DELETE', '/api/me', { token })).statusCode, 200);
+            const res = await request('POST', '/api/login', { body: { username: 'standard_user', password: 'secret_sauce' } });
+            assert.equal(res.statusCode, 401);
+        });
+
+        it('does not let admin delete itself', async () => {
+            const res = await request('DELETE', '/api/me', { token: await loginAdmin() });
+            assert.equal(res.statusCode, 403);
+        });
+    });
+});
@@ -0,0 +1,19 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { request } = require('./helpers');
+
+// Runs against the store exactly as the server boots it: no reset, no fixture
+describe('fresh boot', () => {
+    it('lists the seed catalog', async () => {
+        const res = await request('GET', '/api/inventory');
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.json().length, 6);
+        assert.ok(res.json().every(p => p.inStock));
+    });
+
+    it('serves a single seed product', async () => {
+        const res = await request('GET', '/api/inventory/4');
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.json().name, 'Sauce Labs Backpack');
+    });
+});
@@ -0,0 +1,115 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, login, reset } = require('./helpers');
+
+describe('cart', () => {
+    let token;
+    const add = (productId, quantity) => request('POST', '/api/cart', { token, body: { productId, quantity } });
+
+    beforeEach(async () => {
+        await reset();
+        token = await login('standard_user');
+    });
+
+    it('rejects an invalid token instead of falling back to a guest cart', async () => {
+        assert.equal((await request('GET', '/api/cart', { token: 'nope' })).statusCode, 401);
+    });
+
+    it('starts empty', async () => {
+        const res = await request('GET', '/api/cart', { token });
+        assert.deepEqual(res.json().items, []);
+        assert.equal(res.json().total, 0);
+    });
+
+    it('adds items and totals with 8% tax', async () => {
+        const res = await add(4, 2);
+        assert.equal(res.statusCode, 201);
+        assert.equal(res.json().itemTotal, 59.98);
+        assert.equal(res.json().tax, 4.8);
+        assert.equal(res.json().total, 64.78);
+    });
+
+    it('accumulates quantity for the same product', async () => {
+        await add(4, 2);
+        const res = await add(4, 3);
+        assert.equal(res.json().items[0].quantity, 5);
+    });
+
+    it('refuses more than is in stock', async () => {
+        await reset({ stock: { 4: 2 } });
+        token = await login('standard_user');
+        const res = await add(4, 3);
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.json().available, 2);
+    });
+
+    it('validates input instead of clamping', async () => {
+        const res = await add(4, 11);
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.json().details[0].field, 'quantity');
+        assert.equal((await add(99, 1)).statusCode, 404);
+    });
+
+    it('sets a line quantity', async () => {
+        await add(4, 1);
+        const res = await request('PATCH', '/api/cart/4', { token, body: { quantity: 4 } });
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.json().items[0].quantity, 4);
+        assert.equal((await request('PATCH', '/api/cart/0', { token, body: { quantity: 1 } })).statusCode, 404);
+    });
+
+    it('removes one unit at a time', async () => {
+        await add(4, 2);
+        let res = await request('DELETE', '/api/cart/4', { token });
+        assert.equal(res.json().items[0].quantity, 1);
+        res = await request('DELETE', '/api/cart/4', { token });
+        assert.deepEqual(res.json().items, []);
+        assert.equal((await request('DELETE', '/api/cart/4', { token })).statusCode, 404);
+    });
+
+    it('reorders lines', async () => {
+        await add(0, 1);
+        await add(4, 1);
+        const res = await request('POST', '/api/cart/reorder', { token, body: { orderedProductIds: [4, 0] } });
+        assert.deepEqual(res.json().items.map(i => i.productId), [4, 0]);
+        const bad = await request('POST', '/api/cart/reorder', { token, body: { orderedProductIds: [4, 99] } });
+        assert.equal(bad.statusCode, 400);
+    });
+
+    it('keeps carts per user', async () => {
+        await add(4, 1);
+        const other = await login('visual_user');
+        const res = await request('GET', '/api/cart', { token: other });
+        assert.deepEqual(res.json().items, []);
+    });
+
+    describe('coupons', () => {
+        it('applies a valid coupon', async () => {
+            await add(4, 1);
+            const res = await request('POST', '/api/cart/coupon', { token, body: { code: 'SAVE20' } });
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.json().discount, 6);
+            assert.deepEqual(res.json().coupons, ['SAVE20']);
+        });
+
+        it('rejects an unknown coupon', async () => {
+            const res = await request('POST', '/api/cart/coupon', { token, body: { code: 'FREE' } });
+            assert.equal(res.statusCode, 400);
+        });
+
+        it('removes the coupon', async () => {
+            await add(4, 1);
+            await request('POST', '/api/cart/coupon', { token, body: { code: 'SAVE20' } });
+            const res = await request('DELETE', '/api/cart/coupon', { token });
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.json().discount, 0);
+        });
+    });
+
+    it('POST /api/reset empties only the caller\'s cart', async () => {
+        await add(4, 1);
+        const res = await request('POST', '/api/reset', { token });
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual((await request('GET', '/api/cart', { token })).json().items, []);
+    });
+});
@@ -0,0 +1,174 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, login, loginAdmin, reset } = require('./helpers');
+
+const CUSTOMER = { firstName: 'Sauce', lastName: 'Tester', postalCode: '12345' };
+
+const SHIRT = {
+    id: 0,
+    name: 'Sauce Labs Hoodie',
+    price: 40,
+    img: 'hoodie.jpg',
+    category: 'apparel',
+    variants: [
+        { sku: 'HOODIE-S', attributes: { size: 'S' }, stock: 2 },
+        { sku: 'HOODIE-L', attributes: { size: 'L' }, price: 45, stock: 5 }
+    ]
+};
+const MUG = { id: 1, name: 'Sauce Labs Mug', price: 12.5, img: 'mug.jpg' };
+
+describe('catalog management', () => {
+    let admin;
+
+    beforeEach(async () => {
+        await reset();
+        admin = await loginAdmin();
+    });
+
+    it('patches individual product fields', async () => {
+        const res = await request('PATCH', '/api/admin/products/4', { token: admin, body: { price: 24.999, tags: ['sale'] } });
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.json().product.price, 25);
+        const product = (await request('GET', '/api/inventory/4')).json();
+        assert.equal(product.name, 'Sauce Labs Backpack');
+        assert.deepEqual(product.tags, ['sale']);
+    });
+
+    it('reprices a product already sitting in a cart', async () => {
+        const token = await login('standard_user');
+        await request('POST', '/api/cart', { token, body: { productId: 4 } });
+        await request('PATCH', '/api/admin/products/4', { token: admin, body: { price: 19.99 } });
+        assert.equal((await request('GET', '/api/cart', { token })).json().itemTotal, 19.99);
+    });
+
+    it('replaces product details with PUT', async () => {
+        const res = await request('PUT', '/api/admin/products/0', {
+            token: admin,
+            body: { name: 'Bike Light v2', price: 11, img: 'light-v2.jpg' }
+        });
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.json().product.description, '');
+        assert.equal(res.json().product.category, null);
+        assert.equal((await request('PUT', '/api/admin/products/0', { token: admin, body: { name: 'x' } })).statusCode, 400);
+        assert.equal((await request('PATCH', '/api/admin/products/99', { token: admin, body: { price: 1 } })).statusCode, 404);
+    });
+
+    it('archives and restores products', async () => {
+        await request('DELETE', '/api/admin/products/2', { token: admin });
+        const archived = (await request('GET', '/api/admin/products?archived=true', { token: admin })).json();
+        assert.deepEqual(archived.products.map(p => p.id), [2]);
+
+        const token = await login('standard_user');
+        assert.equal((await request('POST', '/api/cart', { token, body: { productId: 2 } })).statusCode, 404);
+
+        assert.equal((await request('POST', '/api/admin/products/2/restore', { token: admin })).statusCode, 200);
+        assert.equal((await request('POST', '/api/admin/products/2/restore', { token: admin })).statusCode, 409);
+        assert.equal((await request('POST', '/api/cart', { token, body: { productId: 2 } })).statusCode, 201);
+    });
+
+    it('fails checkout for carts holding an archived product', async () => {
+        const token = await login('standard_user');
+        await request('POST', '/api/cart', { token, body: { productId: 4 } });
+        await request('DELETE', '/api/admin/products/4', { token: admin });
+        const res = await request('POST', '/api/checkout', { token, body: CUSTOMER });
+        assert.equal(res.statusCode, 409);
+        assert.deepEqual(res.json().shortfalls.map(s => s.available), [0]);
+    });
+
+    describe('variants', () => {
+        let token;
+
+        beforeEach(async () => {
+            await reset({ products: [SHIRT, MUG] });
+            admin = await loginAdmin();
+            token = await login('standard_user');
+        });
+
+        it('lists variants with their own prices and stock', async () => {
+            const product = (await request('GET', '/api/inventory/0')).json();
+            assert.deepEqual(product.variants, [
+                { sku: 'HOODIE-S', attributes: { size: 'S' }, price: 40, inStock: true },
+                { sku: 'HOODIE-L', attributes: { size: 'L' }, price: 45, inStock: true }
+            ]);
+            const stock = (await request('GET', '/api/admin/stock', { token: admin })).json();
+            assert.equal(stock[0].currentStock, 7);
+            assert.deepEqual(stock[0].variants.map(v => v.available), [2, 5]);
+        });
+
+        it('requires a variant when adding to the cart', async () => {
+            let res = await request('POST', '/api/cart', { token, body: { productId: 0 } });
+            assert.equal(res.statusCode, 400);
+            assert.deepEqual(res.json().skus, ['HOODIE-S', 'HOODIE-L']);
+            res = await request('POST', '/api/cart', { token, body: { productId: 0, sku: 'HOODIE-XL' } });
+            assert.equal(res.statusCode, 404);
+            res = await request('POST', '/api/cart', { token, body: { productId: 1, sku: 'HOODIE-S' } });
+            assert.equal(res.statusCode, 404);
+        });
+
+        it('keeps one cart line per variant', async () => {
+            await request('POST', '/api/cart', { token, body: { productId: 0, sku: 'HOODIE-S', quantity: 2 } });
+            const res = await request('POST', '/api/cart', { token, body: { productId: 0, sku: 'HOODIE-L' } });
+            assert.deepEqual(res.json().items.map(i => [i.sku, i.price, i.quantity]), [['HOODIE-S', 40, 2], ['HOODIE-L', 45, 1]]);
+            assert.equal(res.json().itemTotal, 125);
+
+            const over = await request('POST', '/api/cart', { token, body: { productId: 0, sku: 'HOODIE-S' } });
+            assert.equal(over.statusCode, 400);
+            assert.equal(over.json().available, 2);
+
+            assert.equal((await request('PATCH', '/api/cart/0', { token, body: { quantity: 1 } })).statusCode, 400);
+            const patched = await request('PATCH', '/api/cart/0?sku=HOODIE-L', { token, body: { quantity: 3 } });
+            assert.equal(patched.json().items[1].quantity, 3);
+            const removed = await request('DELETE', '/api/cart/0?sku=HOODIE-S', { token });
+            assert.equal(removed.json().items[0].quantity, 1);
+        });
+
+        it('takes variant stock at checkout and returns it on refund', async () => {
+            await request('POST', '/api/cart', { token, body: { productId: 0, sku: 'HOODIE-L', quantity: 2 } });
+            const order = (await request('POST', '/api/checkout', { token, body: CUSTOMER })).json();
+            assert.equal(order.items[0].sku, 'HOODIE-L');
+            assert.equal((await request('GET', '/api/admin/products/0', { token: admin })).json().variants[1].currentStock, 3);
+
+            await request('PATCH', `/api/admin/orders/${order.orderId}`, { token: admin, body: { status: 'paid' } });
+            const refund = await request('POST', `/api/admin/orders/${order.orderId}/refunds`, {
+                token: admin,
+                body: { items: [{ productId: 0, sku: 'HOODIE-L', quantity: 1 }] }
+            });
+            assert.equal(refund.statusCode, 201);
+            assert.equal((await request('GET', '/api/admin/products/0', { token: admin })).json().variants[1].currentStock, 4);
+        });
+
+        it('manages variants and their stock', async () => {
+            let res = await request('POST', '/api/admin/products/0/variants', {
+                token: admin,
+                body: { sku: 'HOODIE-M', attributes: { size: 'M' }, stock: 4 }
+            });
+            assert.equal(res.statusCode, 201);
+            assert.equal(res.json().variant.currentStock, 4);
+            assert.equal((await request('POST', '/api/admin/products/1/variants', { token: admin, body: { sku: 'HOODIE-M' } })).statusCode, 409);
+
+            res = await request('PATCH', '/api/admin/products/0/variants/HOODIE-M', { token: admin, body: { price: 42 } });
+            assert.equal(res.json().variant.price, 42);
+
+            assert.equal((await request('PATCH', '/api/admin/stock/0', { token: admin, body: { quantity: 1 } })).statusCode, 400);
+            res = await request('PATCH', '/api/admin/stock/0', { token: admin, body: { quantity: 9, sku: 'HOODIE-M' } });
+            assert.equal(res.json().newStock, 9);
+
+            await request('POST', '/api/cart', { token, body: { productId: 0, sku: 'HOODIE-M' } });
+            assert.equal((await request('DELETE', '/api/admin/products/0/variants/HOODIE-M', { token: admin })).statusCode, 409);
+            assert.equal((await request('DELETE', '/api/admin/products/0/variants/HOODIE-S', { token: admin })).statusCode, 200);
+        });
+
+        it('refuses to add variants to a product in carts without one', async () => {
+            await request('POST', '/api/cart', { token, body: { productId: 1 } });
+            const res = await request('POST', '/api/admin/products/1/variants', { token: admin, body: { sku: 'MUG-BLUE' } });
+            assert.equal(res.statusCode, 409);
+        });
+
+        it('rejects duplicate SKUs in a fixture', async () => {
+            const res = await request('POST', '/api/test/reset', {
+                body: { products: [SHIRT, { ...MUG, variants: [{ sku: 'HOODIE-S' }] }] }
+            });
+            assert.equal(res.statusCode, 400);
+        });
+    });
+});
@@ -0,0 +1,124 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, login, loginAdmin, reset } = require('./helpers');
+
+describe('chaos rules', () => {
+    let admin;
+
+    const addRule = async (rule) => {
+        const res = await request('POST', '/api/admin/chaos', { token: admin, body: rule });
+        assert.equal(res.statusCode, 201, res.body);
+        return res.json().rule;
+    };
+    const responses = async (n, url) => {
+        const list = [];
+        for (let i = 0; i < n; i++) list.push(await request('GET', url));
+        return list;
+    };
+
+    beforeEach(async () => {
+        await reset();
+        admin = await loginAdmin();
+    });
+
+    it('adds latency with jitter to matching routes', async () => {
+        const rule = await addRule({ route: 'GET /api/inventory*', latencyMs: 60, jitterMs: 20 });
+        const start = Date.now();
+        const res = await request('GET', '/api/inventory/4');
+        assert.ok(Date.now() - start >= 60);
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.headers['x-chaos-rule'], String(rule.id));
+
+        assert.equal((await request('GET', '/api/shipping-methods')).headers['x-chaos-rule'], undefined);
+        assert.equal((await request('GET', `/api/admin/chaos/${rule.id}`, { token: admin })).json().hits, 1);
+    });
+
+    it('fails a seeded share of requests, the same way every time', async () => {
+        const rule = await addRule({ route: '* /api/shipping-methods', probability: 0.5, status: 503, error: 'Upstream down', seed: 42 });
+        const first = (await responses(12, '/api/shipping-methods')).map(r => r.statusCode);
+        assert.ok(first.includes(503) && first.includes(200));
+
+        // Re-seeding starts the sequence over
+        await request('PATCH', `/api/admin/chaos/${rule.id}`, { token: admin, body: { seed: 42 } });
+        const again = await responses(12, '/api/shipping-methods');
+        assert.deepEqual(again.map(r => r.statusCode), first);
+        assert.deepEqual(again.find(r => r.statusCode === 503).json(), { error: 'Upstream down' });
+    });
+
+    it('corrupts JSON bodies', async () => {
+        await addRule({ route: 'GET /api/inventory/4', corrupt: 'malformed' });
+        await addRule({ route: 'GET /api/inventory/1', corrupt: 'truncated' });
+
+        const malformed = await request('GET', '/api/inventory/4');
+        assert.match(malformed.headers['content-type'], /application\/json/);
+        assert.throws(() => JSON.parse(malformed.body), SyntaxError);
+        assert.match(malformed.body, /,\}$/);
+
+        const truncated = await request('GET', '/api/inventory/1');
+        assert.throws(() => JSON.parse(truncated.body), SyntaxError);
+        assert.equal(truncated.headers['content-length'], String(Buffer.byteLength(truncated.body)));
+    });
+
+    it('drops connections', async () => {
+        await addRule({ route: 'POST /api/checkout', drop: true });
+        const token = await login('standard_user');
+        await assert.rejects(request('POST', '/api/checkout', { token, body: {} }), { code: 'LIGHT_ECONNRESET' });
+    });
+
+    it('serves stale data', async () => {
+        await addRule({ route: 'GET /api/inventory/4', stale: true });
+        const before = (await request('GET', '/api/inventory/4')).json();
+        await request('PATCH', '/api/admin/products/4', { token: admin, body: { price: 99.5 } });
+        assert.deepEqual((await request('GET', '/api/inventory/4')).json(), before);
+
+        await request('DELETE', '/api/admin/chaos', { token: admin });
+        assert.equal((await request('GET', '/api/inventory/4')).json().price, 99.5);
+    });
+
+    it('scopes rules to a user or a request header', async () => {
+        await addRule({ route: 'GET /api/cart', scope: { user: 'problem_user' }, status: 500 });
+        await addRule({ route: 'GET /api/shipping-methods', scope: { header: 'X-Chaos', value: 'on' }, status: 502 });
+
+        assert.equal((await request('GET', '/api/cart', { token: await login('problem_user') })).statusCode, 500);
+        assert.equal((await request('GET', '/api/cart', { token: await login('standard_user') })).statusCode, 200);
+        assert.equal((await request('GET', '/api/shipping-methods', { headers: { 'x-chaos': 'on' } })).statusCode, 502);
+        assert.equal((await request('GET', '/api/shipping-methods', { headers: { 'x-chaos': 'off' } })).statusCode, 200);
+        assert.equal((await request('GET', '/api/shipping-methods')).statusCode, 200);
+    });
+
+    it('expires rules', async () => {
+        const rule = await addRule({ route: 'GET /api/shipping-methods', status: 500, ttlSeconds: 60 });
+        assert.ok(Date.parse(rule.expiresAt) > Date.now());
+        assert.equal((await request('GET', '/api/shipping-methods')).statusCode, 500);
+
+        await request('PATCH', `/api/admin/chaos/${rule.id}`, { token: admin, body: { ttlSeconds: 1 } });
+        await new Promise(resolve => setTimeout(resolve, 1050));
+        assert.equal((await request('GET', '/api/shipping-methods')).statusCode, 200);
+        assert.equal((await request('GET', '/api/admin/chaos', { token: admin })).json().total, 0);
+    });
+
+    it('validates rules', async () => {
+        const bad = async (body) => (await request('POST', '/api/admin/chaos', { token: admin, body })).statusCode;
+        assert.equal(await bad({ route: 'GET /api/inventory' }), 400);
+        assert.equal(await bad({ route: 'GET /api/inventory', status: 500, drop: true }), 400);
+        assert.equal(await bad({ route: 'POST /api/cart', stale: true }), 400);
+        assert.equal(await bad({ route: 'FETCH /api/cart', latencyMs: 5 }), 400);
+        assert.equal(await bad({ route: 'GET /api/cart', status: 500, scope: { user: 'a', header: 'X-A' } }), 400);
+        assert.equal((await request('PATCH', '/api/admin/chaos/99', { token: admin, body: { latencyMs: 1 } })).statusCode, 404);
+    });
+
+    it('never blocks its own controls, and clears on reset', async () => {
+        await addRule({ route: '* /api/*', status: 503 });
+        assert.equal((await request('GET', '/api/health')).statusCode, 503);
+        assert.equal((await request('GET', '/api/admin/chaos', { token: admin })).json().total, 1);
+
+        await reset();
+        assert.equal((await request('GET', '/api/health')).statusCode, 200);
+    });
+
+    it('needs the chaos permissions', async () => {
+        const shopper = await login('standard_user');
+        assert.equal((await request('GET', '/api/admin/chaos', { token: shopper })).statusCode, 403);
+        assert.equal((await request('POST', '/api/admin/chaos', { token: shopper, body: { route: 'GET /api/cart', drop: true } })).statusCode, 403);
+    });
+});
@@ -0,0 +1,71 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, login, loginAdmin, reset } = require('./helpers');
+
+const CUSTOMER = { firstName: 'Sauce', lastName: 'Tester', postalCode: '12345' };
+
+describe('checkout & orders', () => {
+    let token;
+
+    beforeEach(async () => {
+        await reset();
+        token = await login('standard_user');
+    });
+
+    it('requires customer fields', async () => {
+        const res = await request('POST', '/api/checkout', { token, body: { firstName: 'Sauce' } });
+        assert.equal(res.statusCode, 400);
+        assert.deepEqual(res.json().details.map(d => d.field), ['lastName', 'postalCode']);
+    });
+
+    it('refuses an empty cart', async () => {
+        const res = await request('POST', '/api/checkout', { token, body: CUSTOMER });
+        assert.equal(res.statusCode, 400);
+    });
+
+    it('places an order, takes stock and empties the cart', async () => {
+        await request('POST', '/api/cart', { token, body: { productId: 4, quantity: 3 } });
+        const res = await request('POST', '/api/checkout', { token, body: CUSTOMER });
+        assert.equal(res.statusCode, 201);
+        assert.match(res.json().orderId, /^ORDER-[A-Z0-9]+$/);
+        assert.deepEqual(res.json().customer, CUSTOMER);
+
+        const stock = (await request('GET', '/api/admin/stock', { token: await loginAdmin() })).json();
+        assert.equal(stock.find(p => p.id === 4).currentStock, 7);
+        assert.deepEqual((await request('GET', '/api/cart', { token })).json().items, []);
+    });
+
+    it('lists own orders only', async () => {
+        await request('POST', '/api/cart', { token, body: { productId: 0 } });
+        const { orderId, total } = (await request('POST', '/api/checkout', { token, body: CUSTOMER })).json();
+
+        const res = await request('GET', '/api/orders', { token });
+        assert.equal(res.json().length, 1);
+        assert.equal(res.json()[0].orderId, orderId);
+        assert.equal(res.json()[0].total, total);
+        assert.equal(res.json()[0].itemCount, 1);
+        assert.deepEqual((await request('GET', '/api/orders', { token: await login('visual_user') })).json(), []);
+    });
+
+    it('fails for error_user', async () => {
+        const admin = await loginAdmin();
+        await request('PATCH', '/api/admin/personas/error', {
+            token: admin,
+            body: { faults: { 'POST /api/checkout': { status: 500, error: 'Checkout failed (error_user)' } } }
+        });
+        const errorToken = await login('error_user');
+        await request('POST', '/api/cart', { token: errorToken, body: { productId: 0 } });
+        const res = await request('POST', '/api/checkout', { token: errorToken, body: CUSTOMER });
+        assert.equal(res.statusCode, 500);
+    });
+
+    it('produces reproducible order IDs from a seed', async () => {
+        const placeOrder = async () => {
+            await reset({ seed: 7 });
+            const t = await login('standard_user');
+            await request('POST', '/api/cart', { token: t, body: { productId: 0 } });
+            return (await request('POST', '/api/checkout', { token: t, body: CUSTOMER })).json().orderId;
+        };
+        assert.equal(await placeOrder(), await placeOrder());
+    });
+});
@@ -0,0 +1,213 @@
+const { describe, it, before, after, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { app } = require('./helpers');
+
+const CUSTOMER = { firstName: 'Sauce', lastName: 'Tester', postalCode: '12345' };
+
+// Event streams never end, so these tests talk to a listening server. Once light-my-request
+// has injected into the app it can no longer serve sockets, so every call here goes over HTTP.
+describe('event stream', () => {
+    let server;
+    let admin;
+    const streams = [];
+
+    const request = async (method, path, { token, body } = {}) => {
+        const res = await fetch(`http://127.0.0.1:${server.address().port}${path}`, {
+            method,
+            headers: { ...(token && { authorization: `Bearer ${token}` }), ...(body && { 'content-type': 'application/json' }) },
+            body: body && JSON.stringify(body)
+        });
+        const json = await res.json();
+        return { statusCode: res.status, json: () => json };
+    };
+    const login = async (username, password = 'secret_sauce') =>
+        (await request('POST', '/api/login', { body: { username, password } })).json().accessToken;
+
+    const open = (token, { query = '', headers = {} } = {}) => new Promise((resolve, reject) => {
+        const req = http.get({
+            host: '127.0.0.1',
+            port: server.address().port,
+            path: `/api/events${query}`,
+            headers: { ...(token && { authorization: `Bearer ${token}` }), ...headers }
+        }, res => {
+            const stream = { res, events: [], ended: false, close: () => req.destroy() };
+            let buffer = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => {
+                buffer += chunk;
+                let end;
+                while ((end = buffer.indexOf('\n\n')) >= 0) {
+                    const fields = Object.fromEntries(buffer.slice(0, end).split('\n')
+                        .filter(line => !line.startsWith(':'))
+                        .map(line => [line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 2)]));
+                    buffer = buffer.slice(end + 2);
+                    if (fields.event) stream.events.push({ id: fields.id && Number(fields.id), type: fields.event, data: JSON.parse(fields.data) });
+                }
+            });
+            res.on('end', () => { stream.ended = true; });
+            streams.push(stream);
+            resolve(stream);
+        });
+        req.on('error', reject);
+    });
+
+    const waitFor = async (check) => {
+        const deadline = Date.now() + 2000;
+        while (!check()) {
+            if (Date.now() > deadline) throw new Error('Timed out waiting for the stream');
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+    };
+    const next = async (stream, type) => {
+        await waitFor(() => stream.events.some(e => e.type === type));
+        return stream.events.find(e => e.type === type);
+    };
+    const setStock = (productId, quantity) => request('PATCH', `/api/admin/stock/${productId}`, { token: admin, body: { quantity } });
+
+    before(() => new Promise(resolve => { server = app.listen(0, '127.0.0.1', resolve); }));
+    after(() => new Promise(resolve => {
+        server.close(resolve);
+        server.closeAllConnections();
+    }));
+
+    beforeEach(async () => {
+        await request('POST', '/api/test/reset', { body: {} });
+        admin = await login('admin', 'admin123');
+    });
+    afterEach(() => streams.splice(0).forEach(s => s.close()));
+
+    it('needs a valid token and known event types', async () => {
+        assert.equal((await request('GET', '/api/events')).statusCode, 401);
+        const token = await login('standard_user');
+        const res = await request('GET', '/api/events?types=stock.changed,cart.stolen', { token });
+        assert.equal(res.statusCode, 400);
+        assert.ok(res.json().types.includes('cart.updated'));
+    });
+
+    it('accepts the access token in the query string, as EventSource needs', async () => {
+        const token = await login('standard_user');
+        const stream = await open(null, { query: `?accessToken=${token}` });
+        assert.equal(stream.res.statusCode, 200);
+        await setStock(4, 0);
+        await next(stream, 'stock.changed');
+
+        const rejected = await open(null, { query: '?accessToken=not-a-token' });
+        assert.equal(rejected.res.statusCode, 401);
+    });
+
+    it('tells every client whether stock is available, and staff how much', async () => {
+        const shopper = await open(await login('visual_user'));
+        const staff = await open(admin);
+        assert.match(shopper.res.headers['content-type'], /^text\/event-stream/);
+
+        await setStock(4, 0);
+        const event = await next(shopper, 'stock.changed');
+        assert.deepEqual(event.data, { productId: 4, inStock: false });
+        assert.ok(event.id > 0);
+        assert.deepEqual((await next(staff, 'stock.changed')).data, { productId: 4, previous: 10, quantity: 0, inStock: false });
+    });
+
+    it('counts reserved units as unavailable', async () => {
+        const stream = await open(await login('visual_user'));
+        await setStock(4, 3);
+        await request('POST', '/api/cart', { token: await login('standard_user'), body: { productId: 4, quantity: 2 } });
+        await setStock(4, 2);
+        await waitFor(() => stream.events.filter(e => e.type === 'stock.changed').length === 2);
+        assert.deepEqual(stream.events.map(e => e.data.inStock), [true, false]);
+    });
+
+    it('sends cart and order changes to their owner only', async () => {
+        const token = await login('standard_user');
+        const mine = await open(token);
+        const theirs = await open(await login('visual_user'));
+
+        await request('POST', '/api/cart', { token, body: { productId: 4, quantity: 2 } });
+        const cart = await next(mine, 'cart.updated');
+        assert.deepEqual(cart.data.items.map(i => [i.productId, i.quantity]), [[4, 2]]);
+
+        const order = (await request('POST', '/api/checkout', { token, body: CUSTOMER })).json();
+        const update = await next(mine, 'order.updated');
+        assert.deepEqual([update.data.orderId, update.data.status], [order.orderId, 'placed']);
+
+        // Checkout also moves stock, which everyone sees; by then the owner-only events have passed
+        await next(theirs, 'stock.changed');
+        assert.deepEqual(theirs.events.map(e => e.type), ['stock.changed']);
+        assert.ok(mine.events.some(e => e.type === 'cart.updated' && e.data.items.length === 0));
+    });
+
+    it('shows staff events to holders of the permission', async () => {
+        const staff = await open(admin);
+        const shopper = await open(await login('visual_user'));
+        await request('POST', '/api/register', { body: { username: 'streamed_user', password: 'Secret-sauce1' } });
+        await setStock(4, 0);
+
+        assert.deepEqual((await next(staff, 'user.registered')).data, { username: 'streamed_user' });
+        await next(staff, 'stock.depleted');
+        await next(shopper, 'stock.changed');
+        assert.deepEqual(shopper.events.map(e => e.type), ['stock.changed']);
+    });
+
+    it('announces products added and removed', async () => {
+        const stream = await open(await login('standard_user'));
+        const created = await request('POST', '/api/admin/products', { token: admin, body: { name: 'Stream Mug', price: 5, img: 'mug.jpg' } });
+        const { id } = created.json().product;
+        await request('DELETE', `/api/admin/products/${id}`, { token: admin });
+
+        assert.equal((await next(stream, 'product.added')).data.name, 'Stream Mug');
+        assert.deepEqual((await next(stream, 'product.removed')).data, { productId: id });
+    });
+
+    it('filters by event type', async () => {
+        const token = await login('standard_user');
+        const stream = await open(token, { query: '?types=cart.updated' });
+        await setStock(4, 5);
+        await request('POST', '/api/cart', { token, body: { productId: 4 } });
+        await next(stream, 'cart.updated');
+        assert.deepEqual(stream.events.map(e => e.type), ['cart.updated']);
+    });
+
+    it('resumes after Last-Event-ID', async () => {
+        // Staff see the counts, which tell the resumed events apart
+        const first = await open(admin);
+        await setStock(4, 5);
+        const { id } = await next(first, 'stock.changed');
+        first.close();
+
+        await setStock(4, 4);
+        await setStock(4, 3);
+        const resumed = await open(admin, { query: '?types=stock.changed', headers: { 'last-event-id': String(id) } });
+        await waitFor(() => resumed.events.length >= 2);
+        assert.deepEqual(resumed.events.map(e => e.data.quantity), [4, 3]);
+        assert.ok(resumed.events.every(e => e.id > id));
+
+        const latest = resumed.events.at(-1).id; // ids also count events this stream filters out
+        const lost = await open(admin, { query: `?lastEventId=${latest + 1000}` });
+        assert.deepEqual((await next(lost, 'reset')).data, { lastEventId: latest });
+    });
+
+    it('replays cart changes made while the owner was away', async () => {
+        const token = await login('standard_user');
+        const first = await open(token);
+        await request('POST', '/api/cart', { token, body: { productId: 4 } });
+        const { id } = await next(first, 'cart.updated');
+        first.close();
+        await new Promise(resolve => setTimeout(resolve, 50)); // for the server to see the owner go
+
+        await request('PATCH', '/api/cart/4', { token, body: { quantity: 3 } });
+        const resumed = await open(token, { query: '?types=cart.updated', headers: { 'last-event-id': String(id) } });
+        const missed = await next(resumed, 'cart.updated');
+        assert.ok(missed.id > id);
+        assert.deepEqual(missed.data.items.map(i => [i.productId, i.quantity]), [[4, 3]]);
+        assert.ok(!resumed.events.some(e => e.type === 'reset'));
+    });
+
+    it('closes the stream when its session is revoked', async () => {
+        const token = await login('standard_user');
+        const stream = await open(token);
+        await request('POST', '/api/logout', { token });
+        await setStock(4, 5);
+        await waitFor(() => stream.ended);
+        assert.deepEqual(stream.events, []);
+    });
+});
@@ -0,0 +1,31 @@
+// Shared helpers: drive the Express app in-process (no sockets) with light-my-request
+process.env.TEST_MODE = '1';
+process.env.SCRYPT_COST = process.env.SCRYPT_COST || '1024'; // cheap hashes keep the suite fast
+
+const inject = require('light-my-request');
+const app = require('../server');
+
+const request = (method, url, { token, body, cookies, headers } = {}) => inject(app, {
+    method,
+    url,
+    payload: body,
+    cookies,
+    headers: { ...(token && { authorization: `Bearer ${token}` }), ...headers }
+});
+
+const login = async (username, password = 'secret_sauce') => {
+    const res = await request('POST', '/api/login', { body: { username, password } });
+    if (res.statusCode !== 200) throw new Error(`Login as ${username} failed: ${res.statusCode} ${res.body}`);
+    return res.json().accessToken;
+};
+
+const loginAdmin = () => login('admin', 'admin123');
+
+// Restores seed data (and clears rate limits); pass a fixture to start from a custom world
+const reset = async (fixture = {}) => {
+    const res = await request('POST', '/api/test/reset', { body: fixture });
+    if (res.statusCode !== 200) throw new Error(`Reset failed: ${res.statusCode} ${res.body}`);
+    return res.json();
+};
+
+module.exports = { app, request, login, loginAdmin, reset };
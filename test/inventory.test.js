@@ -0,0 +1,98 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, login, loginAdmin, reset } = require('./helpers');
+
+describe('inventory', () => {
+    beforeEach(() => reset());
+
+    it('lists the catalog without auth', async () => {
+        const res = await request('GET', '/api/inventory');
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.json().length, 6);
+        assert.equal(res.json()[0].currentStock, undefined);
+    });
+
+    it('sorts by name and price', async () => {
+        const names = (await request('GET', '/api/inventory?sort=za')).json().map(p => p.name);
+        assert.deepEqual(names, [...names].sort().reverse());
+        const prices = (await request('GET', '/api/inventory?sort=lohi')).json().map(p => p.price);
+        assert.deepEqual(prices, [...prices].sort((a, b) => a - b));
+    });
+
+    it('rejects unknown sort values', async () => {
+        const res = await request('GET', '/api/inventory?sort=random');
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.json().details[0].location, 'query');
+    });
+
+    it('shows stock counts to admins', async () => {
+        const res = await request('GET', '/api/inventory', { token: await loginAdmin() });
+        assert.equal(res.json()[0].currentStock, 10);
+    });
+
+    it('swaps images for problem_user', async () => {
+        const res = await request('GET', '/api/inventory', { token: await login('problem_user') });
+        assert.ok(res.json().every(p => p.imageUrl.endsWith('/problem-user.jpg')));
+    });
+
+    it('searches name and description', async () => {
+        const names = (await request('GET', '/api/inventory?q=cotton%20red')).json().map(p => p.name);
+        assert.deepEqual(names, ['Sauce Labs Bolt T-Shirt', 'Test.allTheThings() T-Shirt (Red)']);
+        assert.deepEqual((await request('GET', '/api/inventory?q=BACKPACK')).json().map(p => p.id), [4]);
+    });
+
+    it('filters by category, tags and price range', async () => {
+        const ids = async (query) => (await request('GET', `/api/inventory?${query}`)).json().map(p => p.id);
+        assert.deepEqual(await ids('category=Accessories'), [0, 4]);
+        assert.deepEqual(await ids('tag=outdoor,bags'), [4]);
+        assert.deepEqual(await ids('minPrice=10&maxPrice=30'), [1, 3, 4]);
+        assert.equal((await request('GET', '/api/inventory?minPrice=30&maxPrice=10')).statusCode, 400);
+    });
+
+    it('filters to products in stock', async () => {
+        await request('PATCH', '/api/admin/stock/2', { token: await loginAdmin(), body: { quantity: 0 } });
+        const res = await request('GET', '/api/inventory?inStock=true');
+        assert.ok(!res.json().some(p => p.id === 2));
+        assert.deepEqual((await request('GET', '/api/inventory?inStock=false')).json().map(p => p.id), [2]);
+    });
+
+    it('sorts on any field in either direction, breaking ties by id', async () => {
+        const res = await request('GET', '/api/inventory?sort=category&order=desc');
+        assert.deepEqual(res.json().map(p => p.id), [1, 2, 3, 5, 0, 4]);
+        const prices = (await request('GET', '/api/inventory?sort=hilo&order=asc')).json().map(p => p.price);
+        assert.deepEqual(prices, [...prices].sort((a, b) => a - b));
+    });
+
+    it('pages results with a total count and Link header', async () => {
+        const res = await request('GET', '/api/inventory?category=apparel&sort=price&page=2&limit=2');
+        assert.equal(res.headers['x-total-count'], '4');
+        assert.deepEqual(res.json().map(p => p.id), [3, 5]);
+        const links = res.headers.link.split(', ');
+        assert.equal(links.length, 3);
+        assert.equal(links[1], '</api/inventory?category=apparel&sort=price&page=1&limit=2>; rel="prev"');
+        assert.match(links[2], /page=2&limit=2>; rel="last"$/);
+
+        const past = await request('GET', '/api/inventory?page=9');
+        assert.equal(past.statusCode, 200);
+        assert.deepEqual(past.json(), []);
+        assert.equal((await request('GET', '/api/inventory?limit=500')).statusCode, 400);
+    });
+
+    it('finds products added by admins', async () => {
+        await request('POST', '/api/admin/products', {
+            token: await loginAdmin(),
+            body: { name: 'Sauce Labs Mug', price: 12.5, img: 'mug.jpg', description: 'Holds coffee', category: 'kitchen', tags: ['ceramic'] }
+        });
+        const res = await request('GET', '/api/inventory?q=coffee&tag=ceramic');
+        assert.deepEqual(res.json().map(p => p.name), ['Sauce Labs Mug']);
+    });
+
+    it('gets one product', async () => {
+        const res = await request('GET', '/api/inventory/4');
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.json().name, 'Sauce Labs Backpack');
+        assert.match(res.json().description, /^carry\.allTheThings\(\)/);
+        assert.equal((await request('GET', '/api/inventory/99')).statusCode, 404);
+        assert.equal((await request('GET', '/api/inventory/abc')).statusCode, 400);
+    });
+});
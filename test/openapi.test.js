@@ -0,0 +1,112 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SwaggerParser = require('@apidevtools/swagger-parser');
+const Ajv = require('ajv-draft-04');
+const { app, request, loginAdmin, login, reset } = require('./helpers');
+
+const appRoutes = () => app.router.stack
+    .filter(layer => layer.route?.path.startsWith('/api/'))
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => [method, layer.route.path.replace(/:(\w+)/g, '{$1}')]));
+
+describe('GET /api/openapi.json', () => {
+    it('describes every /api route', async () => {
+        const spec = (await request('GET', '/api/openapi.json')).json();
+        assert.equal(spec.openapi, '3.0.3');
+        for (const [method, path] of appRoutes()) {
+            assert.ok(spec.paths[path]?.[method], `${method.toUpperCase()} ${path} missing from spec`);
+            assert.ok(spec.paths[path][method].summary, `${method.toUpperCase()} ${path} has no summary`);
+        }
+    });
+
+    it('marks authenticated routes and documents their inputs', async () => {
+        const spec = (await request('GET', '/api/openapi.json')).json();
+        const addToCart = spec.paths['/api/cart'].post;
+        assert.deepEqual(addToCart.security, [{}, { bearerAuth: [] }]);
+        assert.deepEqual(spec.paths['/api/checkout'].post.security, [{ bearerAuth: [] }]);
+        assert.deepEqual(addToCart.requestBody.content['application/json'].schema.required, ['productId']);
+        assert.equal(spec.paths['/api/inventory/{id}'].get.parameters[0].in, 'path');
+        assert.equal(spec.paths['/api/health'].get.security, undefined);
+    });
+
+    it('is a valid OpenAPI 3.0.3 document', async () => {
+        const spec = (await request('GET', '/api/openapi.json')).json();
+        await SwaggerParser.validate(spec);
+    });
+
+    it('documents the success body of every route', async () => {
+        const spec = (await request('GET', '/api/openapi.json')).json();
+        for (const [path, operations] of Object.entries(spec.paths)) {
+            for (const [method, operation] of Object.entries(operations)) {
+                const [status, response] = Object.entries(operation.responses).find(([code]) => code < 300);
+                assert.ok(response.content, `${method.toUpperCase()} ${path} ${status} has no body schema`);
+            }
+        }
+    });
+
+    it('describes what routes actually return', async () => {
+        await reset();
+        const api = await SwaggerParser.dereference((await request('GET', '/api/openapi.json')).json());
+        const ajv = new Ajv({ strict: false, validateFormats: false });
+        const conforms = (method, path, res) => {
+            const schema = api.paths[path][method].responses[res.statusCode].content['application/json'].schema;
+            const validate = ajv.compile(schema);
+            assert.ok(validate(res.json()), `${method.toUpperCase()} ${path}: ${ajv.errorsText(validate.errors)}`);
+        };
+
+        const token = await login('standard_user');
+        const admin = await loginAdmin();
+        conforms('get', '/api/inventory', await request('GET', '/api/inventory', { token: admin }));
+        conforms('post', '/api/cart', await request('POST', '/api/cart', { token, body: { productId: 4, quantity: 2 } }));
+        conforms('post', '/api/cart/coupon', await request('POST', '/api/cart/coupon', { token, body: { code: 'SAVE20' } }));
+        const checkout = await request('POST', '/api/checkout', { token, body: { firstName: 'A', lastName: 'B', postalCode: '12345' } });
+        conforms('post', '/api/checkout', checkout);
+        const { orderId } = checkout.json();
+        await request('PATCH', `/api/admin/orders/${orderId}`, { token: admin, body: { status: 'paid' } });
+        conforms('post', '/api/admin/orders/{orderId}/refunds',
+            await request('POST', `/api/admin/orders/${orderId}/refunds`, { token: admin, body: { items: [{ productId: 4, quantity: 1 }] } }));
+        conforms('get', '/api/admin/products/{productId}', await request('GET', '/api/admin/products/4', { token: admin }));
+        conforms('get', '/api/admin/users', await request('GET', '/api/admin/users', { token: admin }));
+        conforms('get', '/api/admin/audit', await request('GET', '/api/admin/audit', { token: admin }));
+        conforms('get', '/api/admin/reports/top-products', await request('GET', '/api/admin/reports/top-products', { token: admin }));
+    });
+});
+
+describe('request validation', () => {
+    it('lists every offending field in one response', async () => {
+        const res = await request('POST', '/api/register', { body: { username: 5, extra: true } });
+        assert.equal(res.statusCode, 400);
+        assert.deepEqual(res.json(), {
+            error: 'Validation failed',
+            details: [
+                { location: 'body', field: 'password', message: 'is required' },
+                { location: 'body', field: 'username', message: 'must be a string' }
+            ]
+        });
+    });
+
+    it('checks exclusive minimums', async () => {
+        await reset();
+        const res = await request('POST', '/api/admin/products', {
+            token: await loginAdmin(),
+            body: { name: 'Free', price: 0, img: 'free.jpg' }
+        });
+        assert.equal(res.statusCode, 400);
+        assert.deepEqual(res.json().details, [{ location: 'body', field: 'price', message: 'must be > 0' }]);
+    });
+
+    it('rejects a non-object body', async () => {
+        const res = await request('POST', '/api/login', { body: [1, 2], headers: { 'content-type': 'application/json' } });
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.json().details[0].message, 'must be a JSON object');
+    });
+
+    it('answers unparseable and oversized bodies in JSON', async () => {
+        const broken = await request('POST', '/api/register', { body: '{"username": "x",', headers: { 'content-type': 'application/json' } });
+        assert.equal(broken.statusCode, 400);
+        assert.deepEqual(broken.json(), { error: 'Validation failed', details: [{ location: 'body', field: '', message: 'must be valid JSON' }] });
+
+        const huge = await request('POST', '/api/register', { body: { username: 'x'.repeat(200 * 1024) } });
+        assert.equal(huge.statusCode, 413);
+        assert.equal(huge.json().details[0].message, 'is too large');
+    });
+});
@@ -0,0 +1,145 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, login, loginAdmin, reset } = require('./helpers');
+
+const CUSTOMER = { firstName: 'Sauce', lastName: 'Tester', postalCode: '12345' };
+
+describe('order lifecycle', () => {
+    let token;
+    let admin;
+
+    const placeOrder = async (lines) => {
+        for (const [productId, quantity] of lines) await request('POST', '/api/cart', { token, body: { productId, quantity } });
+        return (await request('POST', '/api/checkout', { token, body: CUSTOMER })).json();
+    };
+    const stockOf = async (id) => (await request('GET', '/api/admin/stock', { token: admin })).json().find(p => p.id === id).currentStock;
+    const setStatus = (orderId, status) => request('PATCH', `/api/admin/orders/${orderId}`, { token: admin, body: { status } });
+
+    beforeEach(async () => {
+        await reset();
+        token = await login('standard_user');
+        admin = await loginAdmin();
+    });
+
+    it('starts orders as placed with a history entry', async () => {
+        const order = await placeOrder([[4, 1]]);
+        assert.equal(order.status, 'placed');
+        assert.deepEqual(order.history.map(h => h.status), ['placed']);
+        assert.equal((await request('GET', '/api/orders', { token })).json()[0].status, 'placed');
+    });
+
+    it('shows order detail to its owner only', async () => {
+        const { orderId } = await placeOrder([[4, 1]]);
+        const res = await request('GET', `/api/orders/${orderId}`, { token });
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.json().items[0].name, 'Sauce Labs Backpack');
+        assert.equal((await request('GET', `/api/orders/${orderId}`, { token: await login('visual_user') })).statusCode, 404);
+        assert.equal((await request('GET', '/api/orders/ORDER-NOPE', { token })).statusCode, 404);
+    });
+
+    it('moves through placed → paid → shipped → delivered', async () => {
+        const { orderId } = await placeOrder([[4, 1]]);
+        for (const status of ['paid', 'shipped', 'delivered']) {
+            const res = await setStatus(orderId, status);
+            assert.equal(res.statusCode, 200);
+            assert.equal(res.json().order.status, status);
+        }
+        const { history } = (await request('GET', `/api/orders/${orderId}`, { token })).json();
+        assert.deepEqual(history.map(h => h.status), ['placed', 'paid', 'shipped', 'delivered']);
+        assert.equal(history[1].by, 'admin');
+    });
+
+    it('refuses invalid transitions', async () => {
+        const { orderId } = await placeOrder([[4, 1]]);
+        const res = await setStatus(orderId, 'shipped');
+        assert.equal(res.statusCode, 409);
+        assert.deepEqual(res.json().allowed, ['paid', 'cancelled']);
+    });
+
+    it('lets the owner cancel before shipping and restocks', async () => {
+        const { orderId } = await placeOrder([[4, 3]]);
+        assert.equal(await stockOf(4), 7);
+        const res = await request('POST', `/api/orders/${orderId}/cancel`, { token, body: { reason: 'changed my mind' } });
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.json().order.status, 'cancelled');
+        assert.equal(res.json().order.history.at(-1).note, 'changed my mind');
+        assert.equal(await stockOf(4), 10);
+        assert.equal((await request('POST', `/api/orders/${orderId}/cancel`, { token })).statusCode, 409);
+    });
+
+    it('refunds what is left of a paid order when it is cancelled', async () => {
+        const { orderId, total } = await placeOrder([[4, 3]]);
+        await setStatus(orderId, 'paid');
+        await request('POST', `/api/admin/orders/${orderId}/refunds`, { token: admin, body: { items: [{ productId: 4, quantity: 1 }] } });
+
+        const res = await request('POST', `/api/orders/${orderId}/cancel`, { token, body: { reason: 'too slow' } });
+        assert.equal(res.statusCode, 200);
+        const { order } = res.json();
+        assert.equal(order.status, 'cancelled');
+        assert.equal(order.refunds.length, 2);
+        assert.deepEqual(order.refunds[1].items, [{ productId: 4, quantity: 2 }]);
+        assert.equal(order.refunds[1].reason, 'too slow');
+        assert.equal(order.refundedTotal, total);
+        assert.deepEqual(order.history.map(h => h.type === 'refund' ? 'refund' : h.status), ['placed', 'paid', 'refund', 'cancelled', 'refund']);
+        assert.equal(await stockOf(4), 10);
+    });
+
+    it('does not let the owner cancel a shipped order', async () => {
+        const { orderId } = await placeOrder([[4, 1]]);
+        await setStatus(orderId, 'paid');
+        await setStatus(orderId, 'shipped');
+        assert.equal((await request('POST', `/api/orders/${orderId}/cancel`, { token })).statusCode, 409);
+    });
+
+    it('refunds part of an order proportionally and restocks', async () => {
+        await request('POST', '/api/cart/coupon', { token, body: { code: 'SAVE20' } });
+        const { orderId, total } = await placeOrder([[4, 2], [0, 1]]);
+        await setStatus(orderId, 'paid');
+
+        const res = await request('POST', `/api/admin/orders/${orderId}/refunds`, {
+            token: admin,
+            body: { items: [{ productId: 4, quantity: 1 }], reason: 'damaged' }
+        });
+        assert.equal(res.statusCode, 201);
+        assert.equal(res.json().refund.amount, +((29.99 / 69.97) * total).toFixed(2));
+        assert.equal(res.json().order.status, 'paid');
+        assert.equal(res.json().order.items.find(i => i.productId === 4).refundedQuantity, 1);
+        assert.equal(res.json().order.history.at(-1).type, 'refund');
+        assert.equal(await stockOf(4), 9);
+    });
+
+    it('marks the order refunded once every unit is refunded', async () => {
+        const { orderId, total } = await placeOrder([[4, 2]]);
+        await setStatus(orderId, 'paid');
+        await request('POST', `/api/admin/orders/${orderId}/refunds`, { token: admin, body: { items: [{ productId: 4, quantity: 1 }] } });
+        const res = await request('POST', `/api/admin/orders/${orderId}/refunds`, { token: admin, body: { restock: false } });
+        assert.equal(res.json().order.status, 'refunded');
+        assert.equal(res.json().order.refundedTotal, total);
+        assert.equal(await stockOf(4), 9);
+    });
+
+    it('refunds exactly the order total one unit at a time', async () => {
+        const { orderId, total } = await placeOrder([[0, 3]]);
+        assert.equal(total, 37.36); // a third of which is no whole number of cents
+        await setStatus(orderId, 'paid');
+        let res;
+        for (let i = 0; i < 3; i++) {
+            res = await request('POST', `/api/admin/orders/${orderId}/refunds`, { token: admin, body: { items: [{ productId: 0, quantity: 1 }] } });
+        }
+        const { order } = res.json();
+        assert.equal(order.status, 'refunded');
+        assert.equal(order.refundedTotal, total);
+        assert.equal(+order.refunds.reduce((sum, r) => sum + r.amount, 0).toFixed(2), total);
+    });
+
+    it('rejects refunds on unpaid orders and over-refunds', async () => {
+        const { orderId } = await placeOrder([[4, 1]]);
+        let res = await request('POST', `/api/admin/orders/${orderId}/refunds`, { token: admin, body: {} });
+        assert.equal(res.statusCode, 409);
+        await setStatus(orderId, 'paid');
+        res = await request('POST', `/api/admin/orders/${orderId}/refunds`, { token: admin, body: { items: [{ productId: 4, quantity: 2 }] } });
+        assert.equal(res.statusCode, 400);
+        res = await request('POST', `/api/admin/orders/${orderId}/refunds`, { token: admin, body: { items: [{ productId: 0, quantity: 1 }] } });
+        assert.equal(res.statusCode, 400);
+    });
+});
@@ -0,0 +1,41 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const { app } = require('./helpers');
+
+const collection = require(path.join(__dirname, '..', 'SauceDemo API Replica Tests.postman_collection.json'));
+
+const flatten = items => items.flatMap(item => (item.item ? flatten(item.item) : [item]));
+const requests = flatten(collection.item).map(item => ({
+    name: item.name,
+    method: item.request.method,
+    path: '/' + item.request.url.path.join('/')
+}));
+
+// Test-mode helpers are not part of the public surface the collection exercises
+const routes = app.router.stack
+    .filter(layer => layer.route?.path.startsWith('/api/') && !layer.route.path.startsWith('/api/test/'))
+    .flatMap(layer => Object.keys(layer.route.methods).map(method => ({
+        method: method.toUpperCase(),
+        path: layer.route.path,
+        pattern: new RegExp('^' + layer.route.path.replace(/:\w+/g, '[^/]+') + '$')
+    })));
+
+describe('Postman collection', () => {
+    it('exercises every route', () => {
+        const missing = routes.filter(r => !requests.some(q => q.method === r.method && r.pattern.test(q.path)));
+        assert.deepEqual(missing.map(r => `${r.method} ${r.path}`), []);
+    });
+
+    it('only targets routes that exist', () => {
+        const stale = requests.filter(q => !routes.some(r => r.method === q.method && r.pattern.test(q.path)));
+        assert.deepEqual(stale.map(q => `${q.name}: ${q.method} ${q.path}`), []);
+    });
+
+    it('authenticates with bearer tokens captured at login', () => {
+        assert.equal(collection.auth.type, 'bearer');
+        const loginTests = flatten(collection.item).find(i => i.name === 'Login - Standard User').event
+            .find(e => e.listen === 'test').script.exec.join('\n');
+        assert.match(loginTests, /pm\.environment\.set\('accessToken'/);
+    });
+});
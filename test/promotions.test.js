@@ -0,0 +1,148 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, login, loginAdmin, reset } = require('./helpers');
+
+const CUSTOMER = { firstName: 'Sauce', lastName: 'Tester', postalCode: '12345' };
+const HOUR = 60 * 60 * 1000;
+
+describe('promotions', () => {
+    let token;
+    let admin;
+
+    const add = (productId, quantity = 1, t = token) => request('POST', '/api/cart', { token: t, body: { productId, quantity } });
+    const apply = (code, t = token) => request('POST', '/api/cart/coupon', { token: t, body: { code } });
+    const createPromotion = (body) => request('POST', '/api/admin/promotions', { token: admin, body });
+    const checkout = (t = token) => request('POST', '/api/checkout', { token: t, body: CUSTOMER });
+
+    beforeEach(async () => {
+        await reset();
+        token = await login('standard_user');
+        admin = await loginAdmin();
+    });
+
+    it('itemises which promotion produced which discount', async () => {
+        await add(4);
+        const res = await apply('SAVE20');
+        assert.deepEqual(res.json().discounts, [
+            { code: 'SAVE20', name: '20% off your order', type: 'percentage', amount: 6, productIds: [4] }
+        ]);
+        assert.equal(res.json().discount, 6);
+    });
+
+    it('does not combine non-stackable promotions', async () => {
+        await apply('SAVE20');
+        const res = await apply('TEST50');
+        assert.equal(res.statusCode, 409);
+        assert.match(res.json().error, /SAVE20/);
+        assert.equal((await apply('SAVE20')).statusCode, 409);
+    });
+
+    it('stacks stackable promotions, line-restricted first', async () => {
+        await createPromotion({ code: 'BAGS10', type: 'percentage', value: 0.1, productIds: [4], stackable: true });
+        await createPromotion({ code: 'FIVEOFF', type: 'fixed', value: 5, stackable: true });
+        await add(4);
+        await add(0);
+        await apply('FIVEOFF');
+        const res = await apply('BAGS10');
+        assert.deepEqual(res.json().discounts.map(d => [d.code, d.amount]), [['BAGS10', 3], ['FIVEOFF', 5]]);
+        assert.equal(res.json().discount, 8);
+        assert.equal(res.json().subtotal, 31.98);
+    });
+
+    it('caps fixed discounts at the eligible value', async () => {
+        await createPromotion({ code: 'HUNDRED', type: 'fixed', value: 100 });
+        await add(0);
+        const res = await apply('HUNDRED');
+        assert.equal(res.json().discount, 9.99);
+        assert.equal(res.json().subtotal, 0);
+        assert.equal(res.json().tax, 0);
+    });
+
+    it('applies buy-X-get-Y per product', async () => {
+        await createPromotion({ code: 'B2G1', type: 'bxgy', buyQuantity: 2, getQuantity: 1 });
+        await add(4, 3);
+        await add(0, 2);
+        const res = await apply('B2G1');
+        assert.deepEqual(res.json().discounts[0].productIds, [4]);
+        assert.equal(res.json().discount, 29.99);
+    });
+
+    it('reports unmet minimum order value until the cart qualifies', async () => {
+        await createPromotion({ code: 'BIGSPEND', type: 'fixed', value: 10, minOrderValue: 50 });
+        await add(4);
+        let res = await apply('BIGSPEND');
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.json().discount, 0);
+        assert.match(res.json().ineligiblePromotions[0].reason, /Minimum order value 50/);
+        res = await add(5);
+        assert.equal(res.json().discount, 10);
+    });
+
+    it('rejects promotions outside their dates', async () => {
+        await createPromotion({ code: 'OLD', type: 'fixed', value: 1, endsAt: new Date(Date.now() - HOUR).toISOString() });
+        await createPromotion({ code: 'SOON', type: 'fixed', value: 1, startsAt: new Date(Date.now() + HOUR).toISOString() });
+        assert.match((await apply('OLD')).json().error, /expired/);
+        assert.match((await apply('SOON')).json().error, /not started/);
+    });
+
+    it('enforces per-user and global redemption limits at checkout', async () => {
+        await createPromotion({ code: 'ONCE', type: 'percentage', value: 0.1, maxRedemptionsPerUser: 1, maxRedemptions: 2 });
+        await add(0);
+        await apply('ONCE');
+        assert.equal((await checkout()).json().discounts[0].code, 'ONCE');
+        assert.equal((await apply('ONCE')).statusCode, 400);
+
+        const other = await login('visual_user');
+        await add(0, 1, other);
+        await apply('ONCE', other);
+        await checkout(other);
+        const res = await apply('ONCE', await login('problem_user'));
+        assert.match(res.json().error, /limit reached/);
+
+        const promotion = (await request('GET', '/api/admin/promotions/ONCE', { token: admin })).json();
+        assert.equal(promotion.redemptions, 2);
+        assert.deepEqual(promotion.redemptionsByUser, { standard_user: 1, visual_user: 1 });
+    });
+
+    it('removes a single applied coupon', async () => {
+        await createPromotion({ code: 'A10', type: 'percentage', value: 0.1, stackable: true });
+        await createPromotion({ code: 'B10', type: 'percentage', value: 0.1, stackable: true });
+        await add(4);
+        await apply('A10');
+        await apply('B10');
+        const res = await request('DELETE', '/api/cart/coupon/A10', { token });
+        assert.deepEqual(res.json().coupons, ['B10']);
+        assert.equal((await request('DELETE', '/api/cart/coupon/A10', { token })).statusCode, 404);
+    });
+
+    describe('admin CRUD', () => {
+        it('validates promotions', async () => {
+            assert.equal((await createPromotion({ code: 'BAD', type: 'percentage', value: 1.5 })).statusCode, 400);
+            assert.equal((await createPromotion({ code: 'BAD', type: 'bxgy' })).statusCode, 400);
+            assert.equal((await createPromotion({ code: 'bad code', type: 'fixed', value: 1 })).statusCode, 400);
+            assert.equal((await createPromotion({ code: 'SAVE20', type: 'fixed', value: 1 })).statusCode, 409);
+        });
+
+        it('updates and deletes promotions', async () => {
+            let res = await request('PATCH', '/api/admin/promotions/SAVE20', { token: admin, body: { active: false } });
+            assert.equal(res.json().promotion.active, false);
+            assert.match((await apply('SAVE20')).json().error, /inactive/);
+
+            await request('PATCH', '/api/admin/promotions/SAVE20', { token: admin, body: { active: true } });
+            await apply('SAVE20');
+            res = await request('DELETE', '/api/admin/promotions/SAVE20', { token: admin });
+            assert.equal(res.statusCode, 200);
+            assert.deepEqual((await request('GET', '/api/cart', { token })).json().coupons, []);
+            const list = (await request('GET', '/api/admin/promotions', { token: admin })).json();
+            assert.deepEqual(list.promotions.map(p => p.code), ['TEST50']);
+        });
+    });
+
+    it('seeds promotions from a fixture', async () => {
+        const res = await reset({ promotions: [{ code: 'FIXTURE5', type: 'fixed', value: 5 }], coupons: { HALF: 0.5 } });
+        assert.equal(res.counts.promotions, 2);
+        token = await login('standard_user');
+        await add(4);
+        assert.equal((await apply('FIXTURE5')).json().discount, 5);
+    });
+});
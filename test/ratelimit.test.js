@@ -0,0 +1,86 @@
+// Policies are read at boot, so they are set before the app is loaded
+process.env.RATE_LIMIT_POLICIES = JSON.stringify([
+    { id: 'login', routes: ['POST /api/login'], by: 'ip', limit: 3, windowMs: 60000, error: 'Too many attempts. Try again later.' },
+    { id: 'inventory', routes: ['GET /api/inventory'], by: 'user', limit: { anonymous: 2, user: 3, staff: 4 }, windowMs: 60000 },
+    { id: 'shipping', routes: ['GET /api/shipping-methods'], by: 'ip', limit: 2, windowMs: 100 },
+    { id: 'orders', routes: ['GET /api/orders'], by: 'user', limit: 2, windowMs: 1000, algorithm: 'token-bucket' }
+]);
+process.env.RATE_LIMIT_BYPASS_KEYS = 'ci-runner';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, login, loginAdmin, reset } = require('./helpers');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Fires `n` requests and returns their status codes
+const statuses = async (n, method, url, options) => {
+    const codes = [];
+    for (let i = 0; i < n; i++) codes.push((await request(method, url, options)).statusCode);
+    return codes;
+};
+
+describe('rate limiting', () => {
+    beforeEach(() => reset());
+
+    it('limits login attempts per IP with Retry-After', async () => {
+        assert.deepEqual(await statuses(3, 'POST', '/api/login', { body: { username: 'standard_user', password: 'nope' } }), [401, 401, 401]);
+        const res = await request('POST', '/api/login', { body: { username: 'standard_user', password: 'secret_sauce' } });
+        assert.equal(res.statusCode, 429);
+        assert.equal(res.json().policy, 'login');
+        assert.equal(res.headers['retry-after'], String(res.json().retryAfter));
+        assert.ok(res.json().retryAfter > 0 && res.json().retryAfter <= 60);
+    });
+
+    it('keeps a bucket per user, sized by audience', async () => {
+        const token = await login('standard_user');
+        const admin = await loginAdmin();
+        assert.deepEqual(await statuses(3, 'GET', '/api/inventory'), [200, 200, 429]);
+        assert.deepEqual(await statuses(4, 'GET', '/api/inventory', { token }), [200, 200, 200, 429]);
+        assert.deepEqual(await statuses(5, 'GET', '/api/inventory', { token: admin }), [200, 200, 200, 200, 429]);
+    });
+
+    it('reports the remaining quota in headers', async () => {
+        const res = await request('GET', '/api/inventory');
+        assert.equal(res.headers['x-ratelimit-limit'], '2');
+        assert.equal(res.headers['x-ratelimit-remaining'], '1');
+        assert.ok(Number(res.headers['x-ratelimit-reset']) * 1000 > Date.now());
+        assert.equal((await request('GET', '/api/health')).headers['x-ratelimit-limit'], undefined);
+    });
+
+    it('slides the window', async () => {
+        assert.deepEqual(await statuses(3, 'GET', '/api/shipping-methods'), [200, 200, 429]);
+        await sleep(250);
+        assert.equal((await request('GET', '/api/shipping-methods')).statusCode, 200);
+    });
+
+    it('refills token buckets over time', async () => {
+        const token = await login('standard_user');
+        assert.deepEqual(await statuses(3, 'GET', '/api/orders', { token }), [200, 200, 429]);
+        await sleep(600); // 1.2 tokens
+        assert.deepEqual(await statuses(2, 'GET', '/api/orders', { token }), [200, 429]);
+    });
+
+    it('lets whitelisted clients bypass the limits in test mode', async () => {
+        const headers = { 'x-ratelimit-bypass': 'ci-runner' };
+        assert.deepEqual(await statuses(4, 'GET', '/api/inventory', { headers }), [200, 200, 200, 200]);
+        assert.deepEqual(await statuses(3, 'GET', '/api/inventory', { headers: { 'x-ratelimit-bypass': 'nope' } }), [200, 200, 429]);
+    });
+
+    it('lets an admin inspect and clear buckets', async () => {
+        const admin = await loginAdmin();
+        await statuses(3, 'GET', '/api/inventory');
+
+        let res = await request('GET', '/api/admin/rate-limits?policy=inventory', { token: admin });
+        assert.equal(res.json().algorithm, 'sliding-window');
+        assert.equal(res.json().policies.length, 4);
+        assert.deepEqual(res.json().buckets.map(b => [b.key, b.limit, b.remaining]), [['ip:127.0.0.1', 2, 0]]);
+
+        res = await request('DELETE', '/api/admin/rate-limits?policy=inventory&key=ip:127.0.0.1', { token: admin });
+        assert.equal(res.json().cleared, 1);
+        assert.equal((await request('GET', '/api/inventory')).statusCode, 200);
+
+        const shopper = await login('standard_user');
+        assert.equal((await request('DELETE', '/api/admin/rate-limits', { token: shopper })).statusCode, 403);
+    });
+});
@@ -0,0 +1,164 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, login, loginAdmin, reset } = require('./helpers');
+
+const WORLD = {
+    users: [
+        { username: 'ann', password: 'secret' },
+        { username: 'bob', password: 'secret' },
+        { username: 'admin', password: 'admin123', role: 'admin' },
+        { username: 'ivy', password: 'secret', role: 'inventory_manager' }
+    ],
+    products: [
+        { id: 0, name: 'Bike Light', price: 9.99, img: 'light.jpg' },
+        { id: 1, name: 'Bolt T-Shirt', price: 15.99, img: 'shirt.jpg' },
+        { id: 4, name: 'Backpack, "Classic"', price: 29.99, img: 'backpack.jpg' }
+    ],
+    orders: [
+        {
+            orderId: 'ORDER-1', username: 'ann', timestamp: '2024-03-01T09:00:00Z', status: 'delivered',
+            items: [{ productId: 4, quantity: 2, price: 29.99 }], discounts: [{ code: 'SAVE20', amount: 12 }]
+        },
+        {
+            orderId: 'ORDER-2', username: 'bob', timestamp: '2024-03-01T15:00:00Z', status: 'paid',
+            items: [{ productId: 0, quantity: 1, price: 9.99 }, { productId: 4, quantity: 1, price: 29.99 }]
+        },
+        {
+            orderId: 'ORDER-3', username: 'ann', timestamp: '2024-03-02T10:00:00Z', status: 'cancelled',
+            items: [{ productId: 1, quantity: 3, price: 15.99 }]
+        },
+        {
+            orderId: 'ORDER-4', username: 'bob', timestamp: '2024-03-03T10:00:00Z',
+            items: [{ productId: 1, quantity: 1, price: 15.99 }]
+        }
+    ]
+};
+
+describe('admin orders & reports', () => {
+    let admin;
+
+    const get = async (url) => {
+        const res = await request('GET', url, { token: admin });
+        assert.equal(res.statusCode, 200);
+        return res.json();
+    };
+
+    beforeEach(async () => {
+        await reset(WORLD);
+        admin = await loginAdmin();
+    });
+
+    it('lists every order newest first, with filters', async () => {
+        const ids = async (query) => (await get(`/api/admin/orders?${query}`)).orders.map(o => o.orderId);
+        assert.deepEqual(await ids(''), ['ORDER-4', 'ORDER-3', 'ORDER-2', 'ORDER-1']);
+        assert.deepEqual(await ids('username=ann'), ['ORDER-3', 'ORDER-1']);
+        assert.deepEqual(await ids('status=paid'), ['ORDER-2']);
+        assert.deepEqual(await ids('from=2024-03-01T12:00:00Z&to=2024-03-02T10:00:00Z'), ['ORDER-3', 'ORDER-2']);
+        assert.deepEqual(await ids('minTotal=40&maxTotal=47.97'), ['ORDER-3']);
+
+        const [row] = (await get('/api/admin/orders?limit=1&page=4')).orders;
+        assert.deepEqual(row, {
+            orderId: 'ORDER-1', username: 'ann', status: 'delivered', timestamp: '2024-03-01T09:00:00.000Z',
+            itemCount: 1, units: 2, coupons: ['SAVE20'], itemTotal: 59.98, discount: 12, tax: 0, shipping: 0, total: 47.98, refundedTotal: 0
+        });
+    });
+
+    it('rejects inverted ranges', async () => {
+        assert.equal((await request('GET', '/api/admin/orders?minTotal=5&maxTotal=1', { token: admin })).statusCode, 400);
+        const res = await request('GET', '/api/admin/reports/revenue?from=2024-03-02T00:00:00Z&to=2024-03-01T00:00:00Z', { token: admin });
+        assert.equal(res.statusCode, 400);
+    });
+
+    it('shows any order in full', async () => {
+        assert.equal((await get('/api/admin/orders/ORDER-2')).items.length, 2);
+        assert.equal((await request('GET', '/api/admin/orders/ORDER-9', { token: admin })).statusCode, 404);
+    });
+
+    it('exports orders as JSON or CSV, oldest first', async () => {
+        assert.deepEqual((await get('/api/admin/orders/export?username=bob')).orders.map(o => o.orderId), ['ORDER-2', 'ORDER-4']);
+
+        const res = await request('GET', '/api/admin/orders/export?format=csv&username=bob', { token: admin });
+        assert.match(res.headers['content-type'], /^text\/csv/);
+        assert.match(res.headers['content-disposition'], /attachment; filename="orders-\d{4}-\d{2}-\d{2}\.csv"/);
+        assert.deepEqual(res.body.split('\r\n'), [
+            'orderId,username,status,timestamp,itemCount,units,coupons,itemTotal,discount,tax,shipping,total,refundedTotal',
+            'ORDER-2,bob,paid,2024-03-01T15:00:00.000Z,2,2,,39.98,0,0,0,39.98,0',
+            'ORDER-4,bob,placed,2024-03-03T10:00:00.000Z,1,1,,15.99,0,0,0,15.99,0',
+            ''
+        ]);
+    });
+
+    it('keeps spreadsheets from running CSV fields as formulas', async () => {
+        await reset({
+            ...WORLD,
+            users: [...WORLD.users, { username: '=HYPERLINK("http://evil.test")', password: 'secret' }],
+            orders: [{
+                orderId: '@SUM(1+1)', username: '=HYPERLINK("http://evil.test")', timestamp: '2024-03-01T09:00:00Z',
+                items: [{ productId: 0, quantity: 1, price: 9.99 }], discounts: [{ code: '-DEAL', amount: 1 }]
+            }]
+        });
+        admin = await loginAdmin();
+        const res = await request('GET', '/api/admin/orders/export?format=csv', { token: admin });
+        assert.equal(res.body.split('\r\n')[1],
+            `'@SUM(1+1),"'=HYPERLINK(""http://evil.test"")",placed,2024-03-01T09:00:00.000Z,1,1,'-DEAL,9.99,1,0,0,8.99,0`);
+    });
+
+    it('reports revenue per day, leaving out cancelled orders', async () => {
+        const report = await get('/api/admin/reports/revenue');
+        assert.equal(report.orderCount, 3);
+        assert.deepEqual(report.rows, [
+            { date: '2024-03-01', orders: 2, discount: 12, revenue: 87.96, refunded: 0, net: 87.96 },
+            { date: '2024-03-03', orders: 1, discount: 0, revenue: 15.99, refunded: 0, net: 15.99 }
+        ]);
+    });
+
+    it('nets refunds out of revenue and product sales', async () => {
+        const refund = await request('POST', '/api/admin/orders/ORDER-1/refunds', {
+            token: admin,
+            body: { items: [{ productId: 4, quantity: 1 }] }
+        });
+        const amount = refund.json().refund.amount;
+        const [day] = (await get('/api/admin/reports/revenue?to=2024-03-01T23:59:59Z')).rows;
+        assert.equal(day.refunded, amount);
+        assert.equal(day.net, +(87.96 - amount).toFixed(2));
+        const [top] = (await get('/api/admin/reports/top-products?limit=1')).rows;
+        assert.deepEqual([top.productId, top.units, top.refundedUnits], [4, 2, 1]);
+    });
+
+    it('ranks top products by units kept', async () => {
+        const report = await get('/api/admin/reports/top-products');
+        assert.deepEqual(report.rows.map(r => [r.productId, r.units, r.orders, r.revenue]), [[4, 3, 2, 89.97], [1, 1, 1, 15.99], [0, 1, 1, 9.99]]);
+        assert.equal((await get('/api/admin/reports/top-products?limit=2&username=bob')).rows.length, 2);
+
+        const csv = (await request('GET', '/api/admin/reports/top-products?format=csv&limit=1', { token: admin })).body;
+        assert.equal(csv, 'productId,sku,name,units,refundedUnits,orders,revenue\r\n4,,"Backpack, ""Classic""",3,0,2,89.97\r\n');
+    });
+
+    it('reports coupon usage and basket size', async () => {
+        assert.deepEqual((await get('/api/admin/reports/coupons')).rows, [{ code: 'SAVE20', orders: 1, discount: 12 }]);
+        assert.deepEqual((await get('/api/admin/reports/basket-size')).rows, [
+            { orders: 3, averageLines: 1.33, averageUnits: 1.67, averageItemTotal: 38.65, averageTotal: 34.65 }
+        ]);
+        assert.deepEqual((await get('/api/admin/reports/basket-size?username=nobody')).rows[0].averageTotal, 0);
+    });
+
+    it('counts orders placed through checkout', async () => {
+        const token = await login('ann', 'secret');
+        await request('POST', '/api/cart', { token, body: { productId: 0, quantity: 2 } });
+        await request('POST', '/api/cart/coupon', { token, body: { code: 'SAVE20' } });
+        const order = (await request('POST', '/api/checkout', { token, body: { firstName: 'Ann', lastName: 'A', postalCode: '12345' } })).json();
+
+        const [row] = (await get(`/api/admin/orders?from=${order.timestamp}`)).orders;
+        assert.equal(row.orderId, order.orderId);
+        assert.deepEqual(row.coupons, ['SAVE20']);
+        assert.equal(row.total, order.total);
+        const coupons = (await get('/api/admin/reports/coupons')).rows;
+        assert.deepEqual(coupons.find(c => c.code === 'SAVE20'), { code: 'SAVE20', orders: 2, discount: +(12 + order.discount).toFixed(2) });
+    });
+
+    it('needs the orders:read permission', async () => {
+        const ivy = await login('ivy', 'secret');
+        assert.equal((await request('GET', '/api/admin/orders', { token: ivy })).statusCode, 403);
+        assert.equal((await request('GET', '/api/admin/reports/revenue', { token: ivy })).statusCode, 403);
+    });
+});
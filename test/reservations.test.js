@@ -0,0 +1,81 @@
+process.env.RESERVATION_TTL_MS = '300';
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { setTimeout: sleep } = require('node:timers/promises');
+const { request, login, loginAdmin, reset } = require('./helpers');
+
+const CUSTOMER = { firstName: 'Sauce', lastName: 'Tester', postalCode: '12345' };
+
+describe('stock reservations', () => {
+    let alice;
+    let bob;
+    let admin;
+
+    const add = (token, productId, quantity = 1) => request('POST', '/api/cart', { token, body: { productId, quantity } });
+    const checkout = (token) => request('POST', '/api/checkout', { token, body: CUSTOMER });
+    const stockOf = async (id) => (await request('GET', '/api/admin/stock', { token: admin })).json().find(p => p.id === id);
+
+    beforeEach(async () => {
+        await reset({
+            users: [
+                { username: 'alice', password: 'secret' },
+                { username: 'bob', password: 'secret' },
+                { username: 'admin', password: 'admin123', role: 'admin' }
+            ],
+            stock: { 4: 1 }
+        });
+        [alice, bob, admin] = await Promise.all([login('alice', 'secret'), login('bob', 'secret'), loginAdmin()]);
+    });
+
+    it('holds carted units away from other shoppers', async () => {
+        const res = await add(alice, 4);
+        assert.ok(res.json().items[0].reservedUntil);
+        const blocked = await add(bob, 4);
+        assert.equal(blocked.statusCode, 400);
+        assert.equal(blocked.json().available, 0);
+        assert.deepEqual(await stockOf(4), { id: 4, name: 'Sauce Labs Backpack', currentStock: 1, reserved: 1, available: 0 });
+        assert.equal((await request('GET', '/api/inventory', { token: bob })).json().find(p => p.id === 4).inStock, false);
+    });
+
+    it('releases expired reservations back into stock', async () => {
+        await add(alice, 4);
+        await sleep(350);
+        assert.equal((await request('GET', '/api/cart', { token: alice })).json().items[0].reservedUntil, null);
+        assert.equal((await add(bob, 4)).statusCode, 201);
+    });
+
+    it('fails checkout with a per-item 409 when a lapsed reservation was taken', async () => {
+        await add(alice, 4);
+        await add(alice, 0);
+        await sleep(350);
+        await add(bob, 4);
+        assert.equal((await checkout(bob)).statusCode, 201);
+
+        const res = await checkout(alice);
+        assert.equal(res.statusCode, 409);
+        assert.deepEqual(res.json().shortfalls, [{ productId: 4, name: 'Sauce Labs Backpack', requested: 1, available: 0 }]);
+        assert.equal((await stockOf(0)).currentStock, 10);
+        assert.equal((await stockOf(4)).currentStock, 0);
+    });
+
+    it('never oversells under parallel checkouts', async () => {
+        await request('PATCH', '/api/admin/stock/0', { token: admin, body: { quantity: 3 } });
+        await add(alice, 0, 2);
+        await sleep(350);
+        await add(bob, 0, 2);
+        await sleep(350);
+
+        const results = await Promise.all([checkout(alice), checkout(bob)]);
+        assert.deepEqual(results.map(r => r.statusCode).sort(), [201, 409]);
+        assert.equal((await stockOf(0)).currentStock, 1);
+    });
+
+    it('stops admins lowering stock below reserved units', async () => {
+        await add(alice, 0, 3);
+        const res = await request('PATCH', '/api/admin/stock/0', { token: admin, body: { quantity: 2 } });
+        assert.equal(res.statusCode, 409);
+        assert.equal(res.json().reserved, 3);
+        assert.equal((await request('PATCH', '/api/admin/stock/0', { token: admin, body: { quantity: 3 } })).statusCode, 200);
+    });
+});
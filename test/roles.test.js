@@ -0,0 +1,142 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, login, loginAdmin, reset } = require('./helpers');
+
+const STAFF = [
+    { username: 'sam_support', password: 'secret', role: 'support' },
+    { username: 'ivy_inventory', password: 'secret', role: 'inventory_manager' },
+    { username: 'al_auditor', password: 'secret', role: 'auditor' },
+    { username: 'admin', password: 'admin123', role: 'admin' },
+    { username: 'standard_user', password: 'secret_sauce' }
+];
+
+describe('roles & permissions', () => {
+    let admin;
+
+    beforeEach(async () => {
+        await reset({ users: STAFF });
+        admin = await loginAdmin();
+    });
+
+    it('limits each role to its own permissions', async () => {
+        const ivy = await login('ivy_inventory', 'secret');
+        assert.equal((await request('PATCH', '/api/admin/stock/4', { token: ivy, body: { quantity: 3 } })).statusCode, 200);
+        const res = await request('GET', '/api/admin/users', { token: ivy });
+        assert.equal(res.statusCode, 403);
+        assert.equal(res.json().error, 'Permission required: users:read');
+
+        const auditor = await login('al_auditor', 'secret');
+        assert.equal((await request('GET', '/api/admin/users', { token: auditor })).statusCode, 200);
+        assert.equal((await request('POST', '/api/admin/snapshots', { token: auditor, body: { name: 'nope' } })).statusCode, 403);
+
+        const shopper = await login('standard_user');
+        assert.equal((await request('GET', '/api/admin/stock', { token: shopper })).statusCode, 403);
+    });
+
+    it('documents the permission each admin route needs', async () => {
+        const spec = (await request('GET', '/api/openapi.json')).json();
+        assert.equal(spec.paths['/api/admin/stock/{productId}'].patch['x-permission'], 'stock:write');
+        assert.equal(spec.paths['/api/admin/roles'].get.tags[0], 'admin');
+    });
+
+    it('creates, updates and deletes custom roles', async () => {
+        let res = await request('POST', '/api/admin/roles', {
+            token: admin,
+            body: { name: 'merchandiser', permissions: ['promotions:read', 'promotions:write'] }
+        });
+        assert.equal(res.statusCode, 201);
+        assert.equal((await request('POST', '/api/admin/roles', { token: admin, body: { name: 'merchandiser', permissions: [] } })).statusCode, 409);
+        assert.equal((await request('POST', '/api/admin/roles', { token: admin, body: { name: 'bad', permissions: ['cart:steal'] } })).statusCode, 400);
+
+        await request('PUT', '/api/admin/users/standard_user/role', { token: admin, body: { role: 'merchandiser' } });
+        const token = await login('standard_user');
+        assert.equal((await request('GET', '/api/admin/promotions', { token })).statusCode, 200);
+
+        res = await request('PATCH', '/api/admin/roles/merchandiser', { token: admin, body: { permissions: ['promotions:read'] } });
+        assert.equal(res.statusCode, 200);
+        assert.equal((await request('POST', '/api/admin/promotions', { token, body: { code: 'NOPE', type: 'percentage', value: 0.1 } })).statusCode, 403);
+
+        res = await request('DELETE', '/api/admin/roles/merchandiser', { token: admin });
+        assert.equal(res.statusCode, 409);
+        assert.deepEqual(res.json().users, ['standard_user']);
+        await request('PUT', '/api/admin/users/standard_user/role', { token: admin, body: { role: 'user' } });
+        assert.equal((await request('DELETE', '/api/admin/roles/merchandiser', { token: admin })).statusCode, 200);
+    });
+
+    it('protects the built-in roles', async () => {
+        assert.equal((await request('PATCH', '/api/admin/roles/admin', { token: admin, body: { permissions: [] } })).statusCode, 403);
+        assert.equal((await request('DELETE', '/api/admin/roles/user', { token: admin })).statusCode, 403);
+    });
+
+    it('validates roles on user creation', async () => {
+        const res = await request('POST', '/api/admin/users', { token: admin, body: { username: 'qa_x', password: 'secret123', role: 'auditor' } });
+        assert.equal(res.statusCode, 201);
+        const users = (await request('GET', '/api/admin/users', { token: admin })).json().users;
+        assert.equal(users.find(u => u.username === 'qa_x').role, 'auditor');
+    });
+
+    it('never grants permissions the actor lacks', async () => {
+        await request('POST', '/api/admin/roles', {
+            token: admin,
+            body: { name: 'user_admin', permissions: ['users:read', 'users:write', 'users:lock', 'roles:read', 'roles:write'] }
+        });
+        await request('PUT', '/api/admin/users/sam_support/role', { token: admin, body: { role: 'user_admin' } });
+        const sam = await login('sam_support', 'secret');
+
+        let res = await request('PUT', '/api/admin/users/sam_support/role', { token: sam, body: { role: 'admin' } });
+        assert.equal(res.statusCode, 403);
+        res = await request('POST', '/api/admin/roles', { token: sam, body: { name: 'sneaky', permissions: ['*'] } });
+        assert.equal(res.statusCode, 403);
+        res = await request('POST', '/api/admin/users', { token: sam, body: { username: 'qa_root', password: 'secret123', role: 'admin' } });
+        assert.equal(res.statusCode, 403);
+        assert.equal((await request('DELETE', '/api/admin/users/admin', { token: sam })).statusCode, 403);
+        assert.equal((await request('POST', '/api/admin/users/admin/lock', { token: sam })).statusCode, 403);
+        assert.equal((await request('PUT', '/api/admin/users/standard_user/role', { token: sam, body: { role: 'auditor' } })).statusCode, 403);
+        assert.equal((await request('DELETE', '/api/admin/users/standard_user', { token: sam })).statusCode, 200);
+    });
+
+    it('never unlocks users whose role holds more', async () => {
+        await reset({ users: [...STAFF, { username: 'ada_admin', password: 'secret', role: 'admin' }] });
+        admin = await loginAdmin();
+        await request('POST', '/api/admin/roles', { token: admin, body: { name: 'locksmith', permissions: ['users:lock'] } });
+        await request('PUT', '/api/admin/users/sam_support/role', { token: admin, body: { role: 'locksmith' } });
+        assert.equal((await request('POST', '/api/admin/users/ada_admin/lock', { token: admin })).statusCode, 200);
+
+        const sam = await login('sam_support', 'secret');
+        const res = await request('POST', '/api/admin/users/ada_admin/unlock', { token: sam });
+        assert.equal(res.statusCode, 403);
+        assert.equal(res.json().error, 'Cannot unlock a user with permissions you lack');
+        assert.equal((await request('POST', '/api/login', { body: { username: 'ada_admin', password: 'secret' } })).statusCode, 403);
+        assert.equal((await request('POST', '/api/admin/users/ada_admin/unlock', { token: admin })).statusCode, 200);
+    });
+
+    it('keeps at least one full admin', async () => {
+        let res = await request('PUT', '/api/admin/users/admin/role', { token: admin, body: { role: 'auditor' } });
+        assert.equal(res.statusCode, 403);
+        assert.match(res.json().error, /last full admin/);
+
+        await request('POST', '/api/admin/roles', { token: admin, body: { name: 'superuser', permissions: ['*'] } });
+        await request('PUT', '/api/admin/users/al_auditor/role', { token: admin, body: { role: 'superuser' } });
+        res = await request('PUT', '/api/admin/users/admin/role', { token: admin, body: { role: 'auditor' } });
+        assert.equal(res.statusCode, 200);
+
+        const al = await login('al_auditor', 'secret');
+        res = await request('PATCH', '/api/admin/roles/superuser', { token: al, body: { permissions: ['users:read'] } });
+        assert.equal(res.statusCode, 403);
+        assert.equal((await request('DELETE', '/api/admin/users/al_auditor', { token: al })).statusCode, 403);
+        assert.equal((await request('DELETE', '/api/me', { token: al })).statusCode, 403);
+    });
+
+    it('loads custom roles from a fixture', async () => {
+        await reset({
+            roles: [{ name: 'picker', permissions: ['stock:read'] }],
+            users: [{ username: 'pat', password: 'secret', role: 'picker' }]
+        });
+        const token = await login('pat', 'secret');
+        assert.equal((await request('GET', '/api/admin/stock', { token })).statusCode, 200);
+
+        const bad = await request('POST', '/api/test/reset', { body: { users: [{ username: 'pat', password: 'secret', role: 'support' }], roles: [] } });
+        assert.equal(bad.statusCode, 400);
+        assert.equal((await request('POST', '/api/test/reset', { body: { roles: [{ name: 'admin', permissions: [] }] } })).statusCode, 400);
+    });
+});
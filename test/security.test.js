@@ -0,0 +1,105 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, login, loginAdmin, reset } = require('./helpers');
+
+const attempt = (username, password) => request('POST', '/api/login', { body: { username, password } });
+
+describe('credentials & lockout', () => {
+    let admin;
+
+    beforeEach(async () => {
+        await reset();
+        admin = await loginAdmin();
+    });
+
+    it('never exposes stored passwords', async () => {
+        const res = await request('GET', '/api/admin/users', { token: admin });
+        const body = JSON.stringify(res.json());
+        assert.ok(!body.includes('secret_sauce'));
+        assert.ok(!body.includes('passwordHash'));
+    });
+
+    it('enforces the password policy on registration', async () => {
+        const res = await request('POST', '/api/register', { body: { username: 'weak_user', password: 'password' } });
+        assert.equal(res.statusCode, 400);
+        assert.deepEqual(res.json().details, [{ location: 'body', field: 'password', message: 'must contain a digit' }]);
+    });
+
+    it('applies policy changes to new passwords', async () => {
+        const res = await request('PATCH', '/api/admin/password-policy', { token: admin, body: { requireUppercase: true, minLength: 10 } });
+        assert.equal(res.json().passwordPolicy.minLength, 10);
+        const weak = await request('POST', '/api/admin/users', { token: admin, body: { username: 'qa_user', password: 'lower1234' } });
+        assert.deepEqual(weak.json().details.map(d => d.message), ['must be at least 10 chars', 'must contain an uppercase letter']);
+        const ok = await request('POST', '/api/admin/users', { token: admin, body: { username: 'qa_user', password: 'Lower12345' } });
+        assert.equal(ok.statusCode, 201);
+        assert.equal((await request('PATCH', '/api/admin/password-policy', { token: admin, body: { minLength: 2 } })).statusCode, 400);
+    });
+
+    it('locks the account after repeated failures, telling only the right password', async () => {
+        for (let i = 0; i < 6; i++) {
+            const res = await attempt('standard_user', 'nope');
+            assert.equal(res.statusCode, 401);
+            assert.deepEqual(res.json(), { error: 'Invalid credentials' });
+        }
+        const res = await attempt('standard_user', 'secret_sauce');
+        assert.equal(res.statusCode, 403);
+        assert.match(res.json().error, /locked out/);
+        assert.ok(res.json().lockedUntil);
+    });
+
+    it('resets the count after a successful login', async () => {
+        await reset({ passwordPolicy: { maxFailedLogins: 3 } });
+        for (let i = 0; i < 2; i++) await attempt('standard_user', 'nope');
+        await login('standard_user');
+        for (let i = 0; i < 2; i++) await attempt('standard_user', 'nope');
+        assert.equal((await attempt('standard_user', 'secret_sauce')).statusCode, 200);
+    });
+
+    it('lets an admin unlock a locked-out account', async () => {
+        await reset({ passwordPolicy: { maxFailedLogins: 2, lockoutMinutes: 0 } });
+        admin = await loginAdmin();
+        await attempt('visual_user', 'nope');
+        await attempt('visual_user', 'nope');
+        assert.equal((await attempt('visual_user', 'secret_sauce')).json().lockedUntil, null);
+
+        const users = (await request('GET', '/api/admin/users', { token: admin })).json().users;
+        assert.equal(users.find(u => u.username === 'visual_user').lock.reason, 'failed-logins');
+
+        assert.equal((await request('POST', '/api/admin/users/visual_user/unlock', { token: admin })).statusCode, 200);
+        assert.equal((await request('POST', '/api/admin/users/visual_user/unlock', { token: admin })).statusCode, 409);
+        assert.ok(await login('visual_user'));
+    });
+
+    it('lets an admin lock an account', async () => {
+        const res = await request('POST', '/api/admin/users/problem_user/lock', { token: admin, body: { minutes: 30, reason: 'fraud review' } });
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.json().lock.reason, 'fraud review');
+        assert.equal((await attempt('problem_user', 'secret_sauce')).statusCode, 403);
+
+        const me = await request('GET', '/api/admin/users', { token: admin });
+        assert.equal(me.json().users.find(u => u.username === 'problem_user').locked, true);
+        assert.equal((await request('POST', '/api/admin/users/admin/lock', { token: admin })).statusCode, 403);
+        assert.equal((await request('POST', '/api/admin/users/ghost/lock', { token: admin })).statusCode, 404);
+    });
+
+    it('never locks out the last full admin', async () => {
+        await reset({ passwordPolicy: { maxFailedLogins: 2, lockoutMinutes: 0 } });
+        for (let i = 0; i < 3; i++) assert.equal((await attempt('admin', 'nope')).statusCode, 401);
+        admin = await loginAdmin();
+
+        // Once another full admin exists, the usual lockout applies again
+        await request('POST', '/api/admin/users', { token: admin, body: { username: 'second_admin', password: 'Second-admin1', role: 'admin' } });
+        await attempt('admin', 'nope');
+        await attempt('admin', 'nope');
+        assert.equal((await attempt('admin', 'admin123')).statusCode, 403);
+        assert.ok(await login('second_admin', 'Second-admin1'));
+    });
+
+    it('answers unknown users exactly like wrong passwords', async () => {
+        const unknown = await attempt('ghost', 'nope');
+        const wrong = await attempt('standard_user', 'nope');
+        assert.equal(unknown.statusCode, 401);
+        assert.equal(wrong.statusCode, 401);
+        assert.deepEqual(unknown.json(), wrong.json());
+    });
+});
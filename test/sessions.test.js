@@ -0,0 +1,119 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, login, loginAdmin, reset } = require('./helpers');
+
+// Logs in and returns both tokens of the new session
+const signIn = async (username = 'standard_user', headers = {}) => {
+    const res = await request('POST', '/api/login', { body: { username, password: 'secret_sauce' }, headers });
+    return { accessToken: res.json().accessToken, refreshToken: res.cookies.find(c => c.name === 'refreshToken').value };
+};
+
+describe('sessions & token rotation', () => {
+    beforeEach(() => reset());
+
+    it('keeps access and refresh tokens apart', async () => {
+        const { accessToken, refreshToken } = await signIn();
+        assert.equal((await request('GET', '/api/me', { token: refreshToken })).statusCode, 401);
+        assert.equal((await request('POST', '/api/refresh', { body: { refreshToken: accessToken } })).statusCode, 401);
+    });
+
+    it('rotates the refresh token and revokes the session when an old one is replayed', async () => {
+        const { refreshToken } = await signIn();
+        const first = await request('POST', '/api/refresh', { body: { refreshToken } });
+        assert.equal(first.statusCode, 200);
+        assert.notEqual(first.json().refreshToken, refreshToken);
+
+        const replay = await request('POST', '/api/refresh', { body: { refreshToken } });
+        assert.equal(replay.statusCode, 401);
+        assert.match(replay.json().error, /reuse/);
+
+        assert.equal((await request('POST', '/api/refresh', { body: { refreshToken: first.json().refreshToken } })).statusCode, 401);
+        assert.equal((await request('GET', '/api/me', { token: first.json().accessToken })).statusCode, 401);
+    });
+
+    it('revokes the session on logout', async () => {
+        const { accessToken, refreshToken } = await signIn();
+        assert.equal((await request('POST', '/api/logout', { token: accessToken })).statusCode, 200);
+        const me = await request('GET', '/api/me', { token: accessToken });
+        assert.equal(me.statusCode, 401);
+        assert.equal(me.json().error, 'Token has been revoked');
+        assert.equal((await request('POST', '/api/refresh', { cookies: { refreshToken } })).statusCode, 401);
+    });
+
+    it('logs out with just the refresh cookie', async () => {
+        const { accessToken, refreshToken } = await signIn();
+        await request('POST', '/api/logout', { cookies: { refreshToken } });
+        assert.equal((await request('GET', '/api/me', { token: accessToken })).statusCode, 401);
+    });
+
+    it('lists own sessions and revokes the others', async () => {
+        const laptop = await signIn('standard_user', { 'user-agent': 'laptop' });
+        const phone = await signIn('standard_user', { 'user-agent': 'phone' });
+        await signIn('visual_user');
+
+        const res = await request('GET', '/api/me/sessions', { token: phone.accessToken });
+        assert.equal(res.json().total, 2);
+        assert.deepEqual(res.json().sessions.map(s => [s.userAgent, s.current]), [['laptop', false], ['phone', true]]);
+        assert.equal(res.json().sessions[0].refreshJti, undefined);
+
+        const revoked = await request('DELETE', '/api/me/sessions', { token: phone.accessToken });
+        assert.equal(revoked.json().revoked, 1);
+        assert.equal((await request('GET', '/api/me', { token: laptop.accessToken })).statusCode, 401);
+        assert.equal((await request('GET', '/api/me', { token: phone.accessToken })).statusCode, 200);
+    });
+
+    it('revokes one session by id, but only your own', async () => {
+        const mine = await signIn();
+        const theirs = await signIn('visual_user');
+        const [{ sid }] = (await request('GET', '/api/me/sessions', { token: theirs.accessToken })).json().sessions;
+
+        assert.equal((await request('DELETE', `/api/me/sessions/${sid}`, { token: mine.accessToken })).statusCode, 404);
+        assert.equal((await request('DELETE', `/api/me/sessions/${sid}`, { token: theirs.accessToken })).statusCode, 200);
+        assert.equal((await request('GET', '/api/me', { token: theirs.accessToken })).statusCode, 401);
+    });
+
+    it('ends other sessions when the password changes', async () => {
+        const other = await signIn();
+        const current = await signIn();
+        const res = await request('PATCH', '/api/me', {
+            token: current.accessToken,
+            body: { currentPassword: 'secret_sauce', password: 'new-secret1' }
+        });
+        assert.equal(res.json().sessionsRevoked, 1);
+        assert.equal((await request('GET', '/api/me', { token: other.accessToken })).statusCode, 401);
+        assert.equal((await request('GET', '/api/me', { token: current.accessToken })).statusCode, 200);
+    });
+
+    it('lets an admin force a user to log out', async () => {
+        const admin = await loginAdmin();
+        const user = await signIn('problem_user');
+        assert.equal((await request('GET', '/api/admin/users/problem_user/sessions', { token: admin })).json().total, 1);
+
+        const res = await request('DELETE', '/api/admin/users/problem_user/sessions', { token: admin });
+        assert.equal(res.json().revoked, 1);
+        assert.equal((await request('GET', '/api/cart', { token: user.accessToken })).statusCode, 401);
+        assert.equal((await request('DELETE', '/api/admin/users/ghost/sessions', { token: admin })).statusCode, 404);
+    });
+
+    it('rejects tokens of a deleted user instead of crashing', async () => {
+        const token = await login('visual_user');
+        await request('DELETE', '/api/admin/users/visual_user', { token: await loginAdmin() });
+        const res = await request('GET', '/api/me', { token });
+        assert.equal(res.statusCode, 401);
+    });
+
+    it('ends every session on a store reset', async () => {
+        const { accessToken, refreshToken } = await signIn('visual_user');
+        await reset({ users: [{ username: 'visual_user', password: 'secret' }] });
+        const res = await request('GET', '/api/me', { token: accessToken });
+        assert.equal(res.statusCode, 401);
+        assert.equal(res.json().error, 'Session expired');
+        assert.equal((await request('POST', '/api/refresh', { body: { refreshToken } })).statusCode, 401);
+    });
+
+    it('applies role changes without a new token', async () => {
+        const token = await login('visual_user');
+        await request('PUT', '/api/admin/users/visual_user/role', { token: await loginAdmin(), body: { role: 'admin' } });
+        assert.equal((await request('GET', '/api/admin/users', { token })).statusCode, 200);
+    });
+});
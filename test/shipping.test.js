@@ -0,0 +1,129 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, login, loginAdmin, reset } = require('./helpers');
+
+const CUSTOMER = { firstName: 'Sauce', lastName: 'Tester', postalCode: '12345' };
+
+describe('tax & shipping', () => {
+    let token;
+
+    const add = (productId, quantity = 1) => request('POST', '/api/cart', { token, body: { productId, quantity } });
+    const choose = (body) => request('PUT', '/api/cart/shipping', { token, body });
+
+    beforeEach(async () => {
+        await reset();
+        token = await login('standard_user');
+    });
+
+    it('quotes standard shipping and the default tax rate', async () => {
+        await add(0);
+        const cart = (await request('GET', '/api/cart', { token })).json();
+        assert.equal(cart.taxRate, 0.08);
+        assert.equal(cart.tax, 0.8);
+        assert.deepEqual(cart.shipping, { method: 'standard', name: 'Standard (3–5 days)', weight: 0.2, cost: 4.99 });
+        assert.equal(cart.total, 15.78);
+    });
+
+    it('charges nothing to ship an empty cart', async () => {
+        const cart = (await request('GET', '/api/cart', { token })).json();
+        assert.equal(cart.shipping.cost, 0);
+        assert.equal(cart.total, 0);
+    });
+
+    it('ships free above the threshold', async () => {
+        await add(5, 2);
+        const cart = (await request('GET', '/api/cart', { token })).json();
+        assert.equal(cart.shipping.cost, 0);
+    });
+
+    it('prices express shipping by weight', async () => {
+        await add(4, 2);
+        const res = await choose({ method: 'express' });
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.json().shipping.weight, 2.4);
+        assert.equal(res.json().shipping.cost, 14.79);
+    });
+
+    it('rejects an unknown shipping method', async () => {
+        const res = await choose({ method: 'drone' });
+        assert.equal(res.statusCode, 400);
+    });
+
+    it('picks the longest matching postal prefix, then region', async () => {
+        const admin = await loginAdmin();
+        const put = await request('PUT', '/api/admin/tax-rules', {
+            token: admin,
+            body: {
+                taxRules: [
+                    { id: 'default', rate: 0.08 },
+                    { id: 'ny', region: 'NY', rate: 0.04 },
+                    { id: 'ca', postalPrefix: '9', rate: 0.0725 },
+                    { id: 'la', postalPrefix: '900', rate: 0.095 }
+                ]
+            }
+        });
+        assert.equal(put.statusCode, 200);
+        await add(4);
+
+        assert.equal((await choose({ method: 'standard', postalCode: '90012' })).json().taxRule.id, 'la');
+        assert.equal((await choose({ method: 'standard', postalCode: '94105' })).json().taxRule.id, 'ca');
+        assert.equal((await choose({ method: 'standard', region: 'ny' })).json().taxRate, 0.04);
+        assert.equal((await choose({ method: 'standard', postalCode: '10001' })).json().taxRule.id, 'default');
+    });
+
+    it('rejects a second fallback tax rule', async () => {
+        const res = await request('PUT', '/api/admin/tax-rules', {
+            token: await loginAdmin(),
+            body: { taxRules: [{ id: 'a', rate: 0.1 }, { id: 'b', rate: 0.2 }] }
+        });
+        assert.equal(res.statusCode, 400);
+    });
+
+    it('requires perKg on weight-based methods', async () => {
+        const res = await request('PUT', '/api/admin/shipping-methods', {
+            token: await loginAdmin(),
+            body: { shippingMethods: [{ id: 'heavy', type: 'weight', rate: 5 }] }
+        });
+        assert.equal(res.statusCode, 400);
+    });
+
+    it('publishes admin changes to the shipping table', async () => {
+        await request('PUT', '/api/admin/shipping-methods', {
+            token: await loginAdmin(),
+            body: { shippingMethods: [{ id: 'standard', name: 'Standard', type: 'price', rate: 1, percent: 0.1 }] }
+        });
+        const methods = (await request('GET', '/api/shipping-methods')).json().methods;
+        assert.deepEqual(methods.map(m => m.id), ['standard']);
+
+        await add(4);
+        assert.equal((await request('GET', '/api/cart', { token })).json().shipping.cost, 4);
+    });
+
+    it('records the checkout tax and shipping on the order', async () => {
+        await add(4);
+        const res = await request('POST', '/api/checkout', {
+            token,
+            body: { ...CUSTOMER, shippingMethod: 'pickup', region: 'OR' }
+        });
+        assert.equal(res.statusCode, 201);
+        assert.equal(res.json().shipping.method, 'pickup');
+        assert.equal(res.json().shipping.cost, 0);
+        assert.equal(res.json().taxRate, 0.08);
+        assert.equal(res.json().total, 32.39);
+        assert.equal(res.json().customer.region, 'OR');
+    });
+
+    it('loads tax rules, shipping methods and weights from a fixture', async () => {
+        await reset({
+            products: [{ name: 'Anvil', price: 100, img: 'anvil.jpg', weight: 50 }],
+            taxRules: [{ id: 'none', rate: 0 }],
+            shippingMethods: [{ id: 'standard', type: 'weight', rate: 0, perKg: 1 }]
+        });
+        token = await login('standard_user');
+        await add(0);
+        const cart = (await request('GET', '/api/cart', { token })).json();
+        assert.equal(cart.tax, 0);
+        assert.equal(cart.shipping.cost, 50);
+        assert.equal(cart.total, 150);
+    });
+});
@@ -0,0 +1,138 @@
+// The file backend is chosen at boot, so it is pointed at a scratch directory before the app is loaded
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+
+const STORE_PATH = fs.mkdtempSync(path.join(os.tmpdir(), 'saucedemo-store-'));
+process.env.STORE_BACKEND = 'file';
+process.env.STORE_PATH = STORE_PATH;
+
+const { describe, it, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const inject = require('light-my-request');
+const { request, login, loginAdmin, reset } = require('./helpers');
+
+after(() => fs.rmSync(STORE_PATH, { recursive: true, force: true }));
+
+// A second server instance over the same directory, as after a restart
+const restart = () => {
+    delete require.cache[require.resolve('../server')];
+    const app = require('../server');
+    return (method, url, { token, body } = {}) => inject(app, {
+        method,
+        url,
+        payload: body,
+        headers: token ? { authorization: `Bearer ${token}` } : {}
+    });
+};
+const loginTo = async (send, username, password) => (await send('POST', '/api/login', { body: { username, password } })).json().accessToken;
+const stockOf = async (send, token, productId) => (await send('GET', '/api/admin/stock', { token })).json().find(p => p.id === productId).currentStock;
+
+describe('file backend', () => {
+    let admin;
+    beforeEach(async () => {
+        await reset();
+        admin = await loginAdmin();
+    });
+
+    it('reloads the saved store on boot', async () => {
+        await request('PATCH', '/api/admin/stock/4', { token: admin, body: { quantity: 7 } });
+        await request('POST', '/api/register', { body: { username: 'file_user', password: 'secret123' } });
+        assert.ok(fs.existsSync(path.join(STORE_PATH, 'state.json')));
+
+        const send = restart();
+        const token = await loginTo(send, 'admin', 'admin123');
+        assert.equal(await stockOf(send, token, 4), 7);
+        assert.ok(await loginTo(send, 'file_user', 'secret123'));
+        const audit = (await send('GET', '/api/admin/audit?entity=products&entityId=4', { token })).json();
+        assert.equal(audit.entries[0].changes[0].after, 7);
+    });
+
+    it('keeps snapshots on disk and restores them', async () => {
+        const saved = await request('POST', '/api/admin/snapshots', { token: admin, body: { name: 'baseline' } });
+        assert.equal(saved.statusCode, 201);
+        assert.ok(fs.existsSync(path.join(STORE_PATH, 'snapshots', 'baseline.json')));
+        const baseline = await stockOf(request, admin, 4);
+        await request('PATCH', '/api/admin/stock/4', { token: admin, body: { quantity: 1 } });
+
+        const send = restart();
+        const token = await loginTo(send, 'admin', 'admin123');
+        assert.deepEqual((await send('GET', '/api/admin/snapshots', { token })).json().snapshots.map(s => s.name), ['baseline']);
+        assert.equal(await stockOf(send, token, 4), 1);
+        assert.equal((await send('POST', '/api/admin/snapshots/baseline/restore', { token })).statusCode, 200);
+        assert.equal(await stockOf(send, await loginTo(send, 'admin', 'admin123'), 4), baseline);
+
+        const again = restart();
+        assert.equal(await stockOf(again, await loginTo(again, 'admin', 'admin123'), 4), baseline);
+    });
+});
+
+// Saves the current store as a snapshot, lets `edit` rewrite it the way an older version
+// would have written it, and restores the result. Restoring ends every session, so this
+// returns a new admin token.
+const restoreLegacy = async (token, edit) => {
+    await request('POST', '/api/admin/snapshots', { token, body: { name: 'current', overwrite: true } });
+    const snapshot = JSON.parse(fs.readFileSync(path.join(STORE_PATH, 'snapshots', 'current.json'), 'utf8'));
+    edit(snapshot.data);
+    fs.writeFileSync(path.join(STORE_PATH, 'snapshots', 'legacy.json'), JSON.stringify({ ...snapshot, name: 'legacy' }));
+    const res = await request('POST', '/api/admin/snapshots/legacy/restore', { token });
+    assert.equal(res.statusCode, 200);
+    return loginAdmin();
+};
+
+describe('loading state saved by older versions', () => {
+    let admin;
+    beforeEach(async () => {
+        await reset();
+        admin = await loginAdmin();
+    });
+
+    it('turns a single applied coupon into the coupon list', async () => {
+        admin = await restoreLegacy(admin, data => {
+            data.userCarts = { standard_user: { cart: [{ productId: 4, quantity: 1 }], appliedCoupon: 'SAVE20' } };
+        });
+        const token = await login('standard_user');
+
+        const cart = await request('GET', '/api/cart', { token });
+        assert.deepEqual(cart.json().coupons, ['SAVE20']);
+        assert.equal(cart.json().discount, 6);
+
+        const clash = await request('POST', '/api/cart/coupon', { token, body: { code: 'TEST50' } });
+        assert.equal(clash.statusCode, 409);
+
+        const removed = await request('DELETE', '/api/admin/promotions/SAVE20', { token: admin });
+        assert.equal(removed.statusCode, 200);
+        assert.deepEqual((await request('GET', '/api/cart', { token })).json().coupons, []);
+    });
+
+    it('gives orders placed before the order lifecycle a status, history and refunds', async () => {
+        admin = await restoreLegacy(admin, data => {
+            data.orderHistory = [{
+                orderId: 'ORDER-LEGACY1',
+                username: 'standard_user',
+                customer: { firstName: 'Sauce', lastName: 'Tester', postalCode: '12345' },
+                items: [{ productId: 4, name: 'Sauce Labs Backpack', price: 29.99, quantity: 2, lineTotal: 59.98 }],
+                itemTotal: 59.98,
+                discount: 0,
+                tax: 4.8,
+                total: 64.78,
+                timestamp: '2025-01-15T10:00:00.000Z'
+            }];
+        });
+        const token = await login('standard_user');
+        const stockBefore = (await request('GET', '/api/admin/stock', { token: admin })).json().find(p => p.id === 4).currentStock;
+
+        const [summary] = (await request('GET', '/api/orders', { token })).json();
+        assert.deepEqual(summary, {
+            orderId: 'ORDER-LEGACY1', status: 'placed', total: 64.78, refundedTotal: 0, timestamp: '2025-01-15T10:00:00.000Z', itemCount: 1
+        });
+
+        const res = await request('POST', '/api/orders/ORDER-LEGACY1/cancel', { token });
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.json().order.status, 'cancelled');
+        assert.equal(res.json().order.history.length, 1);
+        assert.equal(res.json().order.items[0].refundedQuantity, 0);
+        const stockAfter = (await request('GET', '/api/admin/stock', { token: admin })).json().find(p => p.id === 4).currentStock;
+        assert.equal(stockAfter, stockBefore + 2);
+    });
+});
@@ -0,0 +1,205 @@
+// Retries are read at boot, so they are shortened before the app is loaded
+process.env.WEBHOOK_RETRY_BASE_MS = '20';
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const crypto = require('node:crypto');
+const { request, login, loginAdmin, reset } = require('./helpers');
+
+const SECRET = 'receiver-secret-0123456789';
+const CUSTOMER = { firstName: 'Sauce', lastName: 'Tester', postalCode: '12345' };
+
+// A local endpoint that records every request and answers with the queued status codes (then 200)
+const receiver = { received: [], statuses: [] };
+const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+        receiver.received.push({ headers: req.headers, body, event: JSON.parse(body) });
+        res.writeHead(receiver.statuses.shift() || 200).end();
+    });
+});
+
+const waitFor = async (check, timeoutMs = 2000) => {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error('Timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 10));
+    }
+};
+
+describe('webhooks', () => {
+    let admin;
+    let url;
+
+    const register = async (events, extra = {}) => {
+        const res = await request('POST', '/api/admin/webhooks', { token: admin, body: { url, events, secret: SECRET, ...extra } });
+        assert.equal(res.statusCode, 201);
+        return res.json().webhook;
+    };
+    const deliveries = async (hookId, query = '') =>
+        (await request('GET', `/api/admin/webhooks/${hookId}/deliveries?${query}`, { token: admin })).json().deliveries;
+    const settled = (hookId, count = 1) => waitFor(async () => {
+        const list = await deliveries(hookId);
+        return list.length >= count && list.every(d => d.status !== 'pending') && list;
+    });
+
+    before(() => new Promise(resolve => server.listen(0, '127.0.0.1', () => {
+        url = `http://127.0.0.1:${server.address().port}/hooks`;
+        resolve();
+    })));
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(async () => {
+        await reset();
+        admin = await loginAdmin();
+        receiver.received = [];
+        receiver.statuses = [];
+    });
+
+    it('registers webhooks and shows the secret only when set', async () => {
+        const res = await request('POST', '/api/admin/webhooks', { token: admin, body: { url, events: ['order.created'] } });
+        assert.equal(res.statusCode, 201);
+        const { id, secret } = res.json().webhook;
+        assert.match(secret, /^whsec_/);
+
+        const list = (await request('GET', '/api/admin/webhooks', { token: admin })).json();
+        assert.ok(list.events.includes('stock.depleted'));
+        assert.equal(list.webhooks[0].secret, undefined);
+        assert.equal((await request('GET', `/api/admin/webhooks/${id}`, { token: admin })).json().url, url);
+
+        const bad = await request('POST', '/api/admin/webhooks', { token: admin, body: { url, events: ['order.shipped'] } });
+        assert.equal(bad.statusCode, 400);
+        assert.equal((await request('POST', '/api/admin/webhooks', { token: admin, body: { url: 'ftp://x', events: ['order.created'] } })).statusCode, 400);
+        assert.equal((await request('GET', '/api/admin/webhooks', { token: await login('standard_user') })).statusCode, 403);
+    });
+
+    it('delivers signed order events', async () => {
+        const hook = await register(['order.created']);
+        const token = await login('standard_user');
+        await request('POST', '/api/cart', { token, body: { productId: 4 } });
+        const order = (await request('POST', '/api/checkout', { token, body: CUSTOMER })).json();
+
+        const [delivery] = await settled(hook.id);
+        assert.equal(delivery.status, 'succeeded');
+        const [{ headers, body, event }] = receiver.received;
+        assert.equal(event.type, 'order.created');
+        assert.equal(event.data.order.orderId, order.orderId);
+        assert.equal(headers['x-webhook-event'], 'order.created');
+        assert.equal(headers['x-webhook-id'], String(delivery.id));
+
+        const { t, v1 } = Object.fromEntries(headers['x-webhook-signature'].split(',').map(part => part.split('=')));
+        assert.equal(v1, crypto.createHmac('sha256', SECRET).update(`${t}.${body}`).digest('hex'));
+    });
+
+    it('sends only subscribed events', async () => {
+        const hook = await register(['order.cancelled']);
+        const token = await login('standard_user');
+        await request('POST', '/api/cart', { token, body: { productId: 4 } });
+        const order = (await request('POST', '/api/checkout', { token, body: CUSTOMER })).json();
+        await request('POST', `/api/orders/${order.orderId}/cancel`, { token, body: {} });
+
+        await settled(hook.id);
+        assert.deepEqual(receiver.received.map(r => r.event.type), ['order.cancelled']);
+        assert.equal(receiver.received[0].event.data.order.status, 'cancelled');
+    });
+
+    it('fires stock.low and stock.depleted as levels fall', async () => {
+        const hook = await register(['stock.low', 'stock.depleted']);
+        await request('PATCH', '/api/admin/stock/4', { token: admin, body: { quantity: 5 } });
+        await request('PATCH', '/api/admin/stock/4', { token: admin, body: { quantity: 3 } });
+        await request('PATCH', '/api/admin/stock/4', { token: admin, body: { quantity: 2 } });
+        await request('PATCH', '/api/admin/stock/4', { token: admin, body: { quantity: 0 } });
+
+        await settled(hook.id, 2);
+        assert.deepEqual(receiver.received.map(r => [r.event.type, r.event.data.previous, r.event.data.quantity]).sort(), [
+            ['stock.depleted', 2, 0],
+            ['stock.low', 5, 3]
+        ]);
+    });
+
+    it('announces registrations and new products', async () => {
+        const hook = await register(['user.registered', 'product.created']);
+        await request('POST', '/api/register', { body: { username: 'hooked_user', password: 'Secret-sauce1' } });
+        await request('POST', '/api/admin/products', { token: admin, body: { name: 'Hook Mug', price: 5, img: 'mug.jpg' } });
+
+        await settled(hook.id, 2);
+        const byType = Object.fromEntries(receiver.received.map(r => [r.event.type, r.event.data]));
+        assert.deepEqual(byType['user.registered'], { username: 'hooked_user' });
+        assert.equal(byType['product.created'].product.name, 'Hook Mug');
+    });
+
+    it('retries failures with backoff, then gives up', async () => {
+        const hook = await register(['user.registered']);
+        receiver.statuses = [500, 503];
+        await request('POST', '/api/register', { body: { username: 'retry_user', password: 'Secret-sauce1' } });
+
+        const [delivery] = await settled(hook.id);
+        assert.equal(delivery.status, 'succeeded');
+        assert.deepEqual(delivery.attempts.map(a => [a.number, a.statusCode, a.error ?? null]), [[1, 500, 'HTTP 500'], [2, 503, 'HTTP 503'], [3, 200, null]]);
+        assert.ok(Date.parse(delivery.attempts[2].at) - Date.parse(delivery.attempts[1].at) >= 40);
+        assert.deepEqual(receiver.received.map(r => r.headers['x-webhook-attempt']), ['1', '2', '3']);
+
+        receiver.statuses = [500, 500, 500];
+        await request('POST', '/api/register', { body: { username: 'retry_user2', password: 'Secret-sauce1' } });
+        const [failed] = await settled(hook.id, 2);
+        assert.equal(failed.status, 'failed');
+        assert.equal(failed.attempts.length, 3);
+        assert.equal(failed.nextAttemptAt, null);
+    });
+
+    it('records unreachable endpoints as failed attempts', async () => {
+        const hook = await register(['user.registered'], { url: 'http://127.0.0.1:9/closed' });
+        await request('POST', '/api/register', { body: { username: 'lost_user', password: 'Secret-sauce1' } });
+        const [delivery] = await settled(hook.id);
+        assert.equal(delivery.status, 'failed');
+        assert.ok(delivery.attempts.every(a => a.statusCode === null && a.error));
+    });
+
+    it('replays a delivery as a new one', async () => {
+        const hook = await register(['user.registered']);
+        receiver.statuses = [500, 500, 500];
+        await request('POST', '/api/register', { body: { username: 'replay_user', password: 'Secret-sauce1' } });
+        const [failed] = await settled(hook.id);
+
+        const res = await request('POST', `/api/admin/webhooks/${hook.id}/deliveries/${failed.id}/replay`, { token: admin });
+        assert.equal(res.statusCode, 202);
+        assert.equal(res.json().delivery.replayOf, failed.id);
+
+        const [replayed] = await settled(hook.id, 2);
+        assert.equal(replayed.status, 'succeeded');
+        assert.equal(replayed.event.id, failed.event.id);
+        assert.equal((await deliveries(hook.id, 'status=failed')).length, 1);
+        assert.equal((await request('GET', `/api/admin/webhooks/${hook.id}/deliveries/${replayed.id}`, { token: admin })).json().id, replayed.id);
+        assert.equal((await request('POST', `/api/admin/webhooks/${hook.id}/deliveries/9999/replay`, { token: admin })).statusCode, 404);
+    });
+
+    it('pings on demand and stops sending once disabled', async () => {
+        const hook = await register(['user.registered']);
+        assert.equal((await request('POST', `/api/admin/webhooks/${hook.id}/ping`, { token: admin })).statusCode, 202);
+        await settled(hook.id);
+        assert.equal(receiver.received[0].event.type, 'ping');
+
+        await request('PATCH', `/api/admin/webhooks/${hook.id}`, { token: admin, body: { active: false } });
+        await request('POST', '/api/register', { body: { username: 'quiet_user', password: 'Secret-sauce1' } });
+        assert.equal((await request('POST', `/api/admin/webhooks/${hook.id}/ping`, { token: admin })).statusCode, 409);
+        assert.equal((await deliveries(hook.id)).length, 1);
+
+        assert.equal((await request('DELETE', `/api/admin/webhooks/${hook.id}`, { token: admin })).statusCode, 200);
+        assert.equal((await request('GET', `/api/admin/webhooks/${hook.id}`, { token: admin })).statusCode, 404);
+        assert.equal((await deliveries(hook.id)).length, 1);
+    });
+
+    it('rotates the secret and keeps it out of the audit log', async () => {
+        const hook = await register(['user.registered']);
+        const res = await request('PATCH', `/api/admin/webhooks/${hook.id}`, { token: admin, body: { secret: 'another-secret-0123456789' } });
+        assert.equal(res.json().webhook.secret, 'another-secret-0123456789');
+
+        const [entry] = (await request('GET', '/api/admin/audit?entity=webhooks', { token: admin })).json().entries;
+        assert.deepEqual(entry.changes[0].after, { secret: '[redacted]' });
+    });
+});
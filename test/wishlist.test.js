@@ -0,0 +1,152 @@
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { request, login, loginAdmin, reset } = require('./helpers');
+
+const SHIRT = {
+    id: 0,
+    name: 'Sauce Labs Hoodie',
+    price: 40,
+    img: 'hoodie.jpg',
+    variants: [{ sku: 'HOODIE-S', attributes: { size: 'S' }, stock: 3 }, { sku: 'HOODIE-L', attributes: { size: 'L' }, stock: 5 }]
+};
+const MUG = { id: 1, name: 'Sauce Labs Mug', price: 12.5, img: 'mug.jpg' };
+const CUSTOMER = { firstName: 'Sauce', lastName: 'Tester', postalCode: '12345' };
+
+const guestCookie = (res) => res.cookies.find(c => c.name === 'guestCart')?.value;
+
+describe('guest carts', () => {
+    beforeEach(() => reset());
+
+    it('builds a cart without an account, kept by cookie', async () => {
+        const first = await request('POST', '/api/cart', { body: { productId: 4, quantity: 2 } });
+        assert.equal(first.statusCode, 201);
+        const guestCart = guestCookie(first);
+        assert.ok(guestCart);
+
+        const cart = await request('GET', '/api/cart', { cookies: { guestCart } });
+        assert.deepEqual(cart.json().items.map(i => [i.productId, i.quantity]), [[4, 2]]);
+        assert.equal(guestCookie(cart), undefined);
+        assert.deepEqual((await request('GET', '/api/cart')).json().items, []);
+    });
+
+    it('checks stock for guests without holding it from buyers', async () => {
+        await reset({ products: [MUG], stock: { 1: 2 } });
+        const tooMany = await request('POST', '/api/cart', { body: { productId: 1, quantity: 3 } });
+        assert.equal(tooMany.statusCode, 400);
+        const guest = await request('POST', '/api/cart', { body: { productId: 1, quantity: 2 } });
+        assert.equal(guest.statusCode, 201);
+        assert.equal(guest.json().items[0].reservedUntil, null);
+
+        const token = await login('standard_user');
+        const res = await request('POST', '/api/cart', { token, body: { productId: 1, quantity: 2 } });
+        assert.equal(res.statusCode, 201);
+        assert.ok(res.json().items[0].reservedUntil);
+        assert.equal((await request('POST', '/api/checkout', { token, body: CUSTOMER })).statusCode, 201);
+    });
+
+    it('keeps coupons and checkout for accounts', async () => {
+        assert.equal((await request('POST', '/api/cart/coupon', { body: { code: 'SAVE20' } })).statusCode, 401);
+        assert.equal((await request('POST', '/api/checkout', { body: {} })).statusCode, 401);
+    });
+
+    it('merges into the user cart on login, within the per-item cap', async () => {
+        await reset({ products: [SHIRT, MUG], stock: { 1: 20 } });
+        const guestCart = guestCookie(await request('POST', '/api/cart', { body: { productId: 1, quantity: 6 } }));
+        await request('POST', '/api/cart', { cookies: { guestCart }, body: { productId: 0, sku: 'HOODIE-S', quantity: 3 } });
+        await request('PUT', '/api/cart/shipping', { cookies: { guestCart }, body: { method: 'pickup' } });
+
+        const token = await login('standard_user');
+        await request('POST', '/api/cart', { token, body: { productId: 1, quantity: 7 } });
+        await request('POST', '/api/logout', { token });
+        await request('DELETE', '/api/admin/products/0', { token: await loginAdmin() });
+
+        const res = await request('POST', '/api/login', { cookies: { guestCart }, body: { username: 'standard_user', password: 'secret_sauce' } });
+        assert.deepEqual(res.json().cartMerge.lines, [
+            { productId: 1, requested: 6, added: 3, reason: 'limit' },
+            { productId: 0, sku: 'HOODIE-S', requested: 3, added: 0, reason: 'unavailable' }
+        ]);
+        assert.equal(res.cookies.find(c => c.name === 'guestCart').value, '');
+
+        const cart = (await request('GET', '/api/cart', { token: res.json().accessToken })).json();
+        assert.deepEqual(cart.items.map(i => [i.productId, i.quantity]), [[1, 10]]);
+        assert.equal(cart.shipping.method, 'pickup');
+        assert.deepEqual((await request('GET', '/api/cart', { cookies: { guestCart } })).json().items, []);
+    });
+
+    it('logs in normally without a guest cart', async () => {
+        const res = await request('POST', '/api/login', { body: { username: 'standard_user', password: 'secret_sauce' } });
+        assert.equal(res.json().cartMerge, undefined);
+    });
+});
+
+describe('wishlist & saved for later', () => {
+    let token;
+
+    beforeEach(async () => {
+        await reset({ products: [SHIRT, MUG] });
+        token = await login('standard_user');
+    });
+
+    it('keeps a wishlist without reserving stock', async () => {
+        let res = await request('POST', '/api/wishlist', { token, body: { productId: 0 } });
+        assert.equal(res.statusCode, 201);
+        assert.equal((await request('POST', '/api/wishlist', { token, body: { productId: 0 } })).statusCode, 409);
+        assert.equal((await request('POST', '/api/wishlist', { token, body: { productId: 9 } })).statusCode, 404);
+
+        res = await request('GET', '/api/wishlist', { token });
+        assert.deepEqual(res.json().items.map(i => [i.productId, i.name, i.price, i.inStock]), [[0, 'Sauce Labs Hoodie', 40, true]]);
+        assert.equal((await request('DELETE', '/api/wishlist/0', { token })).json().total, 0);
+        assert.equal((await request('GET', '/api/wishlist')).statusCode, 401);
+    });
+
+    it('moves a wishlist entry to the cart, choosing the variant then', async () => {
+        await request('POST', '/api/wishlist', { token, body: { productId: 0 } });
+        let res = await request('POST', '/api/wishlist/0/move-to-cart', { token, body: {} });
+        assert.equal(res.statusCode, 400);
+        assert.deepEqual(res.json().skus, ['HOODIE-S', 'HOODIE-L']);
+
+        res = await request('POST', '/api/wishlist/0/move-to-cart', { token, body: { sku: 'HOODIE-L', quantity: 2 } });
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.json().cart.items.map(i => [i.sku, i.quantity]), [['HOODIE-L', 2]]);
+        assert.equal((await request('GET', '/api/wishlist', { token })).json().total, 0);
+    });
+
+    it('saves a cart line for later and moves it back', async () => {
+        await request('POST', '/api/cart', { token, body: { productId: 1, quantity: 4 } });
+        let res = await request('POST', '/api/cart/1/save-for-later', { token });
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.json().cart.items, []);
+        assert.deepEqual(res.json().saved.map(i => [i.productId, i.quantity]), [[1, 4]]);
+        assert.equal((await request('POST', '/api/cart/1/save-for-later', { token })).statusCode, 404);
+
+        res = await request('POST', '/api/cart/saved/1/move-to-cart', { token, body: { quantity: 1 } });
+        assert.deepEqual(res.json().cart.items.map(i => i.quantity), [1]);
+        assert.deepEqual(res.json().saved.map(i => i.quantity), [3]);
+
+        res = await request('POST', '/api/cart/saved/1/move-to-cart', { token, body: {} });
+        assert.deepEqual(res.json().cart.items.map(i => i.quantity), [4]);
+        assert.equal((await request('GET', '/api/cart/saved', { token })).json().total, 0);
+    });
+
+    it('refuses to move saved lines beyond the available stock', async () => {
+        await reset({ products: [MUG], stock: { 1: 3 } });
+        token = await login('standard_user');
+        await request('POST', '/api/cart', { token, body: { productId: 1, quantity: 3 } });
+        await request('POST', '/api/cart/1/save-for-later', { token });
+
+        const other = await login('visual_user');
+        await request('POST', '/api/cart', { token: other, body: { productId: 1, quantity: 2 } });
+        const res = await request('POST', '/api/cart/saved/1/move-to-cart', { token, body: {} });
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.json().available, 1);
+        assert.equal((await request('GET', '/api/cart/saved', { token })).json().items[0].quantity, 3);
+    });
+
+    it('addresses variant lines by sku', async () => {
+        await request('POST', '/api/wishlist', { token, body: { productId: 0, sku: 'HOODIE-S' } });
+        await request('POST', '/api/wishlist', { token, body: { productId: 0, sku: 'HOODIE-L' } });
+        assert.equal((await request('DELETE', '/api/wishlist/0', { token })).statusCode, 400);
+        const res = await request('DELETE', '/api/wishlist/0?sku=HOODIE-S', { token });
+        assert.deepEqual(res.json().items.map(i => i.sku), ['HOODIE-L']);
+    });
+});